@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Fake diarization tool for tests (WHISPER_DIARIZE_CMD)
+ *
+ * Called as `fake_diarizer.js <audio> [--num-speakers N]`. Prints the input
+ * description's "turns" ([[start, end, speaker], ...]) as RTTM lines.
+ *
+ * Environment Variables:
+ *   FAKE_DIARIZER_JSON=1      Print JSON [{start, end, speaker}] instead
+ *   FAKE_DIARIZER_LOG=<file>  Append one line of arguments per invocation
+ *   FAKE_DIARIZER_FAIL=1      Exit with status 1
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+
+if (process.env.FAKE_DIARIZER_LOG) {
+  fs.appendFileSync(process.env.FAKE_DIARIZER_LOG, `${JSON.stringify(args)}\n`);
+}
+
+if (process.env.FAKE_DIARIZER_FAIL) {
+  console.error('RuntimeError: fake diarizer failure');
+  process.exit(1);
+}
+
+const turns = JSON.parse(fs.readFileSync(args[0], 'utf-8')).turns || [];
+
+if (process.env.FAKE_DIARIZER_JSON) {
+  console.log(JSON.stringify(turns.map(([start, end, speaker]) => ({ start, end, speaker }))));
+} else {
+  for (const [start, end, speaker] of turns) {
+    console.log(`SPEAKER audio 1 ${start.toFixed(3)} ${(end - start).toFixed(3)} <NA> <NA> ${speaker} <NA> <NA>`);
+  }
+}
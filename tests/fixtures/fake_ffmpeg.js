@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Fake ffmpeg for tests
+ *
+ * Supports `-version` and conversions: writes a WAV description (see
+ * fake_ffprobe.js) for the input to the output path (last argument).
+ * `-ss`/`-t` cut the description's "segments" (a script of what the fake
+ * whisper will "hear") to the extracted range. `-af silencedetect` reports
+ * the description's "silences" ([[start, end], ...]; end null: until the end
+ * of the file) like ffmpeg does.
+ *
+ * Capture from a device (`-f <format> -i <device>`) records the description
+ * in FAKE_FFMPEG_RECORDING (default: 3 s of speech), reporting its
+ * "silences" as they "happen" when silencedetect is on. It stops on 'q' on
+ * stdin or after `-t` seconds. FAKE_FFMPEG_RECORD_ERROR fails like a
+ * missing device. FAKE_FFMPEG_RECORD_STARTED=<file> gets the fake's PID
+ * once it's capturing; with FAKE_FFMPEG_RECORD_EMPTY=1 'q' stops it before
+ * any audio was written.
+ *
+ * Decoding `-i pipe:0` to `pipe:1` passes stdin through to stdout as it
+ * arrives, minus a WAV header: tests feed 16-bit PCM whose sample values
+ * the fake whisper "hears" as words.
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+
+if (args.includes('-version')) {
+  console.log('ffmpeg version fake');
+  process.exit(0);
+}
+
+const input = args[args.indexOf('-i') + 1];
+const output = args[args.length - 1];
+
+if (args.indexOf('-f') !== -1 && args.indexOf('-f') < args.indexOf('-i')) {
+  if (process.env.FAKE_FFMPEG_RECORD_ERROR) {
+    console.error(`${input}: ${process.env.FAKE_FFMPEG_RECORD_ERROR}`);
+    process.exit(1);
+  }
+  const recording = JSON.parse(process.env.FAKE_FFMPEG_RECORDING || '{"format_name": "wav", "duration": 3}');
+  recording.streams = [{ codec_type: 'audio', codec_name: 'pcm_s16le' }];
+  const finish = () => {
+    if (!process.env.FAKE_FFMPEG_RECORD_EMPTY) fs.writeFileSync(output, JSON.stringify(recording));
+    process.exit(0);
+  };
+  if ((args[args.indexOf('-af') + 1] || '').startsWith('silencedetect')) {
+    (recording.silences || []).forEach(([start, end], i) => setTimeout(() => {
+      console.error(`[silencedetect @ 0x1] silence_start: ${start}`);
+      if (end !== null) console.error(`[silencedetect @ 0x1] silence_end: ${end} | silence_duration: ${end - start}`);
+    }, 100 * (i + 1)));
+  }
+  process.stdin.on('data', data => {
+    if (data.toString().includes('q')) finish();
+  });
+  const limit = args.includes('-t') ? parseFloat(args[args.indexOf('-t') + 1]) : null;
+  if (limit) setTimeout(finish, limit * 1000);
+  if (process.env.FAKE_FFMPEG_RECORD_STARTED) fs.writeFileSync(process.env.FAKE_FFMPEG_RECORD_STARTED, String(process.pid));
+  return;
+}
+
+if (input === 'pipe:0') {
+  let header = true;
+  process.stdin.on('data', data => {
+    if (header && data.length >= 44 && data.toString('ascii', 0, 4) === 'RIFF') data = data.subarray(44);
+    header = false;
+    process.stdout.write(data);
+  });
+  process.stdin.on('end', () => process.stdout.end());
+  return;
+}
+
+let info;
+try {
+  info = JSON.parse(fs.readFileSync(input, 'utf-8'));
+} catch (e) {
+  console.error(`${input}: Invalid data found when processing input`);
+  process.exit(1);
+}
+
+const filter = args.includes('-af') ? args[args.indexOf('-af') + 1] : '';
+if (filter.startsWith('silencedetect')) {
+  for (const [start, end] of info.silences || []) {
+    console.error(`[silencedetect @ 0x1] silence_start: ${start}`);
+    if (end === null) continue;  // Runs to the end of the file; older ffmpeg never reports the end
+    console.error(`[silencedetect @ 0x1] silence_end: ${end} | silence_duration: ${end - start}`);
+  }
+  process.exit(0);
+}
+
+const value = flag => (args.includes(flag) ? parseFloat(args[args.indexOf(flag) + 1]) : null);
+const from = value('-ss') || 0;
+const duration = value('-t') !== null ? Math.min(value('-t'), info.duration - from) : info.duration;
+
+const description = {
+  format_name: 'wav',
+  duration,
+  streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }]
+};
+if (info.segments) {
+  description.segments = info.segments
+    .filter(seg => seg.end > from && seg.start < from + duration)
+    .map(seg => Object.assign({}, seg, { start: Math.max(0, seg.start - from), end: Math.min(duration, seg.end - from) }));
+}
+fs.writeFileSync(output, JSON.stringify(description));
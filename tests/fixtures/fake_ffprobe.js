@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * Fake ffprobe for tests
+ *
+ * Test "audio" files contain a JSON description of what ffprobe should report:
+ *   {"format_name": "ogg", "duration": 12.5, "streams": [{"codec_type": "audio", "codec_name": "opus"}]}
+ * Anything that isn't valid JSON is treated as undecodable.
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const filePath = args[args.length - 1];
+
+let info;
+try {
+  info = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+} catch (e) {
+  console.error(`${filePath}: Invalid data found when processing input`);
+  console.log('{}');
+  process.exit(1);
+}
+
+const entries = args[args.indexOf('-show_entries') + 1] || '';
+
+if (entries === 'format=duration') {
+  console.log(info.duration !== undefined ? String(info.duration) : 'N/A');
+} else {
+  console.log(JSON.stringify({
+    streams: info.streams || [],
+    format: { format_name: info.format_name || '' }
+  }));
+}
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Fake Python for language detection tests (WHISPER_PYTHON)
+ *
+ * Called like the real interpreter running DETECT_SCRIPT:
+ * `fake_language_detector.js -c <script> <backend> <model> <audio>`.
+ * Prints the input description's "languages" ({code: probability}) in the
+ * script's reply format.
+ *
+ * Environment Variables:
+ *   FAKE_WHISPER_LANGUAGE=en   Only language when the input has none (default: en)
+ *   FAKE_DETECTOR_LOG=<file>   Append one line of arguments (minus the script) per invocation
+ *   FAKE_DETECTOR_MISSING=1    Exit like the script does when whisper can't be imported
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(4);
+
+if (process.env.FAKE_DETECTOR_LOG) {
+  fs.appendFileSync(process.env.FAKE_DETECTOR_LOG, `${JSON.stringify(args)}\n`);
+}
+
+if (process.env.FAKE_DETECTOR_MISSING) {
+  console.error("No module named 'whisper'");
+  process.exit(3);
+}
+
+let languages = null;
+try {
+  languages = JSON.parse(fs.readFileSync(args[2], 'utf-8')).languages || null;
+} catch (e) {
+  // Not a description file
+}
+
+console.log(JSON.stringify({ probabilities: languages || { [process.env.FAKE_WHISPER_LANGUAGE || 'en']: 0.9 } }));
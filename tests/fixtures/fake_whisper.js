@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Fake whisper CLI for tests
+ *
+ * Mimics the openai-whisper CLI closely enough for transcribe.js:
+ * writes txt/srt/vtt/tsv/json outputs for the input file into --output_dir.
+ * Inputs whose description (see fake_ffprobe.js) has "segments" are
+ * "heard" as those segments (with any avg_logprob/no_speech_prob/
+ * compression_ratio they carry). WAV inputs (16 kHz, 16-bit mono) are
+ * heard as one word per run of equal samples: value v * 1000 is "Word<v>."
+ * (0 is silence). --word_timestamps True adds evenly spaced words.
+ *
+ * Environment Variables:
+ *   FAKE_WHISPER_TEXT=...      Transcript text (default: "Hello from fake whisper.")
+ *   FAKE_WHISPER_LANGUAGE=en   Detected language (default: en)
+ *   FAKE_WHISPER_TRANSLATION=. Text for --task translate (default: "Translated by fake whisper.")
+ *   FAKE_WHISPER_FAIL=1        Exit with status 1 without writing outputs
+ *   FAKE_WHISPER_FAIL_ON=name  Fail like FAKE_WHISPER_FAIL for inputs whose path contains name
+ *   FAKE_WHISPER_NO_OUTPUT=1   Exit with status 0 without writing outputs
+ *   FAKE_WHISPER_NO_JSON=1     Write every output but the .json (as whisper's --output_format txt does)
+ *   FAKE_WHISPER_LOG=<file>    Append one line of arguments per invocation
+ *   FAKE_WHISPER_DELAY=<ms>    Sleep before writing outputs
+ *   FAKE_WHISPER_CHILD=<file>  Start a long-running child process and write its pid to file
+ *   FAKE_WHISPER_PROBABILITY=p Print whisper-ctranslate2's "with probability" line
+ *   FAKE_WHISPER_WORDS_PER_SEGMENT=n  Words per segment for WAV inputs (default: 1)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const args = process.argv.slice(2);
+
+if (args.includes('--help')) {
+  console.log('usage: whisper [options] audio [audio ...]');
+  process.exit(0);
+}
+
+if (process.env.FAKE_WHISPER_LOG) {
+  fs.appendFileSync(process.env.FAKE_WHISPER_LOG, `${JSON.stringify(args)}\n`);
+}
+
+if (process.env.FAKE_WHISPER_CHILD) {
+  // Like the Python CLI starting ffmpeg: a grandchild of transcribe.js
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  fs.writeFileSync(process.env.FAKE_WHISPER_CHILD, String(child.pid));
+}
+
+if (process.env.FAKE_WHISPER_DELAY) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, parseInt(process.env.FAKE_WHISPER_DELAY, 10));
+}
+
+if (process.env.FAKE_WHISPER_FAIL) {
+  console.error('RuntimeError: fake whisper failure');
+  process.exit(1);
+}
+
+if (process.env.FAKE_WHISPER_NO_OUTPUT) {
+  process.exit(0);
+}
+
+const inputs = [];
+const opts = {};
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith('--')) {
+    opts[args[i].slice(2)] = args[++i];
+  } else {
+    inputs.push(args[i]);
+  }
+}
+
+if (process.env.FAKE_WHISPER_FAIL_ON && inputs.some(input => input.includes(process.env.FAKE_WHISPER_FAIL_ON))) {
+  console.error('RuntimeError: fake whisper failure');
+  process.exit(1);
+}
+
+const language = opts.language || process.env.FAKE_WHISPER_LANGUAGE || 'en';
+const outputDir = opts.output_dir || '.';
+// Whisper prints names, not codes
+const LANGUAGE_NAMES = { en: 'English', de: 'German', nl: 'Dutch', fr: 'French' };
+
+function timestamp(seconds, sep) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${h}:${m}:${s}${sep}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Segments "heard" in 16 kHz 16-bit mono WAV data
+ */
+function wavScript(data) {
+  const words = [];
+  let runStart = 0;
+  for (let i = 44; i + 1 < data.length; i += 2) {
+    const value = Math.round(data.readInt16LE(i) / 1000);
+    const next = i + 3 < data.length ? Math.round(data.readInt16LE(i + 2) / 1000) : null;
+    if (next === value) continue;
+    if (value > 0) {
+      words.push({ start: runStart / 16000, end: ((i - 44) / 2 + 1) / 16000, text: `Word${value}.` });
+    }
+    runStart = (i - 44) / 2 + 1;
+  }
+  const perSegment = parseInt(process.env.FAKE_WHISPER_WORDS_PER_SEGMENT || '1', 10);
+  const script = [];
+  for (let i = 0; i < words.length; i += perSegment) {
+    const group = words.slice(i, i + perSegment);
+    script.push({ start: group[0].start, end: group[group.length - 1].end, text: group.map(word => word.text).join(' ') });
+  }
+  return script;
+}
+
+for (const input of inputs) {
+  let script = null;
+  try {
+    const data = fs.readFileSync(input);
+    script = data.toString('ascii', 0, 4) === 'RIFF' ? wavScript(data) : JSON.parse(data.toString('utf-8')).segments || null;
+  } catch (e) {
+    // Not a description file
+  }
+  const translated = opts.task === 'translate' ? (process.env.FAKE_WHISPER_TRANSLATION || 'Translated by fake whisper.') : null;
+  const text = translated || (script ? script.map(seg => seg.text).join(' ') : (process.env.FAKE_WHISPER_TEXT || 'Hello from fake whisper.'));
+  const segments = script && !translated
+    ? script.map((seg, id) => Object.assign({}, seg, { id, text: ` ${seg.text}` }))
+    : [{ id: 0, start: 0, end: 2.5, text: ` ${text}` }];
+  if (opts.word_timestamps === 'True') {
+    // Words share their segment's time evenly
+    for (const seg of segments) {
+      const words = seg.text.trim().split(/\s+/);
+      const step = (seg.end - seg.start) / words.length;
+      seg.words = words.map((word, i) => ({ word: ` ${word}`, start: seg.start + i * step, end: seg.start + (i + 1) * step, probability: 0.9 }));
+    }
+  }
+  const base = path.join(outputDir, path.basename(input).replace(/\.[^/.]+$/, ''));
+  if (process.env.FAKE_WHISPER_PROBABILITY) {
+    console.log(`Detected language '${language}' with probability ${process.env.FAKE_WHISPER_PROBABILITY}`);
+  } else {
+    console.log(`Detected language: ${LANGUAGE_NAMES[language] || language}`);
+  }
+  console.log(`[00:00.000 --> 00:02.500]  ${text}`);
+  fs.writeFileSync(`${base}.txt`, `${text}\n`);
+  if (!process.env.FAKE_WHISPER_NO_JSON) {
+    fs.writeFileSync(`${base}.json`, JSON.stringify({ text: ` ${text}`, segments, language }));
+  }
+  fs.writeFileSync(`${base}.srt`, `1\n${timestamp(0, ',')} --> ${timestamp(2.5, ',')}\n${text}\n\n`);
+  fs.writeFileSync(`${base}.vtt`, `WEBVTT\n\n${timestamp(0, '.')} --> ${timestamp(2.5, '.')}\n${text}\n\n`);
+  fs.writeFileSync(`${base}.tsv`, `start\tend\ttext\n0\t2500\t${text}\n`);
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Fake whisper.cpp CLI (whisper-cli) for tests
+ *
+ * Writes whisper.cpp-style outputs (-otxt -osrt -ovtt -oj/-ojf) to the -of prefix;
+ * with -dl only prints the detected language.
+ *
+ * Environment Variables:
+ *   FAKE_WHISPER_TEXT=...      Transcript text (default: "Hello from fake whisper.cpp.")
+ *   FAKE_WHISPER_LANGUAGE=en   Language reported by -dl (default: en)
+ *   FAKE_WHISPER_LOG=<file>    Append one line of arguments per invocation
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('usage: whisper-cli [options] file0 file1 ...');
+  process.exit(0);
+}
+
+if (process.env.FAKE_WHISPER_LOG) {
+  fs.appendFileSync(process.env.FAKE_WHISPER_LOG, `${JSON.stringify(args)}\n`);
+}
+
+const value = flag => args[args.indexOf(flag) + 1];
+const modelPath = value('-m');
+const input = value('-f');
+const prefix = value('-of');
+const language = value('-l') === 'auto' ? 'en' : value('-l');
+
+if (!fs.existsSync(modelPath)) {
+  console.error(`error: failed to load model '${modelPath}'`);
+  process.exit(1);
+}
+if (!fs.existsSync(input)) {
+  console.error(`error: input file not found '${input}'`);
+  process.exit(2);
+}
+
+if (args.includes('-dl')) {
+  console.error(`whisper_full_with_state: auto-detected language: ${process.env.FAKE_WHISPER_LANGUAGE || 'en'} (p = 0.870000)`);
+  process.exit(0);
+}
+
+const text = process.env.FAKE_WHISPER_TEXT || 'Hello from fake whisper.cpp.';
+
+// -ojf: tokens with their own offsets; the first word comes in two pieces
+const tokens = [{ text: '[_BEG_]', offsets: { from: 0, to: 0 }, p: 1 }];
+text.split(' ').forEach((word, i, words) => {
+  const from = Math.round(3200 * i / words.length);
+  const to = Math.round(3200 * (i + 1) / words.length);
+  if (i === 0) {
+    tokens.push({ text: ` ${word.slice(0, 3)}`, offsets: { from, to: from + 100 }, p: 0.8 });
+    tokens.push({ text: word.slice(3), offsets: { from: from + 100, to }, p: 0.6 });
+  } else {
+    tokens.push({ text: ` ${word}`, offsets: { from, to }, p: 0.9 });
+  }
+});
+
+if (args.includes('-otxt')) fs.writeFileSync(`${prefix}.txt`, ` ${text}\n`);
+if (args.includes('-osrt')) fs.writeFileSync(`${prefix}.srt`, `1\n00:00:00,000 --> 00:00:03,200\n ${text}\n\n`);
+if (args.includes('-ovtt')) fs.writeFileSync(`${prefix}.vtt`, `WEBVTT\n\n00:00:00.000 --> 00:00:03.200\n ${text}\n\n`);
+if (args.includes('-oj') || args.includes('-ojf')) {
+  fs.writeFileSync(`${prefix}.json`, JSON.stringify({
+    systeminfo: 'fake',
+    model: { type: 'fake' },
+    params: { model: modelPath, language: value('-l') },
+    result: { language },
+    transcription: [{
+      timestamps: { from: '00:00:00,000', to: '00:00:03,200' },
+      offsets: { from: 0, to: 3200 },
+      text: ` ${text}`,
+      tokens: args.includes('-ojf') ? tokens : undefined
+    }]
+  }));
+}
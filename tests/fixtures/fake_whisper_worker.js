@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Fake --serve worker for tests (stands in for the Python worker)
+ *
+ * Usage: fake_whisper_worker.js <backend> <model>
+ * Speaks the worker protocol: { ready: true } once "loaded", then one JSON
+ * reply per JSON request line on stdin.
+ *
+ * Environment Variables:
+ *   FAKE_WHISPER_TEXT=...      Transcript text (default: "Hello from the warm worker.")
+ *   FAKE_WHISPER_LOG=<file>    Append "load <model>" per start and the audio path per request
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+const model = process.argv[3];
+const record = line => {
+  if (process.env.FAKE_WHISPER_LOG) fs.appendFileSync(process.env.FAKE_WHISPER_LOG, `${line}\n`);
+};
+
+record(`load ${model}`);
+console.log(JSON.stringify({ ready: true }));
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  const request = JSON.parse(line);
+  record(request.audio);
+  if (!fs.existsSync(request.audio)) {
+    console.log(JSON.stringify({ ok: false, error: `No such file: ${request.audio}` }));
+    return;
+  }
+  const text = process.env.FAKE_WHISPER_TEXT || 'Hello from the warm worker.';
+  console.log(JSON.stringify({
+    ok: true,
+    result: {
+      text: ` ${text}`,
+      language: request.language || 'en',
+      segments: [{ id: 0, start: 0, end: 2.5, text: ` ${text}` }]
+    }
+  }));
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Feeds a recording to transcribe.js --stream at real-time speed
+ *
+ * Usage: feed_stream.js <words> <target> <log> <transcribe.js args...>
+ *
+ * The recording is a WAV of <words> seconds followed by a second of
+ * silence: second n holds sample value n * 1000, which the fake whisper
+ * hears as "Word<n>.". With target '-' it is piped to transcribe.js's
+ * stdin; otherwise it's appended to the target file as transcribe.js reads
+ * it. Each line transcribe.js prints is appended to <log> as
+ * { at, event } (at: milliseconds since feeding began), followed by
+ * { at, fed: true } when feeding ends. Exits with transcribe.js's status.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const [words, target, logFile, ...args] = process.argv.slice(2);
+const SAMPLE_RATE = 16000;
+const CHUNK_SECONDS = 0.25;
+
+const header = Buffer.alloc(44);
+header.write('RIFF', 0);
+header.writeUInt32LE(0xffffffff, 4);  // Unknown length, as when streaming
+header.write('WAVEfmt ', 8);
+header.writeUInt32LE(16, 16);
+header.writeUInt16LE(1, 20);
+header.writeUInt16LE(1, 22);
+header.writeUInt32LE(SAMPLE_RATE, 24);
+header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+header.writeUInt16LE(2, 32);
+header.writeUInt16LE(16, 34);
+header.write('data', 36);
+header.writeUInt32LE(0xffffffff, 40);
+
+const seconds = parseInt(words, 10) + 1;
+const pcm = Buffer.alloc(seconds * SAMPLE_RATE * 2);
+for (let second = 1; second < seconds; second++) {
+  for (let i = (second - 1) * SAMPLE_RATE; i < second * SAMPLE_RATE; i++) {
+    pcm.writeInt16LE(second * 1000, i * 2);
+  }
+}
+
+const started = Date.now();
+const record = entry => fs.appendFileSync(logFile, `${JSON.stringify(Object.assign({ at: Date.now() - started }, entry))}\n`);
+
+fs.writeFileSync(logFile, '');
+if (target !== '-') fs.writeFileSync(target, header);
+const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'transcribe.js')].concat(args), {
+  stdio: [target === '-' ? 'pipe' : 'ignore', 'pipe', 'inherit']
+});
+const write = data => (target === '-' ? child.stdin.write(data) : fs.appendFileSync(target, data));
+if (target === '-') {
+  child.stdin.on('error', () => {});  // transcribe.js gave up early; its status says why
+  write(header);
+}
+
+let pending = '';
+child.stdout.on('data', chunk => {
+  const lines = (pending + chunk).split('\n');
+  pending = lines.pop();
+  lines.filter(Boolean).forEach(line => record({ event: JSON.parse(line) }));
+});
+child.on('close', code => process.exit(code === null ? 1 : code));
+
+const chunkBytes = CHUNK_SECONDS * SAMPLE_RATE * 2;
+let offset = 0;
+const timer = setInterval(() => {
+  write(pcm.subarray(offset, offset + chunkBytes));
+  offset += chunkBytes;
+  if (offset >= pcm.length) {
+    clearInterval(timer);
+    record({ fed: true });
+    if (target === '-') child.stdin.end();
+  }
+}, CHUNK_SECONDS * 1000);
@@ -6,8 +6,13 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, spawn, spawnSync } = require('child_process');
+
+// Ignore the developer's own config file
+delete process.env.WHISPER_CONFIG;
+process.env.XDG_CONFIG_HOME = path.join(os.tmpdir(), 'whisper-test-no-config');
 
 // Import the module under test
 const transcribeModule = require('../transcribe.js');
@@ -15,8 +20,14 @@ const {
   checkDependencies, 
   findWhisperBinary, 
   selectModel, 
+  defaultModelPolicy,
+  parseModelTable,
   parseArgs,
   isSupportedFormat,
+  needsConversion,
+  expandInputs,
+  getCacheKey,
+  pruneCache,
   SUPPORTED_FORMATS,
   DEFAULTS 
 } = transcribeModule;
@@ -25,6 +36,14 @@ const {
 const TEST_DIR = __dirname;
 const ROOT_DIR = path.join(TEST_DIR, '..');
 const TEST_AUDIO_FILE = path.join(TEST_DIR, 'test_audio.wav');
+const FAKE_WHISPER = path.join(TEST_DIR, 'fixtures', 'fake_whisper.js');
+const FAKE_WHISPER_CPP = path.join(TEST_DIR, 'fixtures', 'fake_whisper_cpp.js');
+const FAKE_WORKER = path.join(TEST_DIR, 'fixtures', 'fake_whisper_worker.js');
+const FAKE_FFMPEG = path.join(TEST_DIR, 'fixtures', 'fake_ffmpeg.js');
+const FAKE_FFPROBE = path.join(TEST_DIR, 'fixtures', 'fake_ffprobe.js');
+const FAKE_DIARIZER = path.join(TEST_DIR, 'fixtures', 'fake_diarizer.js');
+const FAKE_DETECTOR = path.join(TEST_DIR, 'fixtures', 'fake_language_detector.js');
+const FEED_STREAM = path.join(TEST_DIR, 'fixtures', 'feed_stream.js');
 
 // Test results
 let passed = 0;
@@ -94,6 +113,91 @@ function createTestAudioFile(sizeKB) {
   return filePath;
 }
 
+/**
+ * Create a scratch directory outside the repo (removed by the caller)
+ */
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-test-'));
+}
+
+/**
+ * Write a fake audio file: a JSON description that the fake ffprobe reports
+ */
+function writeFakeAudio(filePath, formatName = 'wav', streams = [{ codec_type: 'audio', codec_name: 'pcm_s16le' }]) {
+  fs.writeFileSync(filePath, JSON.stringify({ format_name: formatName, duration: 2.5, streams }));
+  return filePath;
+}
+
+/**
+ * Run node in a child process against the fake whisper/ffmpeg CLIs.
+ * Each run gets an empty result cache unless env sets WHISPER_CACHE_DIR,
+ * never talks to a real daemon unless env sets WHISPER_DAEMON_SOCKET, and
+ * reads no user config file unless env sets XDG_CONFIG_HOME.
+ */
+function runNode(args, env = {}, input = '') {
+  const cacheDir = createTempDir();
+  try {
+    return spawnSync(process.execPath, args, {
+      encoding: 'utf-8',
+      input,
+      env: Object.assign({}, process.env, {
+        WHISPER_CMD: FAKE_WHISPER,
+        FFMPEG_CMD: FAKE_FFMPEG,
+        FFPROBE_CMD: FAKE_FFPROBE,
+        WHISPER_CACHE_DIR: cacheDir,
+        WHISPER_DAEMON_SOCKET: path.join(cacheDir, 'daemon.sock'),
+        XDG_CONFIG_HOME: cacheDir
+      }, env)
+    });
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run transcribe() in a child process
+ */
+function runTranscribe(audioPath, options = {}, env = {}) {
+  const script = `require(${JSON.stringify(path.join(ROOT_DIR, 'transcribe.js'))})` +
+    `.transcribe(${JSON.stringify(audioPath)}, ${JSON.stringify(options)})`;
+  return runNode(['-e', script], env);
+}
+
+/**
+ * Run the CLI in a child process (input: what it reads on stdin)
+ */
+function runCli(args, env = {}, input = '') {
+  return runNode([path.join(ROOT_DIR, 'transcribe.js')].concat(args), env, input);
+}
+
+/**
+ * Poll until check() is true (or the timeout passes)
+ */
+function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) return false;
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+  }
+  return true;
+}
+
+/**
+ * True while a process exists and isn't a zombie
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (e) {
+    return false;
+  }
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf-8').split(') ')[1][0] !== 'Z';
+  } catch (e) {
+    return true;
+  }
+}
+
 /**
  * Clean up test files
  */
@@ -147,6 +251,8 @@ function testParseArgs() {
   result = parseArgs(['audio.wav', '--model', 'large']);
   assertEqual(result.options.model, 'large', 'Parses --model flag');
   assertEqual(result.options.smartModel, false, 'Smart model disabled when explicit model set');
+  result = parseArgs(['audio.wav', '--model', 'auto']);
+  assertEqual(result.options.smartModel, true, 'Smart model enabled by --model auto');
   
   // Test with --language flag
   result = parseArgs(['audio.mp3', '--language', 'de']);
@@ -178,6 +284,29 @@ function testParseArgs() {
   // Test --smart-model
   result = parseArgs(['audio.ogg', '--smart-model']);
   assertEqual(result.options.smartModel, true, 'Parses --smart-model flag');
+  
+  // Test multiple inputs
+  result = parseArgs(['a.ogg', 'b.ogg', '--model', 'tiny', 'notes/', '-r']);
+  assertEqual(result.audioPath, 'a.ogg', 'First input is still audioPath');
+  assertEqual(result.audioPaths.join(','), 'a.ogg,b.ogg,notes/', 'Keeps every input path');
+  assertEqual(result.options.recursive, true, 'Parses -r flag');
+  
+  // Test --format
+  assertEqual(parseArgs(['audio.ogg']).options.format, 'text', 'Format defaults to text');
+  result = parseArgs(['audio.ogg', '--format', 'plain']);
+  assertEqual(result.options.format, 'plain', 'Parses --format flag');
+  result = parseArgs(['audio.ogg', '--json']);
+  assertEqual(result.options.format, 'json', 'Parses --json shorthand');
+  
+  // Numeric flags
+  result = parseArgs(['audio.ogg', '--queue-timeout', '2.5', '--logprob-threshold', '-0.5', '--port', '9000']);
+  assertTrue(result.options.queueTimeout === 2.5 && result.options.logprobThreshold === -0.5 && result.options.port === 9000, 'Parses numeric flags');
+  assertThrows(() => parseArgs(['audio.ogg', '--queue-timeout', 'soon']), 'Rejects a non-numeric --queue-timeout');
+  assertThrows(() => parseArgs(['audio.ogg', '--timeout', '-5']), 'Rejects negative durations');
+  assertThrows(() => parseArgs(['audio.ogg', '--max-concurrent', '1.5']), 'Rejects fractional counts');
+  assertThrows(() => parseArgs(['audio.ogg', '--threads']), 'Rejects a numeric flag without a value');
+  const run = runCli(['audio.ogg', '--json', '--queue-timeout', 'soon']);
+  assertTrue(run.status === 2 && JSON.parse(run.stderr.trim().split('\n').pop()).error.message.includes('--queue-timeout'), 'Bad numeric flags exit 2 with a JSON error');
 }
 
 /**
@@ -190,18 +319,57 @@ function testSelectModel() {
   const smallFile = createTestAudioFile(50);   // 50 KB
   const mediumFile = createTestAudioFile(150); // 150 KB
   
+  // Stub probe results and hardware so selection is deterministic
+  const noDuration = () => null;
+  const bigMachine = { ramGB: 32, cpus: 8 };
+  const withDuration = seconds => ({ model: 'auto', probe: () => seconds, hardware: bigMachine });
+  
   try {
     // Test small file (< 100KB)
-    const smallModel = selectModel(smallFile, { model: 'auto' });
+    const smallModel = selectModel(smallFile, { model: 'auto', probe: noDuration, hardware: bigMachine });
     assertEqual(smallModel, 'large', 'Small file (<100KB) uses large model');
     
     // Test large file (>= 100KB)
-    const largeModel = selectModel(mediumFile, { model: 'auto' });
+    const largeModel = selectModel(mediumFile, { model: 'auto', probe: noDuration, hardware: bigMachine });
     assertEqual(largeModel, 'medium', 'Large file (>=100KB) uses medium model');
     
     // Test explicit model override
     const explicitModel = selectModel(smallFile, { model: 'tiny' });
     assertEqual(explicitModel, 'tiny', 'Explicit model overrides smart selection');
+    
+    // Duration-driven selection
+    assertEqual(selectModel(mediumFile, withDuration(12)), 'large', 'Short voice note (12s) uses large model');
+    assertEqual(selectModel(mediumFile, withDuration(90)), 'medium', '90s recording uses medium model');
+    assertEqual(selectModel(smallFile, withDuration(300)), 'small', '5min recording uses small model');
+    assertEqual(selectModel(smallFile, withDuration(1200)), 'base', '20min recording uses base model');
+    assertEqual(selectModel(smallFile, withDuration(3600)), 'tiny', 'Hour-long recording uses tiny model');
+    
+    // Hardware limits
+    let model = selectModel(smallFile, { model: 'auto', probe: () => 12, hardware: { ramGB: 32, cpus: 2 } });
+    assertEqual(model, 'medium', 'Low core count steps down one size');
+    model = selectModel(smallFile, { model: 'auto', probe: () => 12, hardware: { ramGB: 3, cpus: 8 } });
+    assertEqual(model, 'small', 'Limited RAM downgrades until the model fits');
+    model = selectModel(smallFile, { model: 'auto', probe: () => 12, hardware: { ramGB: 0.5, cpus: 1 } });
+    assertEqual(model, 'tiny', 'Never goes below tiny');
+    
+    // Custom table and pluggable policy
+    const table = parseModelTable('60:medium,*:base');
+    model = selectModel(smallFile, { model: 'auto', probe: () => 12, hardware: bigMachine, table });
+    assertEqual(model, 'medium', 'Custom table is used');
+    model = selectModel(smallFile, { model: 'auto', probe: () => 600, hardware: bigMachine, table });
+    assertEqual(model, 'base', 'Wildcard row covers long audio');
+    model = selectModel(smallFile, {
+      model: 'auto',
+      probe: () => 12,
+      hardware: bigMachine,
+      policy: facts => ({ model: facts.duration < 20 ? 'base' : 'tiny', reasons: ['custom'] })
+    });
+    assertEqual(model, 'base', 'Custom policy replaces the default');
+    
+    const decision = defaultModelPolicy({ duration: 12, sizeKB: 10, ramGB: 32, cpus: 8 });
+    assertTrue(decision.reasons.length > 0, 'Policy explains its choice');
+    assertThrows(() => parseModelTable('30:huge'), 'Rejects unknown model in table');
+    assertThrows(() => parseModelTable('abc:small'), 'Rejects invalid duration in table');
   } finally {
     // Cleanup
     try {
@@ -240,9 +408,8 @@ function testEnvironmentDefaults() {
     delete require.cache[require.resolve('../transcribe.js')];
     const customModule = require('../transcribe.js');
     
-    // Note: DEFAULTS are set at require time, so we check that the module
-    // would read these values (actual test would require re-require)
-    assertTrue(true, 'Environment variables can customize defaults');
+    assertEqual(customModule.DEFAULTS.MODEL, 'large', 'Environment variables can customize defaults');
+    assertEqual(customModule.DEFAULTS.LANGUAGE, 'de', 'Environment variables are read on first use');
   } finally {
     // Restore env vars
     if (origModel !== undefined) process.env.WHISPER_MODEL = origModel;
@@ -308,6 +475,7 @@ function testModuleExports() {
   console.log('\n📤 Test Suite: Module Exports');
   
   assertTrue(typeof transcribeModule.transcribe === 'function', 'Exports transcribe function');
+  assertTrue(typeof transcribeModule.transcribeAsync === 'function', 'Exports transcribeAsync function');
   assertTrue(typeof transcribeModule.checkDependencies === 'function', 'Exports checkDependencies function');
   assertTrue(typeof transcribeModule.findWhisperBinary === 'function', 'Exports findWhisperBinary function');
   assertTrue(typeof transcribeModule.selectModel === 'function', 'Exports selectModel function');
@@ -381,6 +549,1671 @@ function testCliHelp() {
   }
 }
 
+/**
+ * Test 11: Output formats (stdout carries only the result)
+ */
+function testOutputFormats() {
+  console.log('\n🧾 Test Suite: Output Formats');
+  
+  const tmpDir = createTempDir();
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+  
+  try {
+    let run = runTranscribe(audioPath, { model: 'tiny', format: 'plain' });
+    assertEqual(run.status, 0, 'Plain transcription succeeds');
+    assertEqual(run.stdout, 'Hello from fake whisper.\n', 'Plain stdout contains only the transcript');
+    assertTrue(run.stderr.includes('Transcribing with Whisper'), 'Progress messages go to stderr');
+    
+    run = runTranscribe(audioPath, { model: 'tiny', format: 'json', outputFormats: ['txt,srt'] }, { FAKE_WHISPER_LANGUAGE: 'de' });
+    const json = JSON.parse(run.stdout);
+    assertEqual(json.text, 'Hello from fake whisper.', 'JSON includes trimmed text');
+    assertEqual(json.language, 'de', 'JSON includes detected language');
+    assertEqual(json.model, 'tiny', 'JSON includes model');
+    assertEqual(json.duration, 2.5, 'JSON includes duration from segments');
+    assertEqual(json.segments.length, 1, 'JSON includes segments');
+    assertEqual(json.languageProbability, null, 'Language probability is null when backend omits it');
+    assertEqual(json.files.txt, path.join(tmpDir, 'voice.txt'), 'JSON includes txt path');
+    assertEqual(json.files.srt, path.join(tmpDir, 'voice.srt'), 'JSON includes srt path');
+    
+    run = runTranscribe(audioPath, { model: 'tiny' });
+    assertTrue(run.stdout.includes('Transcription complete!'), 'Text format keeps the human-readable report');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 12: ffmpeg normalization of other formats
+ */
+function testFormatConversion() {
+  console.log('\n🔄 Test Suite: Format Conversion');
+  
+  const audio = [{ codec_type: 'audio', codec_name: 'opus' }];
+  const video = [{ codec_type: 'video', codec_name: 'h264' }, { codec_type: 'audio', codec_name: 'aac' }];
+  const probe = (formatName, streams = audio) => ({ decodable: true, formatName, hasAudio: true, hasVideo: streams === video });
+  
+  assertEqual(needsConversion('voice.ogg', probe('ogg')), false, 'Matching ogg content is passed through');
+  assertEqual(needsConversion('voice.m4a', probe('mov,mp4,m4a,3gp,3g2,mj2')), false, 'M4A content is passed through');
+  assertEqual(needsConversion('voice.opus', probe('ogg')), true, 'OPUS extension is converted');
+  assertEqual(needsConversion('voice.ogg', probe('amr')), true, 'Mislabelled content is converted');
+  assertEqual(needsConversion('clip.mp4', probe('mov,mp4,m4a,3gp,3g2,mj2', video)), true, 'Video containers are converted');
+  assertEqual(needsConversion('voice.wav', null), false, 'Without ffprobe, supported extensions pass');
+  assertThrows(() => needsConversion('voice.webm', null), 'Without ffprobe, other extensions are rejected');
+  assertThrows(() => needsConversion('notes.txt', { decodable: false, formatName: '', hasAudio: false, hasVideo: false }),
+    'Undecodable files are rejected');
+  assertThrows(() => needsConversion('image.png', { decodable: true, formatName: 'png_pipe', hasAudio: false, hasVideo: true }),
+    'Files without an audio stream are rejected');
+  
+  const tmpDir = createTempDir();
+  try {
+    const opusPath = writeFakeAudio(path.join(tmpDir, 'voice.opus'), 'ogg', audio);
+    let run = runTranscribe(opusPath, { model: 'tiny', format: 'json' });
+    assertEqual(run.status, 0, 'OPUS voice message is transcribed');
+    assertTrue(run.stderr.includes('Converting .opus'), 'Conversion is logged');
+    const json = JSON.parse(run.stdout);
+    assertEqual(json.files.txt, path.join(tmpDir, 'voice.txt'), 'Outputs are written next to the original');
+    const leftovers = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('whisper-convert-'));
+    assertEqual(leftovers.length, 0, 'Temporary WAV directory is cleaned up');
+    
+    const bogusPath = path.join(tmpDir, 'notes.aac');
+    fs.writeFileSync(bogusPath, 'not audio');
+    run = runTranscribe(bogusPath, { model: 'tiny' });
+    assertTrue(run.status !== 0 && run.stderr.includes('no decodable audio stream'), 'Undecodable input fails clearly');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 13: Batch and directory transcription
+ */
+function testBatchMode() {
+  console.log('\n🗂️  Test Suite: Batch Mode');
+  
+  const tmpDir = createTempDir();
+  const logFile = path.join(tmpDir, 'whisper.log');
+  const notesDir = path.join(tmpDir, 'notes');
+  fs.mkdirSync(path.join(notesDir, 'sub'), { recursive: true });
+  
+  try {
+    writeFakeAudio(path.join(notesDir, 'a.wav'));
+    writeFakeAudio(path.join(notesDir, 'b.opus'), 'ogg', [{ codec_type: 'audio', codec_name: 'opus' }]);
+    writeFakeAudio(path.join(notesDir, 'sub', 'c.ogg'), 'ogg');
+    fs.writeFileSync(path.join(notesDir, 'readme.txt'), 'not audio');
+    
+    // Directory expansion
+    let files = expandInputs([notesDir]);
+    assertEqual(files.map(f => path.basename(f)).join(','), 'a.wav,b.opus', 'Directory lists audio files only');
+    files = expandInputs([notesDir], { recursive: true });
+    assertEqual(files.length, 3, 'Recursive directory includes subdirectories');
+    files = expandInputs([path.join(notesDir, '**', '*.ogg')]);
+    assertEqual(files.map(f => path.basename(f)).join(','), 'c.ogg', 'Glob with ** matches nested files');
+    files = expandInputs([path.join(notesDir, '*.{nope}')]);
+    assertEqual(files.length, 1, 'Unmatched pattern is kept so it is reported');
+    
+    // One whisper run per model, JSON summary
+    let run = runCli([notesDir, '--recursive', '--model', 'tiny', '--json'], { FAKE_WHISPER_LOG: logFile });
+    assertEqual(run.status, 0, 'Batch exits 0 when every file succeeds');
+    let json = JSON.parse(run.stdout);
+    assertEqual(json.succeeded, 3, 'JSON summary counts successes');
+    assertEqual(json.results[0].text, 'Hello from fake whisper.', 'JSON results include transcripts');
+    assertTrue(fs.existsSync(path.join(notesDir, 'b.txt')), 'Converted file output is written next to the original');
+    const invocations = fs.readFileSync(logFile, 'utf-8').trim().split('\n');
+    assertEqual(invocations.length, 1, 'One whisper process per model');
+    
+    // Continue on error, non-zero exit
+    const missing = path.join(tmpDir, 'missing.ogg');
+    run = runCli([path.join(notesDir, 'a.wav'), missing, '--model', 'tiny', '--format', 'plain']);
+    assertEqual(run.status, 1, 'Batch exits 1 when any file fails');
+    assertTrue(run.stdout.includes(`==> ${path.join(notesDir, 'a.wav')} <==`), 'Successful files are still printed');
+    assertTrue(run.stderr.includes('Summary: 1 succeeded, 1 failed'), 'Summary goes to stderr in plain mode');
+    assertTrue(run.stderr.includes(`❌ ${missing}`), 'Summary names the failed file');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 14: Transcription queue (per-user, atomic slots)
+ */
+function testQueue() {
+  console.log('\n⏳ Test Suite: Transcription Queue');
+  
+  const lockDir = createTempDir();
+  fs.mkdirSync(path.join(lockDir, 'queue'));
+  const slot0 = path.join(lockDir, 'slot-0.lock');
+  const slot1 = path.join(lockDir, 'slot-1.lock');
+  
+  // acquireSlot() is async: run the checks in a child and collect what they saw
+  const script = `
+    const fs = require('fs');
+    const { acquireSlot, releaseLock } = require(${JSON.stringify(path.join(ROOT_DIR, 'transcribe.js'))});
+    const lockDir = ${JSON.stringify(lockDir)};
+    const slot0 = ${JSON.stringify(slot0)};
+    const queued = () => fs.readdirSync(lockDir + '/queue').length;
+    const seen = {};
+    (async () => {
+      let handle = await acquireSlot({ lockDir, timeout: 1 });
+      seen.first = handle.slot;
+      seen.ourPid = fs.readFileSync(slot0, 'utf-8') === String(process.pid);
+      seen.queuedWhileRunning = queued();
+      handle.release();
+      seen.freed = !fs.existsSync(slot0);
+      
+      // Slot held by a live process (the test runner)
+      fs.writeFileSync(slot0, String(process.ppid));
+      let ticks = 0;
+      const ticker = setInterval(() => ticks++, 50);
+      const started = Date.now();
+      seen.timeout = await acquireSlot({ lockDir, timeout: 0.3 }).then(() => null, error => error.code);
+      seen.waited = Date.now() - started;
+      seen.ticks = ticks;
+      clearInterval(ticker);
+      seen.queuedAfterTimeout = queued();
+      seen.peer = fs.readFileSync(slot0, 'utf-8');
+      
+      handle = await acquireSlot({ lockDir, timeout: 0.3, maxConcurrent: 2 });
+      seen.second = handle.slot;
+      handle.release();
+      
+      // Two slots in one process: each handle frees its own
+      fs.unlinkSync(slot0);
+      const a = await acquireSlot({ lockDir, timeout: 0.3, maxConcurrent: 2 });
+      const b = await acquireSlot({ lockDir, timeout: 0.3, maxConcurrent: 2 });
+      a.release();
+      seen.ownSlot = [fs.existsSync(a.slot), fs.existsSync(b.slot)];
+      b.release();
+      
+      // Stale slots: a dead process's, and an empty one from a crash
+      fs.writeFileSync(slot0, '999999999');
+      handle = await acquireSlot({ lockDir, timeout: 0.3 });
+      seen.dead = handle.slot;
+      handle.release();
+      fs.writeFileSync(slot0, '');
+      seen.freshEmpty = await acquireSlot({ lockDir, timeout: 0.3 }).then(() => null, error => error.code);
+      fs.utimesSync(slot0, new Date(Date.now() - 60000), new Date(Date.now() - 60000));
+      handle = await acquireSlot({ lockDir, timeout: 0.3 });
+      seen.oldEmpty = handle.slot;
+      handle.release();
+      
+      seen.force = (await acquireSlot({ lockDir, force: true })).slot;
+      releaseLock();
+      console.log(JSON.stringify(seen));
+    })();
+  `;
+  
+  try {
+    const seen = JSON.parse(runNode(['-e', script]).stdout);
+    assertEqual(seen.first, slot0, 'Acquires the first free slot');
+    assertTrue(seen.ourPid, 'Slot records our PID');
+    assertEqual(seen.queuedWhileRunning, 0, 'Queue ticket is removed once running');
+    assertTrue(seen.freed, 'release() frees the slot');
+    assertEqual(seen.timeout, 'QUEUE_TIMEOUT', 'Times out while the only slot is busy');
+    assertTrue(seen.waited >= 300, 'Waits for the configured timeout');
+    assertTrue(seen.ticks >= 3, 'Timers keep running while waiting for a slot');
+    assertEqual(seen.queuedAfterTimeout, 0, 'Queue ticket is removed after timing out');
+    assertEqual(seen.peer, String(process.pid), 'Never touches a live peer\'s lock');
+    assertEqual(seen.second, slot1, 'Max concurrency allows a second slot');
+    assertEqual(seen.ownSlot.join(','), 'false,true', 'Each handle releases its own slot');
+    assertEqual(seen.dead, slot0, 'Reclaims slots of dead processes');
+    assertEqual(seen.freshEmpty, 'QUEUE_TIMEOUT', 'Leaves a slot that is still being written alone');
+    assertEqual(seen.oldEmpty, slot0, 'Reclaims empty slots left by a crash');
+    assertEqual(seen.force, null, '--force skips the queue');
+    assertTrue(path.isAbsolute(transcribeModule.getLockDir()), 'Default lock dir is an absolute per-user path');
+  } finally {
+    fs.rmSync(lockDir, { recursive: true, force: true });
+  }
+  
+  // Two invocations at once: the second waits its turn instead of failing
+  const tmpDir = createTempDir();
+  try {
+    const a = writeFakeAudio(path.join(tmpDir, 'a.wav'));
+    const b = writeFakeAudio(path.join(tmpDir, 'b.wav'));
+    const env = Object.assign({}, process.env, {
+      WHISPER_CMD: FAKE_WHISPER,
+      FFMPEG_CMD: FAKE_FFMPEG,
+      FFPROBE_CMD: FAKE_FFPROBE,
+      WHISPER_LOCK_DIR: path.join(tmpDir, 'locks'),
+      WHISPER_CACHE_DIR: path.join(tmpDir, 'cache'),
+      FAKE_WHISPER_DELAY: '500'
+    });
+    const script = `
+      const { spawn } = require('child_process');
+      const run = file => new Promise(resolve => {
+        const child = spawn(process.execPath, [${JSON.stringify(path.join(ROOT_DIR, 'transcribe.js'))}, file, '--model', 'tiny', '--format', 'plain']);
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('exit', code => resolve({ code, stderr }));
+      });
+      Promise.all([run(${JSON.stringify(a)}), run(${JSON.stringify(b)})])
+        .then(results => console.log(JSON.stringify(results)));
+    `;
+    const run = spawnSync(process.execPath, ['-e', script], { encoding: 'utf-8', env });
+    const results = JSON.parse(run.stdout);
+    assertTrue(results.every(r => r.code === 0), 'Concurrent invocations both succeed');
+    assertTrue(results.some(r => r.stderr.includes('Waiting for a transcription slot')), 'One invocation waited in the queue');
+    
+    // Ctrl-C while waiting in the queue cancels right away
+    const cancelScript = `
+      const fs = require('fs');
+      const { spawn } = require('child_process');
+      const start = file => spawn(process.execPath, [${JSON.stringify(path.join(ROOT_DIR, 'transcribe.js'))}, file, '--model', 'tiny', '--format', 'plain']);
+      const queueDir = ${JSON.stringify(path.join(tmpDir, 'locks', 'queue'))};
+      const first = start(${JSON.stringify(a)});
+      const poll = setInterval(() => {
+        if (!fs.existsSync(${JSON.stringify(path.join(tmpDir, 'locks', 'slot-0.lock'))})) return;
+        clearInterval(poll);
+        const second = start(${JSON.stringify(b)});
+        let interrupted = null;
+        second.stderr.on('data', chunk => {
+          if (interrupted || !String(chunk).includes('Waiting for a transcription slot')) return;
+          interrupted = Date.now();
+          second.kill('SIGINT');
+        });
+        second.on('exit', code => {
+          const result = { code, ms: Date.now() - interrupted, tickets: fs.readdirSync(queueDir).length };
+          first.kill();
+          console.log(JSON.stringify(result));
+        });
+      }, 50);
+    `;
+    const cancel = JSON.parse(spawnSync(process.execPath, ['-e', cancelScript], {
+      encoding: 'utf-8',
+      env: Object.assign({}, env, { FAKE_WHISPER_DELAY: '3000' }),
+      timeout: 30000
+    }).stdout);
+    assertEqual(cancel.code, 130, 'SIGINT cancels a queued invocation with status 130');
+    assertTrue(cancel.ms < 1500, 'A queued invocation stops without waiting for the slot');
+    assertEqual(cancel.tickets, 0, 'A cancelled invocation leaves no queue ticket');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 15: Output file selection and naming
+ */
+function testOutputFiles() {
+  console.log('\n📄 Test Suite: Output Files');
+  
+  const { parseOutputFormats, formatOutputName } = transcribeModule;
+  
+  assertEqual(parseOutputFormats('txt').join(','), 'txt', 'Parses a single output format');
+  assertEqual(parseOutputFormats(['srt,VTT', 'srt']).join(','), 'srt,vtt', 'Parses lists, repeats and case');
+  assertEqual(parseOutputFormats('all').length, 5, '"all" expands to every format');
+  assertThrows(() => parseOutputFormats('docx'), 'Rejects unknown output formats');
+  
+  const now = new Date(2026, 0, 2, 3, 4, 5);
+  const vars = { basename: 'voice', ext: 'srt', lang: 'de', model: 'small', now };
+  assertEqual(formatOutputName('{basename}.{ext}', vars), 'voice.srt', 'Default template');
+  assertEqual(formatOutputName('{basename}.{lang}.{ext}', vars), 'voice.de.srt', 'Language placeholder');
+  assertEqual(formatOutputName('{date}/{time}-{basename}', vars), '2026-01-02/030405-voice.srt', 'Date placeholders, {ext} appended');
+  assertThrows(() => formatOutputName('{nope}.{ext}', vars), 'Rejects unknown placeholders');
+  
+  const tmpDir = createTempDir();
+  const outDir = path.join(tmpDir, 'out');
+  try {
+    const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+    let run = runTranscribe(audioPath, { model: 'tiny', format: 'json' });
+    let json = JSON.parse(run.stdout);
+    assertEqual(Object.keys(json.files).join(','), 'txt', 'Only the transcript is written by default');
+    assertEqual(fs.readdirSync(tmpDir).sort().join(','), 'voice.txt,voice.wav', 'No other files litter the output dir');
+    
+    run = runTranscribe(audioPath, {
+      model: 'tiny',
+      format: 'json',
+      outputDir: outDir,
+      outputFormats: ['srt,vtt,json'],
+      outputName: '{basename}.{lang}.{ext}'
+    }, { FAKE_WHISPER_LANGUAGE: 'de' });
+    json = JSON.parse(run.stdout);
+    assertEqual(json.files.srt, path.join(outDir, 'voice.de.srt'), 'SRT path uses the template');
+    assertEqual(json.files.vtt, path.join(outDir, 'voice.de.vtt'), 'VTT path uses the template');
+    assertEqual(json.files.json, path.join(outDir, 'voice.de.json'), 'JSON path uses the template');
+    assertEqual(json.files.txt, undefined, 'Unrequested formats are not written');
+    assertEqual(json.text, 'Hello from fake whisper.', 'Transcript is returned without a .txt output');
+    assertEqual(fs.readdirSync(outDir).length, 3, 'Exactly the requested files are produced');
+    
+    run = runCli([audioPath, '--output-format', 'docx']);
+    assertTrue(run.status !== 0 && run.stderr.includes('Unknown output format'), 'CLI rejects unknown output formats');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 16: Result cache
+ */
+function testCache() {
+  console.log('\n⚡ Test Suite: Result Cache');
+  
+  const tmpDir = createTempDir();
+  const cacheDir = path.join(tmpDir, 'cache');
+  const logFile = path.join(tmpDir, 'whisper.log');
+  const env = { WHISPER_CACHE_DIR: cacheDir, FAKE_WHISPER_LOG: logFile };
+  const invocations = () => (fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf-8').trim().split('\n').length : 0);
+  const origCacheDir = process.env.WHISPER_CACHE_DIR;
+  
+  try {
+    const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+    const copyPath = path.join(tmpDir, 'forwarded.wav');
+    fs.copyFileSync(audioPath, copyPath);
+    
+    let run = runCli([audioPath, '--model', 'tiny', '--json'], env);
+    assertEqual(JSON.parse(run.stdout).cached, false, 'First run is not cached');
+    assertEqual(invocations(), 1, 'First run invokes whisper');
+    
+    run = runCli([copyPath, '--model', 'tiny', '--json', '--output-format', 'txt,srt'], env);
+    let json = JSON.parse(run.stdout);
+    assertEqual(json.cached, true, 'Same audio under another name is a cache hit');
+    assertEqual(invocations(), 1, 'Cache hit skips whisper');
+    assertEqual(json.text, 'Hello from fake whisper.', 'Cached result has the transcript');
+    assertEqual(json.segments.length, 1, 'Cached result has segments');
+    assertEqual(json.files.srt, path.join(tmpDir, 'forwarded.srt'), 'Cache hit still writes requested outputs');
+    assertTrue(fs.existsSync(json.files.srt), 'Cached SRT file is restored');
+    
+    runCli([audioPath, '--model', 'base', '--json'], env);
+    assertEqual(invocations(), 2, 'Different model misses the cache');
+    runCli([audioPath, '--model', 'tiny', '--language', 'de', '--json'], env);
+    assertEqual(invocations(), 3, 'Different language misses the cache');
+    runCli([audioPath, '--model', 'tiny', '--json', '--no-cache'], env);
+    assertEqual(invocations(), 4, '--no-cache bypasses the cache');
+    
+    // Age and size caps
+    const key = getCacheKey(audioPath, { backend: 'openai-whisper', model: 'tiny', language: 'auto' });
+    assertTrue(fs.existsSync(path.join(cacheDir, key, 'meta.json')), 'Entry is stored under its content key');
+    const old = new Date(Date.now() - 40 * 24 * 3600 * 1000);
+    fs.utimesSync(path.join(cacheDir, key), old, old);
+    process.env.WHISPER_CACHE_DIR = cacheDir;
+    pruneCache();
+    assertEqual(fs.existsSync(path.join(cacheDir, key)), false, 'Entries past the max age are pruned');
+    pruneCache({ maxMB: 1e-9 });
+    assertEqual(fs.readdirSync(cacheDir).length, 0, 'Size cap evicts entries');
+    
+    runCli([audioPath, '--model', 'tiny', '--json'], env);
+    run = runCli(['--cache-clear'], env);
+    assertTrue(run.stdout.includes('Cleared 1 cached transcription'), '--cache-clear reports removed entries');
+    assertEqual(fs.readdirSync(cacheDir).length, 0, '--cache-clear empties the cache');
+    runCli([audioPath, '--model', 'tiny', '--json'], env);
+    run = runCli(['--cache-clear', '--json'], env);
+    assertEqual(JSON.parse(run.stdout).cleared, 1, 'Flags after --cache-clear still apply');
+    assertEqual(parseArgs(['--cache-clear']).options.cacheClear, true, 'parseArgs only records --cache-clear');
+  } finally {
+    if (origCacheDir !== undefined) process.env.WHISPER_CACHE_DIR = origCacheDir;
+    else delete process.env.WHISPER_CACHE_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 17: Pluggable backends
+ */
+function testBackends() {
+  console.log('\n🔌 Test Suite: Backends');
+  
+  const { BACKENDS, resolveBackend } = transcribeModule;
+  assertEqual(Object.keys(BACKENDS).sort().join(','), 'faster-whisper,openai-whisper,whisper-cpp', 'Registers three backends');
+  
+  const args = BACKENDS['openai-whisper'].buildArgs(['a.wav'], { model: 'tiny', language: 'de', workDir: '/w' });
+  assertEqual(args.join(' '), 'a.wav --model tiny --output_format all --output_dir /w --language de', 'Python CLI argument mapping');
+  assertThrows(() => resolveBackend('nope'), 'Rejects unknown backend names');
+  
+  const tmpDir = createTempDir();
+  const modelsDir = path.join(tmpDir, 'models');
+  fs.mkdirSync(modelsDir);
+  fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), 'fake model');
+  fs.writeFileSync(path.join(modelsDir, 'ggml-large-v3.bin'), 'fake model');
+  const cppEnv = {
+    WHISPER_CMD: '',
+    WHISPER_CPP_CMD: FAKE_WHISPER_CPP,
+    WHISPER_CPP_MODELS: modelsDir,
+    WHISPER_BACKEND_ORDER: 'whisper-cpp,openai-whisper'
+  };
+  
+  try {
+    const origModels = process.env.WHISPER_CPP_MODELS;
+    process.env.WHISPER_CPP_MODELS = modelsDir;
+    assertEqual(transcribeModule.findGgmlModel('large'), path.join(modelsDir, 'ggml-large-v3.bin'), 'Maps large to ggml-large-v3.bin');
+    assertEqual(transcribeModule.findGgmlModel('medium'), null, 'Missing ggml model returns null');
+    if (origModels !== undefined) process.env.WHISPER_CPP_MODELS = origModels;
+    else delete process.env.WHISPER_CPP_MODELS;
+    
+    const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.ogg'), 'ogg');
+    let run = runCli([audioPath, '--model', 'tiny', '--json', '--output-format', 'all'], cppEnv);
+    assertEqual(run.status, 0, 'whisper.cpp backend is auto-detected and runs');
+    let json = JSON.parse(run.stdout);
+    assertEqual(json.backend, 'whisper-cpp', 'Result names the backend');
+    assertEqual(json.text, 'Hello from fake whisper.cpp.', 'whisper.cpp transcript is read');
+    assertEqual(json.language, 'en', 'whisper.cpp language is normalized');
+    assertEqual(json.segments[0].end, 3.2, 'whisper.cpp offsets become segment seconds');
+    assertEqual(json.duration, 3.2, 'Duration comes from normalized segments');
+    assertTrue(fs.readFileSync(json.files.tsv, 'utf-8').includes('0\t3200\tHello'), 'TSV is generated for whisper.cpp');
+    assertTrue(run.stderr.includes('Converting'), 'Input is converted to WAV for whisper.cpp');
+    
+    run = runCli([audioPath, '--model', 'medium', '--backend', 'whisper-cpp'], cppEnv);
+    assertTrue(run.status !== 0 && run.stderr.includes('No ggml model for "medium"'), 'Missing ggml model fails clearly');
+    
+    run = runCli([audioPath, '--model', 'tiny', '--json', '--backend', 'openai-whisper'], Object.assign({}, cppEnv, { WHISPER_CMD: FAKE_WHISPER }));
+    assertEqual(JSON.parse(run.stdout).backend, 'openai-whisper', '--backend overrides auto-detection');
+    
+    run = runCli([audioPath, '--model', 'tiny', '--json', '--backend', 'faster-whisper'], {
+      FASTER_WHISPER_CMD: FAKE_WHISPER,
+      FAKE_WHISPER_PROBABILITY: '0.93'
+    });
+    json = JSON.parse(run.stdout);
+    assertEqual(json.backend, 'faster-whisper', 'faster-whisper backend runs');
+    assertEqual(json.languageProbability, 0.93, 'faster-whisper language probability is captured');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 18: Warm-model daemon
+ */
+function testDaemon() {
+  console.log('\n🔥 Test Suite: Warm-Model Daemon');
+  
+  const { formatTimestamp, writeWhisperOutputs } = transcribeModule;
+  assertEqual(formatTimestamp(3661.5), '01:01:01,500', 'SRT timestamps');
+  assertEqual(formatTimestamp(2.25, '.'), '00:00:02.250', 'VTT timestamps');
+  
+  const options = parseArgs(['--serve', '--idle-timeout', '60']).options;
+  assertTrue(options.serve && options.idleTimeout === 60, 'Parses --serve and --idle-timeout');
+  assertEqual(parseArgs(['--serve-status']).options.daemonCommand, 'status', 'Parses --serve-status');
+  assertEqual(parseArgs(['a.wav', '--no-daemon']).options.daemon, false, 'Parses --no-daemon');
+  
+  const tmpDir = createTempDir();
+  const socketPath = path.join(tmpDir, 'daemon.sock');
+  const workerLog = path.join(tmpDir, 'worker.log');
+  const env = {
+    WHISPER_DAEMON_SOCKET: socketPath,
+    WHISPER_WORKER_CMD: FAKE_WORKER,
+    FAKE_WHISPER_LOG: workerLog
+  };
+  const startDaemon = args => spawn(process.execPath, [path.join(ROOT_DIR, 'transcribe.js'), '--serve'].concat(args), {
+    env: Object.assign({}, process.env, { WHISPER_CMD: FAKE_WHISPER }, env),
+    stdio: 'ignore'
+  });
+  let daemon = null;
+  
+  try {
+    writeWhisperOutputs(tmpDir, 'sample', { text: ' Hi there.', segments: [{ id: 0, start: 0, end: 1.5, text: ' Hi there.' }] });
+    assertEqual(fs.readFileSync(path.join(tmpDir, 'sample.txt'), 'utf-8'), 'Hi there.\n', 'Writes whisper-style txt from a result');
+    assertTrue(fs.readFileSync(path.join(tmpDir, 'sample.srt'), 'utf-8').includes('00:00:00,000 --> 00:00:01,500'), 'Writes SRT from segments');
+    
+    const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+    const other = writeFakeAudio(path.join(tmpDir, 'other.wav'));
+    
+    daemon = startDaemon(['--model', 'tiny', '--idle-timeout', '60']);
+    assertTrue(waitFor(() => fs.existsSync(socketPath)), 'Daemon creates its socket');
+    
+    let run = runCli([audioPath, '--json'], env);
+    let json = JSON.parse(run.stdout);
+    assertEqual(json.text, 'Hello from the warm worker.', 'Single-file call is answered by the daemon');
+    assertEqual(json.model, 'tiny', 'Result reports the daemon\'s model');
+    assertTrue(fs.existsSync(json.files.txt), 'Output files are written by the client');
+    assertTrue(run.stderr.includes('Using warm daemon'), 'Logs that the daemon was used');
+    
+    runCli([other, '--format', 'plain'], env);
+    const loads = fs.readFileSync(workerLog, 'utf-8').split('\n').filter(line => line.startsWith('load'));
+    assertEqual(loads.length, 1, 'Model is loaded once for several calls');
+    
+    run = runCli([audioPath, '--json', '--model', 'large'], env);
+    assertTrue(JSON.parse(run.stdout).text !== 'Hello from the warm worker.', 'Different explicit model falls back to spawning whisper');
+    assertTrue(run.stderr.includes('running whisper directly'), 'Fallback is logged');
+    
+    run = runCli([audioPath, '--format', 'plain', '--no-daemon'], env);
+    assertTrue(!run.stderr.includes('Using warm daemon'), '--no-daemon bypasses the daemon');
+    
+    run = runCli(['--serve-status', '--json'], env);
+    json = JSON.parse(run.stdout);
+    assertTrue(run.status === 0 && json.running && json.served === 2, 'Status reports the running daemon');
+    
+    run = runCli(['--serve-stop'], env);
+    assertEqual(run.status, 0, 'Stop command succeeds');
+    assertTrue(waitFor(() => !fs.existsSync(socketPath)), 'Daemon exits and removes its socket');
+    assertEqual(runCli(['--serve-status'], env).status, 1, 'Status exits 1 without a daemon');
+    
+    daemon = startDaemon(['--model', 'tiny', '--idle-timeout', '0.5']);
+    assertTrue(waitFor(() => fs.existsSync(socketPath)), 'Daemon restarts');
+    assertTrue(waitFor(() => !fs.existsSync(socketPath)), 'Daemon shuts down after the idle timeout');
+    
+    // Leftover socket file from a crashed daemon
+    fs.writeFileSync(socketPath, '');
+    run = runCli([audioPath, '--format', 'plain'], env);
+    assertTrue(run.status === 0 && run.stderr.includes('Daemon not responding'), 'Stale socket falls back to spawning whisper');
+  } finally {
+    if (daemon && daemon.exitCode === null) daemon.kill();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 19: OpenAI-compatible HTTP server
+ */
+function testServer() {
+  console.log('\n🌐 Test Suite: OpenAI-Compatible Server');
+  
+  const { parseMultipart } = transcribeModule;
+  const boundary = 'XyZ';
+  const body = Buffer.from([
+    `--${boundary}`, 'Content-Disposition: form-data; name="model"', '', 'whisper-1',
+    `--${boundary}`, 'Content-Disposition: form-data; name="file"; filename="a.ogg"', 'Content-Type: audio/ogg', '', 'BYTES\r\nMORE',
+    `--${boundary}--`, ''
+  ].join('\r\n'));
+  const form = parseMultipart(body, `multipart/form-data; boundary=${boundary}`);
+  assertEqual(form.fields.model, 'whisper-1', 'Parses multipart fields');
+  assertEqual(form.files.file.filename, 'a.ogg', 'Parses multipart file name');
+  assertEqual(form.files.file.data.toString(), 'BYTES\r\nMORE', 'Keeps file bytes intact');
+  assertThrows(() => parseMultipart(body, 'application/json'), 'Rejects non-multipart bodies');
+  assertEqual(parseArgs(['server', '--port', '9000']).options.command, 'server', 'Parses the server command');
+  
+  const tmpDir = createTempDir();
+  const serverLog = path.join(tmpDir, 'server.log');
+  const logFd = fs.openSync(serverLog, 'w');
+  const server = spawn(process.execPath, [path.join(ROOT_DIR, 'transcribe.js'), 'server', '--port', '0', '--model', 'tiny'], {
+    env: Object.assign({}, process.env, {
+      WHISPER_CMD: FAKE_WHISPER,
+      FFMPEG_CMD: FAKE_FFMPEG,
+      FFPROBE_CMD: FAKE_FFPROBE,
+      WHISPER_CACHE_DIR: path.join(tmpDir, 'cache'),
+      WHISPER_LOCK_DIR: path.join(tmpDir, 'locks'),
+      WHISPER_SERVER_API_KEY: 'sk-local'
+    }),
+    stdio: ['ignore', 'ignore', logFd]
+  });
+  fs.closeSync(logFd);
+  
+  // Requests are made from a child process, like any OpenAI SDK client would
+  const request = (baseUrl, fields, headers = { Authorization: 'Bearer sk-local' }, endpoint = 'transcriptions') => {
+    const script = `
+      const fields = ${JSON.stringify(fields)};
+      const form = new FormData();
+      for (const [name, value] of Object.entries(fields)) {
+        if (name === 'file') form.append('file', new Blob([require('fs').readFileSync(value)]), require('path').basename(value));
+        else form.append(name, value);
+      }
+      fetch(${JSON.stringify(`${baseUrl}/audio/${endpoint}`)}, { method: 'POST', body: form, headers: ${JSON.stringify(headers)} })
+        .then(async res => console.log(JSON.stringify({ status: res.status, type: res.headers.get('content-type'), body: await res.text() })));
+    `;
+    return JSON.parse(spawnSync(process.execPath, ['-e', script], { encoding: 'utf-8' }).stdout);
+  };
+  
+  try {
+    let match = null;
+    waitFor(() => (match = /http:\/\/127\.0\.0\.1:(\d+)\/v1/.exec(fs.readFileSync(serverLog, 'utf-8'))));
+    assertTrue(match, 'Server listens on localhost');
+    if (!match) return;
+    const baseUrl = `http://127.0.0.1:${match[1]}/v1`;
+    const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.ogg'), 'ogg');
+    
+    let res = request(baseUrl, { file: audioPath, model: 'whisper-1' });
+    assertEqual(res.status, 200, 'Transcription request succeeds');
+    assertEqual(JSON.parse(res.body).text, 'Hello from fake whisper.', 'json response has the transcript');
+    
+    res = request(baseUrl, { file: audioPath, response_format: 'text', language: 'de' });
+    assertTrue(res.type.startsWith('text/plain') && res.body === 'Hello from fake whisper.\n', 'text response is plain text');
+    
+    res = request(baseUrl, { file: audioPath, response_format: 'srt' });
+    assertTrue(res.body.includes('-->'), 'srt response is a subtitle file');
+    
+    res = request(baseUrl, { file: audioPath, response_format: 'verbose_json' });
+    const verbose = JSON.parse(res.body);
+    assertTrue(verbose.language && Array.isArray(verbose.segments) && verbose.segments.length > 0, 'verbose_json has language and segments');
+    
+    res = request(baseUrl, { file: audioPath, response_format: 'verbose_json' }, undefined, 'translations');
+    const translation = JSON.parse(res.body);
+    assertTrue(translation.task === 'translate' && translation.text === 'Translated by fake whisper.', 'Translations endpoint returns English text');
+    
+    res = request(baseUrl, { model: 'whisper-1' });
+    assertTrue(res.status === 400 && JSON.parse(res.body).error.param === 'file', 'Missing file is a 400 in OpenAI error shape');
+    
+    res = request(baseUrl, { file: audioPath, response_format: 'docx' });
+    assertEqual(res.status, 400, 'Unknown response_format is rejected');
+    
+    res = request(baseUrl, { file: audioPath }, {});
+    assertEqual(res.status, 401, 'API key is required when configured');
+  } finally {
+    server.kill();
+    waitFor(() => !isAlive(server.pid));
+  }
+  
+  // Slow uploads at once, then Ctrl-C while they run: the queue waits
+  // without blocking the server, and shutdown answers them first
+  const slowLog = path.join(tmpDir, 'slow.log');
+  const slowFd = fs.openSync(slowLog, 'w');
+  const slow = spawn(process.execPath, [path.join(ROOT_DIR, 'transcribe.js'), 'server', '--port', '0', '--model', 'tiny'], {
+    env: Object.assign({}, process.env, {
+      WHISPER_CMD: FAKE_WHISPER,
+      FFMPEG_CMD: FAKE_FFMPEG,
+      FFPROBE_CMD: FAKE_FFPROBE,
+      WHISPER_CACHE_DIR: path.join(tmpDir, 'slow-cache'),
+      WHISPER_LOCK_DIR: path.join(tmpDir, 'slow-locks'),
+      WHISPER_QUEUE_TIMEOUT: '10',
+      FAKE_WHISPER_DELAY: '1000'
+    }),
+    stdio: ['ignore', 'ignore', slowFd]
+  });
+  fs.closeSync(slowFd);
+  try {
+    let match = null;
+    waitFor(() => (match = /http:\/\/127\.0\.0\.1:(\d+)\/v1/.exec(fs.readFileSync(slowLog, 'utf-8'))));
+    const files = ['one.ogg', 'two.ogg'].map(name => writeFakeAudio(path.join(tmpDir, name), 'ogg'));
+    const script = `
+      const upload = file => {
+        const form = new FormData();
+        form.append('file', new Blob([require('fs').readFileSync(file)]), require('path').basename(file));
+        return fetch('http://127.0.0.1:${match && match[1]}/v1/audio/transcriptions', { method: 'POST', body: form }).then(res => res.status);
+      };
+      const started = Date.now();
+      const uploads = Promise.all(${JSON.stringify(files)}.map(upload));
+      setTimeout(() => process.kill(${slow.pid}, 'SIGINT'), 500);
+      uploads.then(statuses => console.log(JSON.stringify({ statuses, ms: Date.now() - started })));
+    `;
+    const result = JSON.parse(spawnSync(process.execPath, ['-e', script], { encoding: 'utf-8', timeout: 30000 }).stdout);
+    assertEqual(result.statuses.join(','), '200,200', 'Concurrent uploads are all answered, in turn');
+    assertTrue(result.ms < 8000, 'A queued upload doesn\'t stall the one that is running');
+    assertTrue(waitFor(() => !isAlive(slow.pid), 5000), 'Server exits after answering uploads in progress on Ctrl-C');
+  } finally {
+    if (isAlive(slow.pid)) slow.kill('SIGKILL');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 20: Layered configuration
+ */
+function testConfig() {
+  console.log('\n⚙️  Test Suite: Configuration');
+  
+  const { loadConfig } = transcribeModule;
+  const tmpDir = createTempDir();
+  const xdg = path.join(tmpDir, 'xdg');
+  const project = path.join(tmpDir, 'project');
+  const userConfig = path.join(xdg, 'local-whisper', 'config.json');
+  fs.mkdirSync(path.dirname(userConfig), { recursive: true });
+  fs.mkdirSync(path.join(project, 'sub'), { recursive: true });
+  
+  try {
+    fs.writeFileSync(userConfig, JSON.stringify({ language: 'de', outputFormats: ['txt', 'srt'], cacheMaxMB: 100 }));
+    fs.writeFileSync(path.join(project, '.local-whisper.json'), JSON.stringify({ language: 'fr', outputDir: 'out' }));
+    
+    let config = loadConfig({ env: { XDG_CONFIG_HOME: xdg, WHISPER_CACHE_MAX_MB: '50' }, cwd: path.join(project, 'sub') });
+    assertEqual(config.values.model, 'small', 'Unset settings keep built-in defaults');
+    assertEqual(config.values.outputFormats, 'txt,srt', 'User config applies');
+    assertEqual(config.values.language, 'fr', 'Project config overrides user config');
+    assertTrue(config.sources.language.startsWith('project'), 'Source of a project setting is recorded');
+    assertEqual(config.values.outputDir, path.join(project, 'out'), 'Relative paths resolve against the config file');
+    assertEqual(config.values.cacheMaxMB, 50, 'Environment overrides config files');
+    assertEqual(config.sources.cacheMaxMB, 'env WHISPER_CACHE_MAX_MB', 'Source of an env setting is recorded');
+    assertEqual(config.errors.length, 0, 'Valid config has no errors');
+    
+    fs.writeFileSync(userConfig, JSON.stringify({ cacheMaxMB: 'lots', colour: 'blue' }));
+    config = loadConfig({ env: { XDG_CONFIG_HOME: xdg }, cwd: tmpDir });
+    assertTrue(config.errors.some(e => e.includes('cacheMaxMB')), 'Wrong types are errors');
+    assertTrue(config.warnings.some(w => w.includes('colour')), 'Unknown keys are warnings');
+    config = loadConfig({ env: { WHISPER_CONFIG: path.join(tmpDir, 'missing.json') }, cwd: tmpDir });
+    assertEqual(config.errors.length, 1, 'Explicit WHISPER_CONFIG must exist');
+    
+    // CLI: config file defaults, flags on top, config show
+    fs.writeFileSync(userConfig, JSON.stringify({ format: 'plain', outputFormats: 'txt,srt' }));
+    const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+    let run = runCli([audioPath, '--model', 'tiny'], { XDG_CONFIG_HOME: xdg });
+    assertEqual(run.stdout.trim(), 'Hello from fake whisper.', 'Config file sets the stdout format');
+    assertTrue(fs.existsSync(path.join(tmpDir, 'voice.srt')), 'Config file sets the output formats');
+    
+    run = runCli(['config', 'show', '--json', '--language', 'es'], { XDG_CONFIG_HOME: xdg });
+    const shown = JSON.parse(run.stdout).settings;
+    assertEqual(shown.language.source, 'flag --language', 'config show attributes flags');
+    assertEqual(shown.format.value, 'json', 'Flags win over config files');
+    assertTrue(shown.outputFormats.source.startsWith('user'), 'config show attributes the user config');
+    assertTrue(runCli(['config', 'show'], { XDG_CONFIG_HOME: xdg }).stdout.includes('Precedence'), 'config show prints a table');
+    
+    fs.writeFileSync(userConfig, '{ not json');
+    run = runCli([audioPath], { XDG_CONFIG_HOME: xdg });
+    assertTrue(run.status === 2 && run.stderr.includes('Config error'), 'Invalid config file fails clearly');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 21: Chunked long-audio pipeline
+ */
+function testChunking() {
+  console.log('\n🧩 Test Suite: Long Audio Chunking');
+  
+  const { planChunks, stitchChunks, formatDuration } = transcribeModule;
+  const silences = [{ start: 590, end: 596 }, { start: 1180, end: 1186 }];
+  let chunks = planChunks(1500, silences, { chunkLength: 600, overlap: 2 });
+  assertEqual(chunks.length, 3, 'Long audio is planned as chunks');
+  assertEqual(chunks[1].start, 593, 'Cuts land in the middle of a nearby silence');
+  assertEqual(chunks[2].end, 1500, 'Last chunk absorbs the tail');
+  assertEqual(chunks[1].from, 591, 'Chunks are padded with overlap');
+  assertEqual(planChunks(700, [], { chunkLength: 600, overlap: 2 }).length, 1, 'Slightly long audio stays one chunk');
+  assertEqual(planChunks(1500, [], { chunkLength: 600, overlap: 2 })[1].start, 600, 'Without silences cuts fall on the target');
+  
+  chunks = planChunks(1300, [], { chunkLength: 600, overlap: 2 });
+  const stitched = stitchChunks(chunks, [
+    { segments: [{ start: 596, end: 601, text: 'A' }] },
+    { segments: [{ start: 0, end: 3, text: 'A' }, { start: 10, end: 12, text: 'B' }] },
+    { segments: [] }
+  ]);
+  assertEqual(stitched.map(seg => seg.text).join(','), 'A,B', 'Overlapping segments are kept once');
+  assertEqual(stitched[1].start, 608, 'Segment times are shifted to the recording');
+  assertEqual(formatDuration(3725), '1h 02m', 'formatDuration hours');
+  assertEqual(formatDuration(65), '1m 05s', 'formatDuration minutes');
+  
+  // CLI: fail mid-way, then resume from the checkpoint
+  const tmpDir = createTempDir();
+  const cacheDir = path.join(tmpDir, 'cache');
+  const logFile = path.join(tmpDir, 'whisper.log');
+  const segments = [{ start: 588, end: 592, text: 'Across the cut.' }];
+  for (let k = 0; k < 15; k++) {
+    segments.push({ start: k * 100 + 10, end: k * 100 + 20, text: `Part ${k}.` });
+  }
+  const audioPath = path.join(tmpDir, 'lecture.wav');
+  fs.writeFileSync(audioPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 1500,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    segments,
+    silences: [[590, 596], [1180, 1186]]
+  }));
+  const env = { WHISPER_CACHE_DIR: cacheDir, FAKE_WHISPER_LOG: logFile };
+  
+  try {
+    let run = runCli([audioPath, '--model', 'tiny', '--json'], Object.assign({ FAKE_WHISPER_FAIL_ON: 'chunk-001' }, env));
+    assertEqual(run.status, 7, 'A failing chunk fails the run');
+    assertTrue(run.stderr.includes('rerun to resume'), 'Failure explains how to resume');
+    const checkpoints = path.join(cacheDir, '.checkpoints');
+    const saved = fs.readdirSync(checkpoints).map(key => path.join(checkpoints, key));
+    assertTrue(saved.length === 1 && fs.existsSync(path.join(saved[0], 'chunk-000.json')), 'Finished chunks are checkpointed');
+    
+    fs.rmSync(logFile, { force: true });
+    run = runCli([audioPath, '--model', 'tiny', '--json'], env);
+    assertEqual(run.status, 0, 'Rerun succeeds');
+    const calls = fs.readFileSync(logFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assertEqual(calls.length, 2, 'Rerun only transcribes unfinished chunks');
+    assertTrue(run.stderr.includes('Resuming: 1/3'), 'Rerun reports the resume');
+    assertTrue(calls.every(args => args.join(' ').includes('--language en')), 'Detected language is reused for later chunks');
+    assertTrue(/⏳ \d+% .*ETA/.test(run.stderr), 'Progress with percentage and ETA');
+    const result = JSON.parse(run.stdout);
+    assertEqual(result.segments.length, 16, 'Stitched transcript has every segment once');
+    assertEqual(result.segments.find(seg => seg.text.trim() === 'Part 7.').start, 710, 'Segments are on the recording timeline');
+    assertEqual(result.duration, 1500, 'Result duration is the full recording');
+    assertTrue(!fs.existsSync(saved[0]), 'Checkpoint is removed after success');
+    
+    // Long files in a batch take the chunked pipeline too
+    fs.rmSync(logFile, { force: true });
+    const memoPath = writeFakeAudio(path.join(tmpDir, 'memo.wav'));
+    run = runCli([audioPath, memoPath, '--model', 'tiny', '--json', '--no-cache'], env);
+    assertEqual(run.status, 0, 'Batch with a long recording succeeds');
+    const batch = JSON.parse(run.stdout).results;
+    assertEqual(batch[0].segments.length, 16, 'Long recording in a batch is stitched from chunks');
+    assertEqual(batch[1].text, 'Hello from fake whisper.', 'Short recording in the same batch is transcribed');
+    assertEqual(fs.readFileSync(logFile, 'utf-8').trim().split('\n').length, 4, 'Batch runs whisper per chunk plus once for the short files');
+    assertTrue(/⏳ \d+% .*ETA/.test(run.stderr), 'Batch reports chunk progress with ETA');
+    
+    fs.rmSync(logFile, { force: true });
+    runCli([audioPath, '--model', 'tiny', '--no-chunking', '--no-cache'], env);
+    assertEqual(fs.readFileSync(logFile, 'utf-8').trim().split('\n').length, 1, '--no-chunking transcribes in one run');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 22: Timeouts, cancellation and resource limits
+ */
+function testTimeouts() {
+  console.log('\n⏱️  Test Suite: Timeouts and Cancellation');
+  
+  const { BACKENDS } = transcribeModule;
+  const whisperArgs = BACKENDS['openai-whisper'].buildArgs(['a.wav'], { model: 'tiny', language: 'auto', workDir: '/tmp', threads: 2 });
+  assertTrue(whisperArgs.join(' ').includes('--threads 2'), 'Thread limit is passed to the whisper CLI');
+  
+  const tmpDir = createTempDir();
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+  const childPidFile = path.join(tmpDir, 'child.pid');
+  const logFile = path.join(tmpDir, 'whisper.log');
+  const hang = { FAKE_WHISPER_DELAY: '30000', FAKE_WHISPER_CHILD: childPidFile };
+  
+  try {
+    const started = Date.now();
+    let run = runCli([audioPath, '--model', 'tiny', '--timeout', '1', '--no-daemon'], hang);
+    assertEqual(run.status, 124, 'Timeout exits with status 124');
+    assertTrue(Date.now() - started < 10000, 'Hung whisper is killed at the timeout');
+    assertTrue(run.stderr.includes('timed out after 1s'), 'Timeout is reported');
+    const childPid = parseInt(fs.readFileSync(childPidFile, 'utf-8'), 10);
+    assertTrue(waitFor(() => !isAlive(childPid)), 'Timeout kills the whole process tree');
+    
+    // Cancel a running transcription with SIGTERM
+    fs.rmSync(childPidFile, { force: true });
+    const script = `
+      const cli = require('child_process').spawn(process.execPath, ${JSON.stringify([path.join(ROOT_DIR, 'transcribe.js'), audioPath, '--model', 'tiny', '--no-daemon'])}, { stdio: 'ignore' });
+      const poll = setInterval(() => {
+        if (require('fs').existsSync(${JSON.stringify(childPidFile)})) {
+          clearInterval(poll);
+          cli.kill('SIGTERM');
+        }
+      }, 50);
+      cli.on('exit', code => console.log(code));`;
+    run = runNode(['-e', script], hang);
+    assertEqual(run.stdout.trim(), '143', 'SIGTERM exits with status 143');
+    const cancelledPid = parseInt(fs.readFileSync(childPidFile, 'utf-8'), 10);
+    assertTrue(waitFor(() => !isAlive(cancelledPid)), 'Cancellation kills the whole process tree');
+    
+    run = runCli([audioPath, '--model', 'tiny', '--no-daemon', '--threads', '2', '--nice', '5'], { FAKE_WHISPER_LOG: logFile });
+    assertEqual(run.status, 0, 'Thread and priority limits run');
+    assertTrue(fs.readFileSync(logFile, 'utf-8').includes('"--threads","2"'), '--threads reaches the backend');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 23: Exit statuses and typed errors
+ */
+function testExitCodes() {
+  console.log('\n🚦 Test Suite: Exit Codes and Errors');
+  
+  const { EXIT_CODES, QueueTimeoutError, BackendError, TranscribeError, errorToJson } = transcribeModule;
+  const queued = new QueueTimeoutError('busy');
+  assertTrue(queued instanceof TranscribeError && queued instanceof Error, 'Typed errors extend TranscribeError');
+  assertEqual(queued.exitCode, EXIT_CODES.QUEUE_TIMEOUT, 'Error carries its exit status');
+  assertEqual(queued.retryable, true, 'Queue timeouts are retryable');
+  assertEqual(new BackendError('crash').retryable, false, 'Backend failures are not retryable');
+  assertEqual(errorToJson(new Error('boom')).code, 'FAILED', 'Untyped errors map to FAILED');
+  
+  const tmpDir = createTempDir();
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+  const lastJsonLine = stderr => JSON.parse(stderr.trim().split('\n').pop()).error;
+  
+  try {
+    let run = runCli([path.join(tmpDir, 'missing.ogg'), '--no-daemon']);
+    assertEqual(run.status, 3, 'Missing input exits 3');
+    
+    run = runCli([path.join(tmpDir, 'missing.ogg'), '--no-daemon', '--json']);
+    const error = lastJsonLine(run.stderr);
+    assertEqual(error.code, 'INPUT_NOT_FOUND', 'JSON mode prints the error code on stderr');
+    assertEqual(error.exitCode, 3, 'JSON error includes the exit status');
+    assertEqual(error.file, path.join(tmpDir, 'missing.ogg'), 'JSON error includes details');
+    assertEqual(run.stdout, '', 'JSON error stays off stdout');
+    
+    const bogusPath = path.join(tmpDir, 'notes.aac');
+    fs.writeFileSync(bogusPath, 'not audio');
+    assertEqual(runCli([bogusPath, '--no-daemon']).status, 4, 'Undecodable input exits 4');
+    assertEqual(runCli([audioPath, '--output-format', 'docx']).status, 2, 'Usage errors exit 2');
+    assertEqual(runCli([audioPath, '--no-daemon'], { WHISPER_CMD: path.join(tmpDir, 'no-whisper') }).status, 5, 'Missing whisper exits 5');
+    
+    run = runCli([audioPath, '--no-daemon', '--json'], { FAKE_WHISPER_FAIL: '1' });
+    assertEqual(run.status, 7, 'Whisper failure exits 7');
+    assertEqual(lastJsonLine(run.stderr).code, 'BACKEND_FAILED', 'Whisper failure is reported as BACKEND_FAILED');
+    assertEqual(runCli([audioPath, '--no-daemon'], { FAKE_WHISPER_NO_OUTPUT: '1' }).status, 8, 'Missing transcript exits 8');
+    
+    run = runCli([audioPath, path.join(tmpDir, 'gone.wav'), '--json']);
+    const failedEntry = JSON.parse(run.stdout).results.find(r => !r.ok);
+    assertEqual(failedEntry.code, 'INPUT_NOT_FOUND', 'Batch results carry per-file error codes');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 24: Programmatic API
+ */
+function testProgrammaticApi() {
+  console.log('\n📦 Test Suite: Programmatic API');
+  
+  const tmpDir = createTempDir();
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'voice.wav'));
+  const longPath = path.join(tmpDir, 'lecture.wav');
+  fs.writeFileSync(longPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 1500,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    segments: [{ start: 10, end: 20, text: 'Part 0.' }, { start: 710, end: 720, text: 'Part 7.' }, { start: 1410, end: 1420, text: 'Part 14.' }]
+  }));
+  // Runs a list of transcribeAsync() calls and prints what each produced
+  const runApi = (calls, env = {}) => {
+    const script = `
+      const fs = require('fs');
+      const { transcribeAsync, loadConfig } = require(${JSON.stringify(path.join(ROOT_DIR, 'transcribe.js'))});
+      const calls = ${calls};
+      (async () => {
+        const report = [];
+        for (const [input, options] of calls) {
+          const entry = { events: [], messages: [] };
+          try {
+            entry.result = await transcribeAsync(input, Object.assign({ model: 'tiny', logger: m => entry.messages.push(m) }, options))
+              .on('progress', p => entry.events.push(['progress', p]))
+              .on('segment', s => entry.events.push(['segment', s]))
+              .on('done', () => entry.events.push(['done']));
+          } catch (error) {
+            entry.error = { name: error.name, code: error.code, message: error.message };
+          }
+          report.push(entry);
+        }
+        report.push({ signalHandlers: process.listenerCount('SIGINT') + process.listenerCount('SIGTERM') });
+        console.log(JSON.stringify(report));
+      })();`;
+    const run = runNode(['-e', script], env);
+    return { run, report: run.status === 0 ? JSON.parse(run.stdout) : [] };
+  };
+  
+  try {
+    const { run, report } = runApi(`[
+      [${JSON.stringify(audioPath)}, {}],
+      [fs.readFileSync(${JSON.stringify(audioPath)}), { filename: 'memo.wav', cache: false }],
+      [fs.createReadStream(${JSON.stringify(audioPath)}), { filename: 'memo.wav', cache: false }],
+      [${JSON.stringify(path.join(tmpDir, 'missing.ogg'))}, {}],
+      [42, {}]
+    ]`);
+    assertEqual(run.status, 0, 'API calls run to completion');
+    assertEqual(run.stderr, '', 'API prints nothing to stderr');
+    const [fromPath, fromBuffer, fromStream, missing, invalid, state] = report;
+    assertEqual(fromPath.result.text, 'Hello from fake whisper.', 'Path input resolves with the transcript');
+    assertTrue(fromPath.messages.some(m => m.includes('Transcribing with Whisper')), 'Progress messages go to the logger');
+    assertEqual(fromPath.events.map(e => e[0]).join(','), 'progress,segment,done', 'Progress, segment and done events fire in order');
+    assertEqual(fs.readdirSync(tmpDir).sort().join(','), 'lecture.wav,voice.wav', 'No output files unless asked for');
+    assertEqual(fromBuffer.result.text, 'Hello from fake whisper.', 'Buffer input is transcribed');
+    assertEqual(fromStream.result.text, 'Hello from fake whisper.', 'Stream input is transcribed');
+    assertEqual(missing.error.code, 'INPUT_NOT_FOUND', 'Failures reject with a typed error');
+    assertEqual(invalid.error.name, 'UsageError', 'Unsupported input types are rejected');
+    assertEqual(state.signalHandlers, 0, 'No signal handlers are installed');
+    
+    const outDir = path.join(tmpDir, 'out');
+    const long = runApi(`[
+      [fs.readFileSync(${JSON.stringify(longPath)}), { filename: 'lecture.wav', outputDir: ${JSON.stringify(outDir)}, outputFormats: 'srt' }]
+    ]`).report[0];
+    const progress = long.events.filter(e => e[0] === 'progress').map(e => e[1]);
+    assertEqual(progress.map(p => p.percent).pop(), 100, 'Long audio reports percentages');
+    assertEqual(progress[0].chunks, 3, 'Progress events carry chunk counts');
+    const segments = long.events.filter(e => e[0] === 'segment').map(e => e[1]);
+    assertEqual(segments.map(s => s.start).join(','), '10,710,1410', 'Segments are emitted chunk by chunk on the recording timeline');
+    assertTrue(fs.existsSync(path.join(outDir, 'lecture.srt')), 'Output files are written to outputDir');
+    
+    // Config is read on the first call, and its errors reach the caller
+    const badConfig = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(badConfig, '{ "model": ');
+    const goodConfig = path.join(tmpDir, 'good.json');
+    fs.writeFileSync(goodConfig, JSON.stringify({ glossary: { hello: 'Hallo' } }));
+    const requireOnly = runNode(['-e', `
+      const fs = require('fs');
+      const read = [];
+      for (const name of ['existsSync', 'readFileSync', 'statSync']) {
+        const original = fs[name];
+        fs[name] = (file, ...rest) => { read.push(String(file)); return original(file, ...rest); };
+      }
+      require(${JSON.stringify(path.join(ROOT_DIR, 'transcribe.js'))});
+      console.log(JSON.stringify(read.filter(file => file.endsWith('.json'))));`], { WHISPER_CONFIG: badConfig });
+    assertEqual(requireOnly.status, 0, 'Requiring the module with a broken config succeeds');
+    assertEqual(requireOnly.stdout.trim(), '[]', 'Requiring the module reads no config files');
+    const configured = runApi(`[
+      [${JSON.stringify(audioPath)}, {}],
+      [${JSON.stringify(audioPath)}, { config: loadConfig({ env: { WHISPER_CONFIG: ${JSON.stringify(goodConfig)} } }) }]
+    ]`, { WHISPER_CONFIG: badConfig }).report;
+    assertEqual(configured[0].error && configured[0].error.name, 'UsageError', 'A broken config file rejects the call');
+    assertTrue(configured[0].error && configured[0].error.message.includes(badConfig), 'The rejection names the config file');
+    assertEqual(configured[1].result && configured[1].result.text, 'Hallo from fake whisper.', 'options.config replaces the config files');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 25: Voice activity detection
+ */
+function testVoiceActivity() {
+  console.log('\n🔇 Test Suite: Voice Activity Detection');
+  
+  const { speechSpan } = transcribeModule;
+  const span = speechSpan(10, [{ start: 0, end: 4.5 }, { start: 7.5, end: 10 }]);
+  assertEqual([span.start, span.end, span.speech].join(','), '4.5,7.5,3', 'speechSpan finds the speech between silences');
+  assertEqual(speechSpan(5, [{ start: 0, end: 5 }]).speech, 0, 'All-silent audio has no speech');
+  
+  const tmpDir = createTempDir();
+  const logFile = path.join(tmpDir, 'whisper.log');
+  const silentPath = path.join(tmpDir, 'pocket.wav');
+  fs.writeFileSync(silentPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 2.5,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    silences: [[0, null]]
+  }));
+  const paddedPath = path.join(tmpDir, 'memo.wav');
+  fs.writeFileSync(paddedPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 10,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    segments: [{ start: 5, end: 7, text: 'Hello there.' }],
+    silences: [[0, 4.5], [7.5, 10]]
+  }));
+  
+  try {
+    let run = runCli([silentPath, '--json', '--no-daemon'], { FAKE_WHISPER_LOG: logFile });
+    assertEqual(run.status, 0, 'Silent recording succeeds');
+    let result = JSON.parse(run.stdout);
+    assertEqual(result.noSpeech, true, 'Silent recording gets a no-speech result');
+    assertEqual(result.text, '', 'No-speech result has no text');
+    assertTrue(!fs.existsSync(logFile), 'Whisper is not run on silence');
+    assertTrue(!fs.existsSync(path.join(tmpDir, 'pocket.txt')), 'No output files for silence');
+    
+    run = runCli([silentPath, '--json', '--no-daemon', '--no-vad'], { FAKE_WHISPER_LOG: logFile });
+    assertEqual(JSON.parse(run.stdout).noSpeech, false, '--no-vad runs whisper anyway');
+    
+    run = runCli([paddedPath, '--json', '--no-daemon', '--trim-silence', '--output-format', 'srt']);
+    assertEqual(run.status, 0, 'Trimmed recording is transcribed');
+    result = JSON.parse(run.stdout);
+    assertTrue(run.stderr.includes('Trimming silence'), 'Trimming is reported');
+    assertEqual(result.segments[0].start, 5, 'Trimmed timestamps are on the original timeline');
+    assertEqual(result.duration, 10, 'Duration is the full recording');
+    assertTrue(fs.readFileSync(path.join(tmpDir, 'memo.srt'), 'utf-8').includes('00:00:05,000 --> 00:00:07,000'), 'Subtitles use the original timeline');
+    
+    // Batch runs skip and trim silence per file too
+    fs.rmSync(logFile, { force: true });
+    run = runCli([silentPath, paddedPath, '--json', '--no-cache', '--trim-silence'], { FAKE_WHISPER_LOG: logFile });
+    assertEqual(run.status, 0, 'Batch with a silent recording succeeds');
+    const [silent, padded] = JSON.parse(run.stdout).results;
+    assertEqual(`${silent.noSpeech}/${silent.text}`, 'true/', 'Silent recording in a batch gets a no-speech result');
+    const calls = fs.readFileSync(logFile, 'utf-8').trim().split('\n');
+    assertTrue(calls.length === 1 && !calls[0].includes('pocket'), 'Whisper is not run on silence in a batch');
+    assertEqual(padded.segments[0].start, 5, 'Batch trims silence and keeps the original timeline');
+    assertTrue(run.stderr.includes('Trimming silence'), 'Batch trimming is reported');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 26: Hallucination and repetition filtering
+ */
+function testHallucinationFilter() {
+  console.log('\n🧹 Test Suite: Hallucination Filtering');
+  
+  const { collapseRepeats, filterTranscription } = transcribeModule;
+  assertEqual(collapseRepeats('I love you. I love you. I love you. I love you.'), 'I love you.', 'Repetition loops collapse to one phrase');
+  assertEqual(collapseRepeats('Yes, yes. We agree.'), 'Yes, yes. We agree.', 'Short repeats are kept');
+  const transcription = {
+    text: '',
+    segments: [
+      { id: 0, start: 0, end: 2, text: 'Okay.', avgLogprob: -0.2, noSpeechProb: 0.1 },
+      { id: 1, start: 2, end: 3, text: 'Okay.', avgLogprob: -0.2, noSpeechProb: 0.1 },
+      { id: 2, start: 3, end: 4, text: 'Okay.', avgLogprob: -0.2, noSpeechProb: 0.1 },
+      { id: 3, start: 4, end: 6, text: 'Static noise words.', avgLogprob: -1.5, noSpeechProb: 0.9 }
+    ]
+  };
+  assertTrue(filterTranscription(transcription, {}), 'Filtering reports a change');
+  assertEqual(transcription.segments.length, 2, 'Repeated and silent segments are dropped');
+  assertEqual(transcription.filtered, 2, 'Dropped segments are counted');
+  
+  const tmpDir = createTempDir();
+  const audioPath = path.join(tmpDir, 'call.wav');
+  fs.writeFileSync(audioPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 12,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    segments: [
+      { start: 0, end: 3, text: 'See you on Monday.', avg_logprob: -0.3, no_speech_prob: 0.05, compression_ratio: 1.1 },
+      { start: 3, end: 8, text: 'I mean it. I mean it. I mean it. I mean it.', avg_logprob: -1.6, no_speech_prob: 0.2, compression_ratio: 3.2 },
+      { start: 8, end: 12, text: 'Thanks for watching!', avg_logprob: -1.3, no_speech_prob: 0.4, compression_ratio: 0.9 }
+    ]
+  }));
+  
+  try {
+    let run = runCli([audioPath, '--json', '--no-daemon', '--output-format', 'srt']);
+    assertEqual(run.status, 0, 'Filtered transcription succeeds');
+    let result = JSON.parse(run.stdout);
+    assertEqual(result.text, 'See you on Monday. I mean it.', 'Filler line is dropped and the loop collapsed');
+    assertEqual(result.filtered, 1, 'Result counts filtered segments');
+    assertEqual(result.segments[1].lowConfidence, true, 'Low-confidence segments are flagged');
+    assertEqual(result.lowConfidence, true, 'Mostly low-confidence transcript is flagged');
+    assertTrue(!fs.readFileSync(path.join(tmpDir, 'call.srt'), 'utf-8').includes('watching'), 'Output files are filtered too');
+    
+    run = runCli([audioPath, '--json', '--no-daemon', '--logprob-threshold', '-2']);
+    result = JSON.parse(run.stdout);
+    assertEqual(result.lowConfidence, false, '--logprob-threshold changes what counts as low confidence');
+    assertEqual(result.segments.length, 3, 'Filler with good scores is kept');
+    
+    run = runCli([audioPath, '--json', '--no-daemon', '--no-filter']);
+    assertTrue(JSON.parse(run.stdout).text.includes('Thanks for watching'), '--no-filter keeps the raw transcript');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 27: Speaker diarization
+ */
+function testDiarization() {
+  console.log('\n🗣️  Test Suite: Speaker Diarization');
+  
+  const { parseSpeakerTurns, assignSpeakers } = transcribeModule;
+  const rttm = 'SPEAKER a 1 0.000 2.000 <NA> <NA> bob <NA> <NA>\nSPEAKER a 1 2.000 3.000 <NA> <NA> alice <NA> <NA>\n';
+  let turns = parseSpeakerTurns(rttm);
+  assertEqual(turns.map(t => `${t.speaker}@${t.end}`).join(','), 'bob@2,alice@5', 'RTTM turns are parsed');
+  assertEqual(parseSpeakerTurns('[{"start": 1, "end": 2, "speaker": "A"}]')[0].speaker, 'A', 'JSON turns are parsed');
+  const labelled = assignSpeakers([
+    { start: 0, end: 1.5, text: 'Hi.' },
+    { start: 1.5, end: 4, text: 'Hello, Bob.' },
+    { start: 7, end: 8, text: 'Bye.' }
+  ], turns);
+  assertEqual(labelled.map(seg => seg.speaker).join(','), 'SPEAKER_1,SPEAKER_2,SPEAKER_2', 'Segments get the most-overlapping (or nearest) speaker');
+  
+  const tmpDir = createTempDir();
+  const audioPath = path.join(tmpDir, 'meeting.wav');
+  const logFile = path.join(tmpDir, 'diarizer.log');
+  fs.writeFileSync(audioPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 9,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    segments: [
+      { start: 0, end: 2, text: 'Shall we start?' },
+      { start: 2, end: 4, text: 'Yes.' },
+      { start: 4, end: 6, text: 'Budget first.' },
+      { start: 6, end: 9, text: 'Agreed.' }
+    ],
+    turns: [[0, 2.1, 'spk_7'], [2.1, 6.2, 'spk_3'], [6.2, 9, 'spk_7']]
+  }));
+  const env = { WHISPER_DIARIZE_CMD: FAKE_DIARIZER, FAKE_DIARIZER_LOG: logFile };
+  
+  try {
+    let run = runCli([audioPath, '--json', '--no-daemon', '--speakers', '2', '--output-format', 'txt,srt'], env);
+    assertEqual(run.status, 0, 'Diarized transcription succeeds');
+    const result = JSON.parse(run.stdout);
+    assertEqual(result.text, 'SPEAKER_1: Shall we start?\nSPEAKER_2: Yes. Budget first.\nSPEAKER_1: Agreed.', 'Text is labelled by speaker turn');
+    assertEqual(result.segments[2].speaker, 'SPEAKER_2', 'Segments carry their speaker');
+    assertEqual(result.speakers.join(','), 'SPEAKER_1,SPEAKER_2', 'Result lists the speakers');
+    assertTrue(fs.readFileSync(path.join(tmpDir, 'meeting.srt'), 'utf-8').includes('SPEAKER_2: Budget first.'), 'Subtitles are labelled');
+    assertTrue(fs.readFileSync(path.join(tmpDir, 'meeting.txt'), 'utf-8').startsWith('SPEAKER_1: Shall we start?\n'), 'Text file is labelled');
+    assertTrue(fs.readFileSync(logFile, 'utf-8').includes('"--num-speakers","2"'), 'Expected speaker count reaches the tool');
+    
+    run = runCli([audioPath, '--no-daemon', '--diarize', '--no-cache'], Object.assign({}, env, { FAKE_DIARIZER_JSON: '1' }));
+    assertEqual(run.status, 0, 'JSON diarization output is accepted');
+    
+    run = runCli([audioPath, '--no-daemon', '--diarize', '--no-cache', '--json'], Object.assign({}, env, { FAKE_DIARIZER_FAIL: '1' }));
+    assertEqual(run.status, 7, 'Diarization failure exits 7');
+    assertEqual(JSON.parse(run.stderr.trim().split('\n').pop()).error.type, 'DiarizationError', 'Diarization failure has its own error type');
+    
+    run = runCli([audioPath, '--no-daemon', '--diarize', '--no-cache'], { WHISPER_DIARIZE_CMD: path.join(tmpDir, 'no-diarizer') });
+    assertEqual(run.status, 5, 'Missing diarization tool exits 5');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 28: Translation tasks
+ */
+function testTranslation() {
+  console.log('\n🌍 Test Suite: Translation');
+  
+  const { BACKENDS } = transcribeModule;
+  const args = BACKENDS['openai-whisper'].buildArgs(['a.wav'], { model: 'tiny', language: 'de', task: 'translate', workDir: '/w' });
+  assertTrue(args.join(' ').endsWith('--language de --task translate'), 'Python CLI gets --task translate');
+  assertEqual(parseArgs(['a.wav', '--task', 'both']).options.task, 'both', 'Parses --task');
+  
+  const tmpDir = createTempDir();
+  const origModels = process.env.WHISPER_CPP_MODELS;
+  process.env.WHISPER_CPP_MODELS = tmpDir;
+  fs.writeFileSync(path.join(tmpDir, 'ggml-tiny.bin'), 'fake model');
+  const cppArgs = BACKENDS['whisper-cpp'].buildArgs(['a.wav'], { model: 'tiny', task: 'translate', workDir: '/w' });
+  assertTrue(cppArgs.includes('-tr'), 'whisper.cpp gets -tr');
+  if (origModels !== undefined) process.env.WHISPER_CPP_MODELS = origModels;
+  else delete process.env.WHISPER_CPP_MODELS;
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'interview.wav'), 'wav');
+  const env = { FAKE_WHISPER_LANGUAGE: 'de', FAKE_WHISPER_TEXT: 'Hallo aus Berlin.', FAKE_WHISPER_TRANSLATION: 'Hello from Berlin.' };
+  
+  try {
+    let run = runCli([audioPath, '--json', '--no-daemon', '--task', 'translate'], env);
+    assertEqual(run.status, 0, 'Translation succeeds');
+    let result = JSON.parse(run.stdout);
+    assertEqual(result.text, 'Hello from Berlin.', 'Translate returns English text');
+    assertEqual(result.task, 'translate', 'Result names the task');
+    assertEqual(result.language, 'de', 'Result keeps the detected source language');
+    
+    const logFile = path.join(tmpDir, 'whisper.log');
+    run = runCli([audioPath, '--json', '--no-daemon', '--task', 'both', '--output-format', 'txt,srt'], Object.assign({ FAKE_WHISPER_LOG: logFile }, env));
+    assertEqual(run.status, 0, 'Transcribe-and-translate succeeds');
+    result = JSON.parse(run.stdout);
+    assertEqual(result.task, 'both', 'Result names both tasks');
+    assertEqual(result.text, 'Hallo aus Berlin.', 'Original text is kept');
+    assertEqual(result.translation.text, 'Hello from Berlin.', 'Translation is included');
+    assertEqual(result.translation.files.srt, path.join(tmpDir, 'interview.en.srt'), 'Translation files get an .en suffix');
+    assertEqual(fs.readFileSync(path.join(tmpDir, 'interview.txt'), 'utf-8').trim(), 'Hallo aus Berlin.', 'Original file keeps the transcript');
+    const calls = fs.readFileSync(logFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assertTrue(calls[1].includes('translate') && calls[1][calls[1].indexOf('--language') + 1] === 'de', 'Translation reuses the detected language');
+    
+    run = runCli([audioPath, '--format', 'plain', '--no-daemon', '--task', 'both'], env);
+    assertEqual(run.stdout, 'Hallo aus Berlin.\n\nHello from Berlin.\n', 'Plain output prints both texts');
+    
+    run = runCli([audioPath, '--task', 'summarize']);
+    assertEqual(run.status, 2, 'Unknown task exits 2');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 29: Language detection and allowed languages
+ */
+function testLanguageDetection() {
+  console.log('\n🔎 Test Suite: Language Detection');
+  
+  assertEqual(parseArgs(['a.wav', '--allowed-languages', 'de,en']).options.allowedLanguages, 'de,en', 'Parses --allowed-languages');
+  assertTrue(parseArgs(['a.wav', '--detect-language']).options.detectLanguage, 'Parses --detect-language');
+  
+  const tmpDir = createTempDir();
+  const audioPath = path.join(tmpDir, 'memo.wav');
+  fs.writeFileSync(audioPath, JSON.stringify({
+    format_name: 'wav',
+    duration: 4,
+    streams: [{ codec_type: 'audio', codec_name: 'pcm_s16le' }],
+    languages: { nl: 0.52, de: 0.41, en: 0.05, af: 0.02 }
+  }));
+  const detectorLog = path.join(tmpDir, 'detector.log');
+  const whisperLog = path.join(tmpDir, 'whisper.log');
+  const env = { WHISPER_PYTHON: FAKE_DETECTOR, FAKE_DETECTOR_LOG: detectorLog, FAKE_WHISPER_LOG: whisperLog, FAKE_WHISPER_LANGUAGE: 'nl' };
+  
+  try {
+    let run = runCli([audioPath, '--detect-language', '--json', '--model', 'tiny'], env);
+    assertEqual(run.status, 0, 'Language detection succeeds');
+    let detection = JSON.parse(run.stdout);
+    assertEqual(detection.language, 'nl', 'Most likely language is reported');
+    assertEqual(detection.probabilities.map(entry => entry.language).join(','), 'nl,de,en,af', 'Probabilities are sorted');
+    assertEqual(JSON.parse(fs.readFileSync(detectorLog, 'utf-8').trim())[0], 'openai-whisper', 'Detection runs under the backend\'s Python');
+    assertTrue(!fs.existsSync(whisperLog), 'Detection does not transcribe');
+    
+    run = runCli([audioPath, '--detect-language', '--json', '--model', 'tiny', '--allowed-languages', 'de,en'], env);
+    detection = JSON.parse(run.stdout);
+    assertEqual(`${detection.language}/${detection.detectedLanguage}`, 'de/nl', 'Detection picks the likeliest allowed language');
+    
+    run = runCli([audioPath, '--detect-language', '--format', 'plain'], Object.assign({}, env, { FAKE_DETECTOR_MISSING: '1' }));
+    assertEqual(run.status, 5, 'Detection without an importable whisper exits 5');
+    
+    run = runCli([audioPath, '--json', '--no-daemon', '--model', 'tiny', '--allowed-languages', 'de,en'], env);
+    assertEqual(run.status, 0, 'Constrained transcription succeeds');
+    let result = JSON.parse(run.stdout);
+    assertEqual(result.language, 'de', 'Disallowed guess is redone in the likeliest allowed language');
+    const calls = fs.readFileSync(whisperLog, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assertEqual(calls.length, 2, 'Whisper runs again once');
+    assertEqual(calls[1][calls[1].indexOf('--language') + 1], 'de', 'Second run names the language');
+    assertTrue(run.stderr.includes('not in de, en'), 'The re-run is explained');
+    
+    run = runCli([audioPath, '--json', '--no-daemon', '--allowed-languages', 'nl,de'], env);
+    assertEqual(JSON.parse(run.stdout).language, 'nl', 'Allowed guesses are kept');
+    
+    // Without whisper's JSON the language comes from "Detected language: Dutch"
+    fs.rmSync(whisperLog);
+    run = runCli([audioPath, '--json', '--no-daemon', '--no-cache', '--allowed-languages', 'nl,de'], Object.assign({}, env, { FAKE_WHISPER_NO_JSON: '1' }));
+    assertEqual(JSON.parse(run.stdout).language, 'nl', 'Language names from whisper\'s output become codes');
+    assertEqual(fs.readFileSync(whisperLog, 'utf-8').trim().split('\n').length, 1, 'A printed name in the allowed set is kept');
+    run = runCli([audioPath, '--json', '--no-daemon', '--no-cache', '--allowed-languages', 'German,English'], Object.assign({}, env, { FAKE_WHISPER_NO_JSON: '1' }));
+    assertEqual(JSON.parse(run.stdout).language, 'de', 'Allowed languages may be given by name');
+    
+    const modelsDir = path.join(tmpDir, 'models');
+    fs.mkdirSync(modelsDir);
+    fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), 'fake model');
+    run = runCli([audioPath, '--detect-language', '--json', '--model', 'tiny', '--backend', 'whisper-cpp'],
+      Object.assign({}, env, { WHISPER_CMD: '', WHISPER_CPP_CMD: FAKE_WHISPER_CPP, WHISPER_CPP_MODELS: modelsDir }));
+    detection = JSON.parse(run.stdout);
+    assertEqual(`${detection.language} ${detection.probability}`, 'nl 0.87', 'whisper.cpp reports its top language');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 30: Vocabulary prompt and glossary
+ */
+function testVocabulary() {
+  console.log('\n📖 Test Suite: Vocabulary and Glossary');
+  
+  const { initialPrompt, glossaryRules, applyGlossary, loadConfig } = transcribeModule;
+  const tmpDir = createTempDir();
+  const vocabularyFile = path.join(tmpDir, 'vocabulary.txt');
+  fs.writeFileSync(vocabularyFile, '# team\nPriya\nJörg\n\nKubernetes\n');
+  assertEqual(initialPrompt({ prompt: 'Acme standup.', vocabularyFile }), 'Acme standup. Priya, Jörg, Kubernetes.', 'Prompt and vocabulary terms are combined');
+  assertEqual(initialPrompt({ prompt: null }), null, 'No prompt by default');
+  assertThrows(() => initialPrompt({ vocabularyFile: path.join(tmpDir, 'missing.txt') }), 'Missing vocabulary file is an error');
+  
+  const rules = glossaryRules({ glossary: { 'acme corp': 'ACME Corp', 'Jorg': 'Jörg', '/kuber?netties/i': 'Kubernetes', '/v(\\d+)\\.(\\d+)/': 'version $1.$2' } });
+  assertEqual(applyGlossary('Acme  Corp and acme corporation', rules), 'ACME Corp and acme corporation', 'Lowercase keys match whole phrases in any case');
+  assertEqual(applyGlossary('Jorg, jorg and Jorge', rules), 'Jörg, jorg and Jorge', 'Capitalized keys match exactly');
+  assertEqual(applyGlossary('We run Kubernetties on v1.29', rules), 'We run Kubernetes on version 1.29', 'Regex keys support flags and groups');
+  assertThrows(() => glossaryRules({ glossary: { '/(unclosed/': 'x' } }), 'Invalid glossary regex is an error');
+  
+  const configPath = path.join(tmpDir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ glossary: { 'hello': 'Hallo', '/fake whisper/i': 'Acme' } }));
+  assertEqual(loadConfig({ env: { WHISPER_CONFIG: configPath }, cwd: tmpDir }).values.glossary.hello, 'Hallo', 'Glossary loads from config files');
+  const badPath = path.join(tmpDir, 'bad.json');
+  fs.writeFileSync(badPath, JSON.stringify({ glossary: ['hello'] }));
+  assertEqual(loadConfig({ env: { WHISPER_CONFIG: badPath }, cwd: tmpDir }).errors.length, 1, 'Glossary must be an object');
+  
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'standup.wav'), 'wav');
+  const logFile = path.join(tmpDir, 'whisper.log');
+  
+  try {
+    const run = runCli([audioPath, '--json', '--no-daemon', '--prompt', 'Acme standup.', '--vocabulary-file', vocabularyFile, '--output-format', 'txt,srt'],
+      { WHISPER_CONFIG: configPath, FAKE_WHISPER_LOG: logFile });
+    assertEqual(run.status, 0, 'Transcription with vocabulary succeeds');
+    const args = JSON.parse(fs.readFileSync(logFile, 'utf-8').trim());
+    assertEqual(args[args.indexOf('--initial_prompt') + 1], 'Acme standup. Priya, Jörg, Kubernetes.', 'Whisper gets --initial_prompt');
+    const result = JSON.parse(run.stdout);
+    assertEqual(result.text, 'Hallo from Acme.', 'Glossary corrects the text');
+    assertEqual(result.segments[0].text.trim(), 'Hallo from Acme.', 'Glossary corrects segments');
+    assertTrue(fs.readFileSync(path.join(tmpDir, 'standup.srt'), 'utf-8').includes('Hallo from Acme.'), 'Glossary corrects subtitles');
+    assertEqual(fs.readFileSync(path.join(tmpDir, 'standup.txt'), 'utf-8').trim(), 'Hallo from Acme.', 'Glossary corrects the text file');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 31: Word timestamps and caption reflow
+ */
+function testWordTimestamps() {
+  console.log('\n⏱️  Test Suite: Word Timestamps');
+  
+  const { captionCues, formatCaptions, whisperCppWords } = transcribeModule;
+  const words = ['One', 'two', 'three', 'four', 'five', 'six'].map((word, i) => ({ word, start: i, end: i + 1 }));
+  const segment = { start: 0, end: 6, text: 'One two three four five six', words };
+  let cues = captionCues([segment], { maxLineWidth: 9, maxLineCount: 2 });
+  assertEqual(cues.length, 2, 'Reflow splits a segment into cues');
+  assertEqual(formatCaptions(cues, 'srt'), '1\n00:00:00,000 --> 00:00:03,000\nOne two\nthree\n\n2\n00:00:03,000 --> 00:00:06,000\nfour five\nsix\n', 'Lines wrap at the width and cues end at the line count');
+  assertTrue(formatCaptions(captionCues([segment]), 'vtt', true).includes('One <00:00:01.000><c>two</c>'), 'VTT gets karaoke word timestamps');
+  cues = captionCues([Object.assign({}, segment, { text: 'One two three for five six' })], { maxLineWidth: 14 });
+  assertEqual(cues.map(cue => cue.lines.map(line => line.map(w => w.word).join(' ')).join('|')).join(','), 'One two three|for five six', 'Corrected text is split with estimated times');
+  const cppWords = whisperCppWords([
+    { text: '[_BEG_]', offsets: { from: 0, to: 0 }, p: 1 },
+    { text: ' Hel', offsets: { from: 0, to: 200 }, p: 0.8 },
+    { text: 'lo', offsets: { from: 200, to: 500 }, p: 0.6 },
+    { text: ' there', offsets: { from: 500, to: 900 }, p: 0.9 }
+  ]);
+  assertEqual(cppWords.map(w => `${w.word}@${w.start}-${w.end}`).join(' '), 'Hello@0-0.5 there@0.5-0.9', 'whisper.cpp tokens are joined into words');
+  
+  const tmpDir = createTempDir();
+  const audioPath = writeFakeAudio(path.join(tmpDir, 'song.wav'), 'wav');
+  const logFile = path.join(tmpDir, 'whisper.log');
+  
+  try {
+    let run = runCli([audioPath, '--json', '--no-daemon', '--word-timestamps', '--output-format', 'srt,vtt'], { FAKE_WHISPER_LOG: logFile });
+    assertEqual(run.status, 0, 'Word-timestamp transcription succeeds');
+    assertTrue(fs.readFileSync(logFile, 'utf-8').includes('"--word_timestamps","True"'), 'Whisper is asked for word timestamps');
+    const result = JSON.parse(run.stdout);
+    assertEqual(result.segments[0].words.map(w => w.word).join(' '), 'Hello from fake whisper.', 'Segments carry their words');
+    assertTrue(result.segments[0].words.every(w => typeof w.start === 'number' && typeof w.end === 'number' && w.probability === 0.9), 'Words have start, end and probability');
+    assertTrue(fs.readFileSync(result.files.vtt, 'utf-8').includes('<c>from</c>'), 'VTT file is karaoke-style');
+    
+    run = runCli([audioPath, '--json', '--no-daemon', '--max-line-width', '13', '--max-line-count', '1', '--output-format', 'srt']);
+    const srt = fs.readFileSync(JSON.parse(run.stdout).files.srt, 'utf-8');
+    assertEqual(srt.split('\n\n').filter(Boolean).length, 2, 'SRT is reflowed by width and line count');
+    assertTrue(srt.includes('Hello from\n'), 'Reflowed cues keep whole words');
+    
+    const modelsDir = path.join(tmpDir, 'models');
+    fs.mkdirSync(modelsDir);
+    fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), 'fake model');
+    run = runCli([audioPath, '--json', '--model', 'tiny', '--word-timestamps', '--backend', 'whisper-cpp'],
+      { WHISPER_CMD: '', WHISPER_CPP_CMD: FAKE_WHISPER_CPP, WHISPER_CPP_MODELS: modelsDir });
+    assertEqual(JSON.parse(run.stdout).segments[0].words[0].word, 'Hello', 'whisper.cpp word timestamps are read');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 32: Watch folder
+ */
+function testWatchFolder() {
+  console.log('\n👀 Test Suite: Watch Folder');
+  
+  const parsed = parseArgs(['watch', 'inbox', '--settle', '2', '--archive-dir', 'done', '--poll']).options;
+  assertTrue(parsed.command === 'watch' && parsed.settle === 2 && parsed.archiveDir === 'done' && parsed.poll, 'Parses the watch command and its flags');
+  assertEqual(runCli(['watch', '--json']).status, 2, 'watch without a directory is a usage error');
+  assertEqual(runCli(['watch', '/nonexistent/inbox']).status, 3, 'Missing watch directory exits 3');
+  
+  const tmpDir = createTempDir();
+  const inbox = path.join(tmpDir, 'inbox');
+  const archive = path.join(tmpDir, 'archive');
+  const stateFile = path.join(inbox, '.local-whisper-watch.json');
+  fs.mkdirSync(inbox);
+  
+  // The watcher runs until it's killed; results are NDJSON lines on stdout
+  const startWatcher = (args, name, env = {}) => {
+    const outFile = path.join(tmpDir, `${name}.out`);
+    const errFile = path.join(tmpDir, `${name}.err`);
+    const outFd = fs.openSync(outFile, 'w');
+    const errFd = fs.openSync(errFile, 'w');
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, 'transcribe.js'), 'watch', inbox, '--json', '--model', 'tiny'].concat(args), {
+      env: Object.assign({}, process.env, {
+        WHISPER_CMD: FAKE_WHISPER,
+        FFMPEG_CMD: FAKE_FFMPEG,
+        FFPROBE_CMD: FAKE_FFPROBE,
+        WHISPER_CACHE_DIR: path.join(tmpDir, 'cache'),
+        WHISPER_LOCK_DIR: path.join(tmpDir, 'locks'),
+        XDG_CONFIG_HOME: tmpDir
+      }, env),
+      stdio: ['ignore', outFd, errFd]
+    });
+    fs.closeSync(outFd);
+    fs.closeSync(errFd);
+    const lines = () => fs.readFileSync(outFile, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const stderr = () => fs.readFileSync(errFile, 'utf-8');
+    return { child, lines, stderr };
+  };
+  
+  let watcher = startWatcher(['--settle', '1', '--poll-interval', '0.2'], 'first');
+  try {
+    const partial = path.join(inbox, 'upload.wav');
+    fs.writeFileSync(partial, '{"format_name": "wa');  // Still being copied
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 500);
+    assertEqual(watcher.lines().length, 0, 'A file is left alone while it changes');
+    writeFakeAudio(partial);
+    writeFakeAudio(path.join(inbox, 'memo.wav'));
+    assertTrue(waitFor(() => watcher.lines().length === 2, 10000), 'New files are transcribed once they stop changing');
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 500);
+    
+    const results = watcher.lines();
+    assertEqual(results.map(r => `${path.basename(r.file)}:${r.ok}`).sort().join(' '), 'memo.wav:true upload.wav:true', 'Each file is transcribed once, the copied one only when complete');
+    assertEqual(results[0].text, 'Hello from fake whisper.', 'JSON lines carry the transcript');
+    assertTrue(fs.existsSync(path.join(inbox, 'memo.txt')), 'Outputs are written next to the file');
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+    assertEqual(state.files['upload.wav'].size, fs.statSync(partial).size, 'State file records the finished size');
+  } finally {
+    watcher.child.kill();
+  }
+  waitFor(() => !isAlive(watcher.child.pid));
+  
+  watcher = startWatcher(['--settle', '0', '--poll-interval', '0.2', '--poll', '--archive-dir', archive, '--output-dir', path.join(tmpDir, 'out')], 'second');
+  try {
+    writeFakeAudio(path.join(inbox, 'later.ogg'), 'ogg');
+    assertTrue(waitFor(() => watcher.lines().length === 1, 10000), 'Polling picks up new files');
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 1000);
+    const results = watcher.lines();
+    assertEqual(results.map(r => path.basename(r.file)).join(' '), 'later.ogg', 'Files in the state file are not transcribed again after a restart');
+    assertEqual(results[0].archived, path.join(archive, 'later.ogg'), 'Result names the archived original');
+    assertTrue(fs.existsSync(path.join(archive, 'later.ogg')) && !fs.existsSync(path.join(inbox, 'later.ogg')), 'The original is moved to the archive');
+    assertTrue(fs.existsSync(path.join(tmpDir, 'out', 'later.txt')), 'Outputs go to --output-dir');
+  } finally {
+    watcher.child.kill();
+    waitFor(() => !isAlive(watcher.child.pid));
+  }
+  
+  // Ctrl-C during a transcription finishes and records that file first
+  watcher = startWatcher(['--settle', '0', '--poll-interval', '0.2', '--poll'], 'graceful', { FAKE_WHISPER_DELAY: '1500' });
+  try {
+    writeFakeAudio(path.join(inbox, 'busy.wav'));
+    assertTrue(waitFor(() => watcher.stderr().includes('New file: busy.wav'), 10000), 'Watcher starts on the file');
+    watcher.child.kill('SIGINT');
+    assertTrue(waitFor(() => !isAlive(watcher.child.pid), 10000), 'Watcher exits after Ctrl-C');
+    assertEqual(watcher.lines().map(r => `${path.basename(r.file)}:${r.ok}`).join(' '), 'busy.wav:true', 'The file in progress is finished on Ctrl-C');
+    assertEqual(JSON.parse(fs.readFileSync(stateFile, 'utf-8')).files['busy.wav'].status, 'done', 'The finished file is recorded in the state file');
+  } finally {
+    if (isAlive(watcher.child.pid)) watcher.child.kill('SIGKILL');
+  }
+  
+  // Ctrl-C while waiting for a queue slot stops right away
+  fs.mkdirSync(path.join(tmpDir, 'locks', 'queue'), { recursive: true });
+  fs.writeFileSync(path.join(tmpDir, 'locks', 'slot-0.lock'), String(process.pid));
+  watcher = startWatcher(['--settle', '0', '--poll-interval', '0.2', '--poll'], 'queued');
+  try {
+    writeFakeAudio(path.join(inbox, 'queued.wav'));
+    assertTrue(waitFor(() => watcher.stderr().includes('Waiting for a transcription slot'), 10000), 'Watcher waits for a busy slot');
+    const interrupted = Date.now();
+    watcher.child.kill('SIGINT');
+    assertTrue(waitFor(() => !isAlive(watcher.child.pid), 5000) && Date.now() - interrupted < 2000, 'Ctrl-C stops a watcher that is waiting for a slot');
+    assertEqual(JSON.parse(fs.readFileSync(stateFile, 'utf-8')).files['queued.wav'], undefined, 'A file never transcribed isn\'t recorded');
+    assertEqual(fs.readdirSync(path.join(tmpDir, 'locks', 'queue')).length, 0, 'The queue ticket is removed');
+  } finally {
+    if (isAlive(watcher.child.pid)) watcher.child.kill('SIGKILL');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 33: Stdin and microphone input
+ */
+function testCapturedInput() {
+  console.log('\n🎤 Test Suite: Stdin and Microphone Input');
+  
+  assertEqual(parseArgs(['-', '--json']).audioPath, '-', "Parses '-' as the stdin input");
+  const parsed = parseArgs(['--record', '--record-device', 'pulse:default', '--record-silence', '1.5']).options;
+  assertTrue(parsed.record && parsed.recordDevice === 'pulse:default' && parsed.recordSilence === 1.5, 'Parses --record and its flags');
+  
+  const tmpDir = createTempDir();
+  const audio = fs.readFileSync(writeFakeAudio(path.join(tmpDir, 'piped.ogg'), 'ogg', [{ codec_type: 'audio', codec_name: 'opus' }]));
+  
+  try {
+    let run = runCli(['-', '--json', '--model', 'tiny'], {}, audio);
+    assertEqual(run.status, 0, 'Audio piped to stdin is transcribed');
+    let result = JSON.parse(run.stdout);
+    assertEqual(result.text, 'Hello from fake whisper.', 'Stdin result has the transcript');
+    assertEqual(Object.keys(result.files).length, 0, 'No output files without --output-dir');
+    
+    const outDir = path.join(tmpDir, 'out');
+    run = runCli(['-', '--json', '--model', 'tiny', '--output-dir', outDir], {}, audio);
+    assertTrue(fs.existsSync(path.join(outDir, 'stdin.txt')), 'Stdin transcripts are saved with --output-dir');
+    assertEqual(runCli(['-', '--json'], {}, '').status, 3, 'Empty stdin exits 3');
+    assertEqual(runCli(['-', 'other.ogg']).status, 2, "'-' can't be mixed with other inputs");
+    
+    const recording = JSON.stringify({ format_name: 'wav', duration: 2, silences: [[1.5, null]] });
+    run = runCli(['--record', '--record-device', 'alsa:default', '--json', '--model', 'tiny'], { FAKE_FFMPEG_RECORDING: recording });
+    assertEqual(run.status, 0, 'Recording is transcribed');
+    assertTrue(run.stderr.includes('(silence)') && JSON.parse(run.stdout).text === 'Hello from fake whisper.', 'Recording stops at silence after speech');
+    
+    run = runCli(['--record', '--record-device', 'alsa:default', '--record-silence', '0', '--record-max', '0.5', '--format', 'plain', '--model', 'tiny']);
+    assertTrue(run.status === 0 && run.stderr.includes('(length limit)'), 'Recording stops at --record-max');
+    
+    run = runCli(['--record', '--record-device', 'alsa:nope', '--json'], { FAKE_FFMPEG_RECORD_ERROR: 'No such device' });
+    assertTrue(run.status === 3 && run.stderr.includes('No such device'), 'A missing recording device exits 3 with ffmpeg\'s message');
+    assertEqual(runCli(['--record', '--record-device', 'default']).status, 2, 'A device without a format is a usage error');
+    
+    // Ctrl-C ends the recording, which is then transcribed; the signal is
+    // sent once the capture is running
+    const recordWithCtrlC = (name, env = {}) => {
+      const outFile = path.join(tmpDir, `${name}.out`);
+      const errFile = path.join(tmpDir, `${name}.err`);
+      const startedFile = path.join(tmpDir, `${name}.started`);
+      const outFd = fs.openSync(outFile, 'w');
+      const errFd = fs.openSync(errFile, 'w');
+      const child = spawn(process.execPath, [path.join(ROOT_DIR, 'transcribe.js'), '--record', '--record-device', 'alsa:default', '--format', 'plain', '--model', 'tiny'], {
+        env: Object.assign({}, process.env, {
+          WHISPER_CMD: FAKE_WHISPER,
+          FFMPEG_CMD: FAKE_FFMPEG,
+          FFPROBE_CMD: FAKE_FFPROBE,
+          WHISPER_CACHE_DIR: path.join(tmpDir, 'cache'),
+          WHISPER_LOCK_DIR: path.join(tmpDir, 'locks'),
+          WHISPER_DAEMON_SOCKET: path.join(tmpDir, 'daemon.sock'),
+          XDG_CONFIG_HOME: tmpDir,
+          FAKE_FFMPEG_RECORD_STARTED: startedFile
+        }, env),
+        stdio: ['ignore', outFd, errFd]
+      });
+      fs.closeSync(outFd);
+      fs.closeSync(errFd);
+      try {
+        assertTrue(waitFor(() => fs.existsSync(startedFile), 20000), 'Capture starts');
+        child.kill('SIGINT');
+        assertTrue(waitFor(() => !isAlive(child.pid), 10000), 'Recording process finishes after Ctrl-C');
+      } finally {
+        if (isAlive(child.pid)) child.kill('SIGKILL');
+      }
+      return { stdout: fs.readFileSync(outFile, 'utf-8'), stderr: fs.readFileSync(errFile, 'utf-8') };
+    };
+    assertEqual(recordWithCtrlC('record').stdout.trim(), 'Hello from fake whisper.', 'Ctrl-C stops recording and transcribes it');
+    run = recordWithCtrlC('empty', { FAKE_FFMPEG_RECORD_EMPTY: '1' });
+    assertTrue(run.stdout === '' && run.stderr.includes('Nothing recorded'), 'Ctrl-C before any audio says nothing was recorded');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 34: Streaming transcription
+ */
+function testStreaming() {
+  console.log('\n📡 Test Suite: Streaming Transcription');
+  
+  const parsed = parseArgs(['-', '--stream', '--stream-step', '2', '--stream-window', '20', '--stream-idle', '3']).options;
+  assertTrue(parsed.stream && parsed.streamStep === 2 && parsed.streamWindow === 20 && parsed.streamIdle === 3, 'Parses --stream and its flags');
+  const { trimRepeatedWords } = transcribeModule;
+  assertEqual(trimRepeatedWords('so we went to the park', 'The park was closed.'), 'was closed.', 'Words repeated across a window boundary are dropped');
+  assertEqual(trimRepeatedWords('we went home', 'Later that day'), 'Later that day', 'New text is kept whole');
+  assertEqual(runCli(['--stream', 'a.wav', 'b.wav']).status, 2, '--stream takes a single input');
+  assertEqual(runCli(['--stream', '-', '--task', 'both'], {}, '').status, 2, '--stream rejects --task both');
+  assertEqual(runCli(['--stream', '-', '--json'], {}, '').status, 3, 'Empty stdin stream exits 3');
+  
+  const tmpDir = createTempDir();
+  // Feeds <words> seconds of speech in real time; returns the lines printed, with arrival times
+  const feed = (words, target, args, wordsPerSegment) => {
+    const logFile = path.join(tmpDir, 'feed.ndjson');
+    const child = spawn(process.execPath, [FEED_STREAM, String(words), target, logFile].concat(args), {
+      env: Object.assign({}, process.env, {
+        WHISPER_CMD: FAKE_WHISPER,
+        FFMPEG_CMD: FAKE_FFMPEG,
+        FFPROBE_CMD: FAKE_FFPROBE,
+        WHISPER_CACHE_DIR: path.join(tmpDir, 'cache'),
+        WHISPER_LOCK_DIR: path.join(tmpDir, 'locks'),
+        XDG_CONFIG_HOME: tmpDir,
+        FAKE_WHISPER_WORDS_PER_SEGMENT: String(wordsPerSegment)
+      }),
+      stdio: 'ignore'
+    });
+    try {
+      assertTrue(waitFor(() => !isAlive(child.pid), 60000), 'Stream finishes after its input ends');
+    } finally {
+      if (isAlive(child.pid)) child.kill();
+    }
+    const entries = fs.readFileSync(logFile, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const fedAt = (entries.find(entry => entry.fed) || {}).at;
+    return { events: entries.filter(entry => entry.event).map(entry => Object.assign({ at: entry.at }, entry.event)), fedAt };
+  };
+  const words = n => Array.from({ length: n }, (_, i) => `Word${i + 1}.`).join(' ');
+  
+  try {
+    let { events, fedAt } = feed(6, '-', ['--stream', '-', '--stream-step', '1', '--stream-window', '4', '--model', 'tiny'], 3);
+    let finals = events.filter(event => event.type === 'final');
+    assertTrue(events.some(event => event.type === 'provisional' && event.at < fedAt), 'Provisional text arrives while audio is still coming in');
+    assertTrue(finals.length > 1 && finals[0].at < fedAt, 'Segments are finalized before the input ends');
+    assertEqual(finals.map(event => event.text).join(' '), words(6), 'Final segments cover every word once, in order');
+    assertTrue(finals.every((event, i) => event.id === i && (i === 0 || event.start >= finals[i - 1].end)), 'Final segments are numbered and don\'t overlap');
+    const done = events[events.length - 1];
+    assertTrue(done.type === 'done' && done.text === words(6) && done.segments === finals.length, 'The last line sums up the stream');
+    
+    const live = path.join(tmpDir, 'live.wav');
+    ({ events, fedAt } = feed(5, live, ['--stream', live, '--stream-step', '1', '--stream-window', '3', '--stream-idle', '1', '--model', 'tiny', '--output-format', 'txt,srt'], 2));
+    finals = events.filter(event => event.type === 'final');
+    assertTrue(finals.length > 0 && finals[0].at < fedAt, 'A growing file is transcribed as it grows');
+    assertEqual(finals.map(event => event.text).join(' '), words(5), 'Growing file: every word once, in order');
+    assertEqual(fs.readFileSync(path.join(tmpDir, 'live.txt'), 'utf-8').split('\n').filter(Boolean).join(' '), words(5), 'Output files are written when the file stops growing');
+    assertEqual(events[events.length - 1].files.srt, path.join(tmpDir, 'live.srt'), 'The last line lists the output files');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
 // ==================== MAIN ====================
 
 function runTests() {
@@ -398,6 +2231,30 @@ function runTests() {
     testModuleExports();
     testDirectFormatSupport();
     testCliHelp();
+    testOutputFormats();
+    testFormatConversion();
+    testBatchMode();
+    testQueue();
+    testOutputFiles();
+    testCache();
+    testBackends();
+    testDaemon();
+    testServer();
+    testConfig();
+    testChunking();
+    testTimeouts();
+    testExitCodes();
+    testProgrammaticApi();
+    testVoiceActivity();
+    testHallucinationFilter();
+    testDiarization();
+    testTranslation();
+    testLanguageDetection();
+    testVocabulary();
+    testWordTimestamps();
+    testWatchFolder();
+    testCapturedInput();
+    testStreaming();
   } catch (e) {
     console.error('\n💥 Test suite error:', e.message);
     errors.push(`Test suite error: ${e.message}`);
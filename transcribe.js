@@ -4,99 +4,825 @@
  * LOCAL transcription using OpenAI Whisper
  * 
  * Features:
+ * - Backends: OpenAI Whisper (Python), faster-whisper, whisper.cpp
  * - Dependency checking
- * - Smart model selection based on file size
- * - Language selection
+ * - Automatic ffmpeg conversion of other audio/video formats
+ * - Batch mode: multiple files, directories and glob patterns
+ * - Audio from stdin (-) and microphone recording (--record) for dictation
+ * - Live transcription of growing files and streams (--stream, JSON lines)
+ * - Result cache keyed by audio content, model and language
+ * - Long recordings split at silences, with progress and resumable checkpoints
+ * - Speech detection that skips whisper on silent recordings
+ * - Hallucination and repetition filtering with confidence flags
+ * - Custom vocabulary (initial prompt) and glossary corrections
+ * - Word timestamps, karaoke-style VTT and caption line reflow
+ * - Speaker labels via a local diarization tool
+ * - Timeouts and cancellation that stop whisper's whole process tree
+ * - Exit statuses and JSON errors that tell callers what went wrong
+ * - Promise/event API for Node services (transcribeAsync)
+ * - Warm-model daemon (--serve) that keeps a model loaded between calls
+ * - OpenAI-compatible HTTP server (server command)
+ * - Watch folder that transcribes new recordings as they arrive (watch command)
+ * - Smart model selection based on audio duration and hardware
+ * - Language selection, detection and translation to English
  * - Custom output directory
  * 
- * Usage: node transcribe.js <audio_file> [options]
+ * Usage: node transcribe.js <audio_file|dir|glob>... [options]
+ *        <command> | node transcribe.js - [options]
+ *        node transcribe.js --record [options]
+ *        node transcribe.js --stream <growing_file|-> [options]
+ *        node transcribe.js server [--host <addr>] [--port <n>]
+ *        node transcribe.js watch <dir> [--archive-dir <dir>]
+ *        node transcribe.js config show
  * 
  * Options:
  *   --model <model>        Model size: tiny, base, small, medium, large
  *   --language <lang>      Language code: auto, en, de, es, fr, etc.
+ *   --task <task>          transcribe (default), translate (to English), or both
+ *   --detect-language      Only detect the spoken language (with probabilities)
+ *   --allowed-languages <list> Languages auto-detection may pick, e.g. "de,en"
+ *   --prompt <text>        Initial prompt (names, jargon, style)
+ *   --vocabulary-file <f>  Terms for the initial prompt, one per line
+ *   --backend <name>       auto, openai-whisper, faster-whisper, whisper-cpp
  *   --output-dir <dir>     Output directory for transcriptions
+ *   --output-format <list> Files to write: txt, srt, vtt, tsv, json, all
+ *   --output-name <tmpl>   Output filename template, e.g. "{basename}.{lang}.{ext}"
+ *   --word-timestamps      Per-word timings in JSON, karaoke-style VTT
+ *   --max-line-width <n>   Reflow SRT/VTT captions to n characters per line
+ *   --max-line-count <n>   ...and at most n lines per caption
  *   --smart-model          Enable smart model selection (default: true)
+ *   --format <fmt>         Stdout format: text (default), plain, json
+ *   --recursive, -r        Include subdirectories when given a directory
+ *   --no-cache             Skip the result cache
+ *   --chunk-length <sec>   Chunk size for long recordings
+ *   --no-chunking          Transcribe long recordings in one piece
+ *   --cache-clear          Delete all cached transcriptions
+ *   --serve                Run the warm-model daemon
+ *   --serve-status         Show whether a daemon is running
+ *   --serve-stop           Stop the running daemon
+ *   --no-daemon            Don't use a running daemon for this call
+ *   --timeout <sec>        Kill the transcription after this long (exit status 124)
+ *   --threads <n>          CPU threads for whisper and ffmpeg
+ *   --nice <n>             Run whisper and ffmpeg at lower CPU priority
+ *   --no-vad               Run whisper even on recordings without speech
+ *   --trim-silence         Cut leading/trailing silence before transcribing
+ *   --no-filter            Keep segments that look like hallucinations
+ *   --diarize              Label speakers (SPEAKER_1: ...); --speakers <n> to expect n
+ *   --record               Record from the microphone until silence or Ctrl-C
+ *   --record-device <d>    ffmpeg input for --record, e.g. pulse:default
+ *   --stream               Transcribe a growing file or stdin as it arrives
+ *   --stream-step <sec>    Seconds of new audio between --stream updates
+ *   --settle <sec>         watch: wait until a new file is unchanged this long
+ *   --archive-dir <dir>    watch: move transcribed originals here
+ * 
+ * Progress messages always go to stderr, so stdout only carries the result.
+ * 
+ * Settings come from ~/.config/local-whisper/config.json, a project-local
+ * .local-whisper.json, environment variables and flags (see CONFIG_SETTINGS).
  * 
  * Environment Variables:
+ *   WHISPER_CONFIG=<file>    User config file
  *   WHISPER_MODEL=small      Default model
  *   WHISPER_LANGUAGE=auto    Default language
+ *   WHISPER_TASK=transcribe  Default for --task
+ *   WHISPER_ALLOWED_LANGUAGES=de,en  Default for --allowed-languages
+ *   WHISPER_PROMPT=...       Default for --prompt
+ *   WHISPER_VOCABULARY_FILE= Default for --vocabulary-file
+ *   WHISPER_WORD_TIMESTAMPS=0  Default for --word-timestamps
+ *   WHISPER_MODEL_TABLE=...  Smart selection table, e.g. "30:large,120:medium,*:small"
+ *   WHISPER_BACKEND=auto     Backend (see --backend)
+ *   WHISPER_BACKEND_ORDER=.. Auto-detection order, e.g. "whisper-cpp,openai-whisper"
+ *   WHISPER_DAEMON_SOCKET=.. Daemon socket path
+ *   WHISPER_TIMEOUT=0        Default for --timeout (0 = none)
+ *   WHISPER_THREADS=0        Default for --threads (0 = backend default)
+ *   WHISPER_DIARIZE_CMD=...  Diarization command (default: pyannote.audio)
+ *   WHISPER_ARCHIVE_DIR=...  Default for --archive-dir
+ *   WHISPER_RECORD_DEVICE=.. Default for --record-device
+ *   WHISPER_STREAM_STEP=5    Default for --stream-step
+ *   FFMPEG_CMD=ffmpeg        ffmpeg binary
+ *   FFPROBE_CMD=ffprobe      ffprobe binary
  */
 
-const { execSync, spawnSync } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const { execSync, spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
 const path = require('path');
+const readline = require('readline');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
+
+/**
+ * Configuration
+ *
+ * Settings are resolved in layers, later ones winning:
+ *   1. built-in defaults
+ *   2. user config:    $WHISPER_CONFIG, else $XDG_CONFIG_HOME/local-whisper/config.json
+ *                      (~/.config/local-whisper/config.json)
+ *   3. project config: .local-whisper.json in the working directory or the
+ *                      nearest parent directory that has one
+ *   4. environment variables (WHISPER_MODEL, ...)
+ *   5. command-line flags
+ * Config files are JSON objects keyed by the setting names below. Relative
+ * paths in a config file are resolved against that file's directory. Map
+ * settings (glossary) are JSON objects and only come from config files.
+ * `flags`/`option` tie a setting to its command-line flags and the parseArgs
+ * option that holds the flag's value.
+ * `config show` prints the effective values and where each came from.
+ */
+const CONFIG_SETTINGS = {
+  model: { type: 'string', env: 'WHISPER_MODEL', default: 'small', flags: ['--model'], option: 'model' },
+  smartModel: { type: 'boolean', default: true, flags: ['--smart-model', '--no-smart-model'], option: 'smartModel' },
+  modelTable: { type: 'string', env: 'WHISPER_MODEL_TABLE', default: null },
+  language: { type: 'string', env: 'WHISPER_LANGUAGE', default: 'auto', flags: ['--language', '--lang', '-l'], option: 'language' },
+  task: { type: 'string', env: 'WHISPER_TASK', default: 'transcribe', flags: ['--task'], option: 'task' },
+  allowedLanguages: { type: 'list', env: 'WHISPER_ALLOWED_LANGUAGES', default: null, flags: ['--allowed-languages'], option: 'allowedLanguages' },
+  prompt: { type: 'string', env: 'WHISPER_PROMPT', default: null, flags: ['--prompt'], option: 'prompt' },
+  vocabularyFile: { type: 'path', env: 'WHISPER_VOCABULARY_FILE', default: null, flags: ['--vocabulary-file'], option: 'vocabularyFile' },
+  glossary: { type: 'map', default: null },
+  wordTimestamps: { type: 'boolean', env: 'WHISPER_WORD_TIMESTAMPS', default: false, flags: ['--word-timestamps', '--max-line-width', '--max-line-count'], option: 'wordTimestamps' },
+  maxLineWidth: { type: 'number', default: 0, flags: ['--max-line-width'], option: 'maxLineWidth' },
+  maxLineCount: { type: 'number', default: 0, flags: ['--max-line-count'], option: 'maxLineCount' },
+  backend: { type: 'string', env: 'WHISPER_BACKEND', default: 'auto', flags: ['--backend'], option: 'backend' },
+  backendOrder: { type: 'list', env: 'WHISPER_BACKEND_ORDER', default: 'faster-whisper,whisper-cpp,openai-whisper' },
+  format: { type: 'string', default: 'text', flags: ['--format', '--json'], option: 'format' },
+  outputDir: { type: 'path', default: null, flags: ['--output-dir', '--output', '-o'], option: 'outputDir' },
+  outputFormats: { type: 'list', env: 'WHISPER_OUTPUT_FORMAT', default: 'txt', flags: ['--output-format'], option: 'outputFormats' },
+  outputName: { type: 'string', default: '{basename}.{ext}', flags: ['--output-name'], option: 'outputName' },
+  cache: { type: 'boolean', default: true, flags: ['--no-cache'], option: 'cache' },
+  cacheDir: { type: 'path', env: 'WHISPER_CACHE_DIR', default: null },
+  cacheMaxAgeDays: { type: 'number', env: 'WHISPER_CACHE_MAX_AGE_DAYS', default: 30 },
+  cacheMaxMB: { type: 'number', env: 'WHISPER_CACHE_MAX_MB', default: 500 },
+  maxConcurrent: { type: 'number', env: 'WHISPER_MAX_CONCURRENT', default: 1, flags: ['--max-concurrent'], option: 'maxConcurrent' },
+  queueTimeout: { type: 'number', env: 'WHISPER_QUEUE_TIMEOUT', default: 600, flags: ['--queue-timeout'], option: 'queueTimeout' },
+  daemonIdleTimeout: { type: 'number', env: 'WHISPER_DAEMON_IDLE_TIMEOUT', default: 900, flags: ['--idle-timeout'], option: 'idleTimeout' },
+  serverHost: { type: 'string', env: 'WHISPER_SERVER_HOST', default: '127.0.0.1', flags: ['--host'], option: 'host' },
+  serverPort: { type: 'number', env: 'WHISPER_SERVER_PORT', default: 8765, flags: ['--port'], option: 'port' },
+  watchSettle: { type: 'number', env: 'WHISPER_WATCH_SETTLE', default: 5, flags: ['--settle'], option: 'settle' },
+  watchInterval: { type: 'number', env: 'WHISPER_WATCH_INTERVAL', default: 10, flags: ['--poll-interval'], option: 'pollInterval' },
+  watchPoll: { type: 'boolean', env: 'WHISPER_WATCH_POLL', default: false, flags: ['--poll'], option: 'poll' },
+  watchStateFile: { type: 'path', default: null, flags: ['--state-file'], option: 'stateFile' },
+  archiveDir: { type: 'path', env: 'WHISPER_ARCHIVE_DIR', default: null, flags: ['--archive-dir'], option: 'archiveDir' },
+  recordDevice: { type: 'string', env: 'WHISPER_RECORD_DEVICE', default: null, flags: ['--record-device'], option: 'recordDevice' },
+  recordSilence: { type: 'number', env: 'WHISPER_RECORD_SILENCE', default: 2, flags: ['--record-silence'], option: 'recordSilence' },
+  recordMax: { type: 'number', default: 300, flags: ['--record-max'], option: 'recordMax' },
+  streamStep: { type: 'number', env: 'WHISPER_STREAM_STEP', default: 5, flags: ['--stream-step'], option: 'streamStep' },
+  streamWindow: { type: 'number', default: 30, flags: ['--stream-window'], option: 'streamWindow' },
+  streamIdle: { type: 'number', default: 10, flags: ['--stream-idle'], option: 'streamIdle' },
+  chunking: { type: 'boolean', default: true, flags: ['--no-chunking'], option: 'chunking' },
+  chunkThreshold: { type: 'number', default: 1200 },
+  chunkLength: { type: 'number', default: 600, flags: ['--chunk-length'], option: 'chunkLength' },
+  chunkOverlap: { type: 'number', default: 2 },
+  timeout: { type: 'number', env: 'WHISPER_TIMEOUT', default: 0, flags: ['--timeout'], option: 'timeout' },
+  threads: { type: 'number', env: 'WHISPER_THREADS', default: 0, flags: ['--threads'], option: 'threads' },
+  nice: { type: 'number', env: 'WHISPER_NICE', default: 0, flags: ['--nice'], option: 'nice' },
+  vad: { type: 'boolean', env: 'WHISPER_VAD', default: true, flags: ['--no-vad'], option: 'vad' },
+  trimSilence: { type: 'boolean', env: 'WHISPER_TRIM_SILENCE', default: false, flags: ['--trim-silence'], option: 'trimSilence' },
+  filter: { type: 'boolean', env: 'WHISPER_FILTER', default: true, flags: ['--no-filter'], option: 'filter' },
+  noSpeechThreshold: { type: 'number', default: 0.6, flags: ['--no-speech-threshold'], option: 'noSpeechThreshold' },
+  logprobThreshold: { type: 'number', signed: true, default: -1, flags: ['--logprob-threshold'], option: 'logprobThreshold' },
+  compressionRatioThreshold: { type: 'number', default: 2.4, flags: ['--compression-ratio-threshold'], option: 'compressionRatioThreshold' },
+  diarize: { type: 'boolean', env: 'WHISPER_DIARIZE', default: false, flags: ['--diarize', '--speakers'], option: 'diarize' },
+  speakers: { type: 'number', default: 0, flags: ['--speakers'], option: 'speakers' }
+};
+
+const PROJECT_CONFIG_NAME = '.local-whisper.json';
+
+/**
+ * User config file path ($WHISPER_CONFIG or the XDG location)
+ */
+function getUserConfigPath(env = process.env) {
+  if (env.WHISPER_CONFIG) return env.WHISPER_CONFIG;
+  const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'local-whisper', 'config.json');
+}
+
+/**
+ * Nearest .local-whisper.json from dir upwards, or null
+ */
+function findProjectConfig(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, PROJECT_CONFIG_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Convert a raw config/env value to the setting's type
+ * @param {boolean} fromEnv - env values are strings and get parsed
+ * @returns {*} value; throws on a type mismatch
+ */
+function coerceSetting(key, raw, fromEnv, baseDir = null) {
+  const { type, signed } = CONFIG_SETTINGS[key];
+  if (raw === null) return null;
+  
+  if (type === 'number') {
+    const value = fromEnv ? parseFloat(raw) : raw;
+    if (typeof value !== 'number' || isNaN(value) || (value < 0 && !signed)) {
+      throw new Error(`${key} must be a ${signed ? '' : 'non-negative '}number, got ${JSON.stringify(raw)}`);
+    }
+    return value;
+  }
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+    if (fromEnv && /^(1|true|yes|on)$/i.test(raw)) return true;
+    if (fromEnv && /^(0|false|no|off)$/i.test(raw)) return false;
+    throw new Error(`${key} must be true or false, got ${JSON.stringify(raw)}`);
+  }
+  if (type === 'map') {
+    if (fromEnv || typeof raw !== 'object' || Array.isArray(raw) || !Object.values(raw).every(value => typeof value === 'string')) {
+      throw new Error(`${key} must be an object of strings, got ${JSON.stringify(raw)}`);
+    }
+    return raw;
+  }
+  if (type === 'list' && Array.isArray(raw) && raw.every(item => typeof item === 'string')) {
+    return raw.join(',');
+  }
+  if (typeof raw !== 'string') {
+    throw new Error(`${key} must be a ${type === 'list' ? 'string or array of strings' : 'string'}, got ${JSON.stringify(raw)}`);
+  }
+  if (type === 'path' && baseDir) {
+    return path.resolve(baseDir, raw.replace(/^~(?=$|\/)/, os.homedir()));
+  }
+  return raw;
+}
+
+/**
+ * Resolve settings from defaults, config files and environment variables
+ * (flags are applied on top by parseArgs)
+ * @param {Object} options - env (default: process.env), cwd (default: process.cwd())
+ * @returns {{values: Object, sources: Object, files: string[], errors: string[], warnings: string[]}}
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const config = { values: {}, sources: {}, files: [], errors: [], warnings: [] };
+  
+  for (const [key, setting] of Object.entries(CONFIG_SETTINGS)) {
+    config.values[key] = setting.default;
+    config.sources[key] = 'default';
+  }
+  
+  const userPath = getUserConfigPath(env);
+  const layers = [
+    { file: userPath, label: 'user', required: Boolean(env.WHISPER_CONFIG) },
+    { file: findProjectConfig(options.cwd), label: 'project', required: false }
+  ];
+  
+  for (const { file, label, required } of layers) {
+    if (!file || !fs.existsSync(file)) {
+      if (required) config.errors.push(`Config file not found: ${file}`);
+      continue;
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected a JSON object');
+      }
+    } catch (error) {
+      config.errors.push(`Invalid config file ${file}: ${error.message}`);
+      continue;
+    }
+    config.files.push(file);
+    for (const [key, raw] of Object.entries(data)) {
+      if (!CONFIG_SETTINGS[key]) {
+        config.warnings.push(`Unknown setting "${key}" in ${file}`);
+        continue;
+      }
+      try {
+        config.values[key] = coerceSetting(key, raw, false, path.dirname(file));
+        config.sources[key] = `${label} ${file}`;
+      } catch (error) {
+        config.errors.push(`${file}: ${error.message}`);
+      }
+    }
+  }
+  
+  for (const [key, setting] of Object.entries(CONFIG_SETTINGS)) {
+    if (!setting.env || env[setting.env] === undefined || env[setting.env] === '') continue;
+    try {
+      config.values[key] = coerceSetting(key, env[setting.env], true);
+      config.sources[key] = `env ${setting.env}`;
+    } catch (error) {
+      config.errors.push(`${setting.env}: ${error.message}`);
+    }
+  }
+  
+  return config;
+}
+
+/**
+ * Effective settings for `config show`: the loaded config with the flags
+ * given on the command line applied on top
+ * @param {string[]} args - raw arguments (to tell which flags were given)
+ * @returns {Object<string, {value, source}>}
+ */
+function resolveSettings(config, options, args) {
+  const settings = {};
+  for (const [key, setting] of Object.entries(CONFIG_SETTINGS)) {
+    const flag = (setting.flags || []).find(name => args.includes(name));
+    const value = setting.option ? options[setting.option] : null;
+    const flagValue = Array.isArray(value) ? value.join(',') : value;
+    if (flag) {
+      settings[key] = { value: flagValue, source: `flag ${flag}` };
+    } else if (flagValue !== null && flagValue !== undefined && flagValue !== config.values[key]) {
+      // e.g. --model turns smart selection off
+      settings[key] = { value: flagValue, source: 'implied by flags' };
+    } else {
+      settings[key] = { value: config.values[key], source: config.sources[key] };
+    }
+  }
+  return settings;
+}
+
+/**
+ * Print the effective configuration and where each value came from
+ */
+function showConfig(config, options, args, format = DEFAULTS.FORMAT) {
+  const settings = resolveSettings(config, options, args);
+  const projectPath = findProjectConfig();
+  
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      files: { user: getUserConfigPath(), project: projectPath, loaded: config.files },
+      settings
+    }, null, 2));
+    return;
+  }
+  
+  const userPath = getUserConfigPath();
+  console.log('\n⚙️  Effective configuration\n');
+  console.log(`  User config:    ${userPath}${config.files.includes(userPath) ? '' : ' (not found)'}`);
+  console.log(`  Project config: ${projectPath || `none (${PROJECT_CONFIG_NAME} in this or a parent directory)`}`);
+  console.log('');
+  for (const [key, { value, source }] of Object.entries(settings)) {
+    const shown = value === null ? '-' : typeof value === 'object' ? `${Object.keys(value).length} entries` : String(value);
+    console.log(`  ${key.padEnd(26)} ${shown.padEnd(42)} ${source}`);
+  }
+  console.log('\n  Precedence: flags > environment > project config > user config > defaults\n');
+}
+
+/**
+ * Config files are read on first use, not when the module is required;
+ * transcribe() and transcribeAsync() calls given options.config use that
+ * instead (see withConfig)
+ */
+const configContext = new AsyncLocalStorage();
+let loadedConfig = null;
+
+function getConfig() {
+  const explicit = configContext.getStore();
+  if (explicit) return explicit;
+  if (!loadedConfig) loadedConfig = loadConfig();
+  return loadedConfig;
+}
 
-// Lockfile to prevent concurrent runs
-const LOCKFILE = '/tmp/whisper-transcribe.lock';
+// Configuration defaults, resolved from config files and env on each access
+// (see CONFIG_SETTINGS): DEFAULTS name -> setting
+const CONFIG_DEFAULTS = {
+  MODEL: 'model',
+  SMART_MODEL: 'smartModel',
+  MODEL_TABLE: 'modelTable',  // Smart selection table, e.g. "30:large,*:small"
+  LANGUAGE: 'language',
+  TASK: 'task',  // transcribe, translate (to English) or both
+  ALLOWED_LANGUAGES: 'allowedLanguages',  // Languages auto-detection may pick (null = any)
+  PROMPT: 'prompt',  // Initial prompt for whisper
+  VOCABULARY_FILE: 'vocabularyFile',  // Terms added to the initial prompt
+  GLOSSARY: 'glossary',  // { "from": "to" } corrections after transcription
+  WORD_TIMESTAMPS: 'wordTimestamps',  // Per-word times in segments, karaoke VTT
+  MAX_LINE_WIDTH: 'maxLineWidth',  // Caption line width in characters (0 = whole segments)
+  MAX_LINE_COUNT: 'maxLineCount',  // Lines per caption cue (0 = unlimited)
+  FORMAT: 'format',
+  BACKEND: 'backend',
+  BACKEND_ORDER: 'backendOrder',
+  OUTPUT_DIR: 'outputDir',  // null = next to the input
+  OUTPUT_FORMATS: 'outputFormats',  // Files to keep: txt, srt, vtt, tsv, json, all
+  OUTPUT_NAME: 'outputName',
+  CACHE: 'cache',
+  CACHE_DIR: 'cacheDir',
+  CACHE_MAX_AGE_DAYS: 'cacheMaxAgeDays',
+  CACHE_MAX_MB: 'cacheMaxMB',
+  MAX_CONCURRENT: 'maxConcurrent',
+  QUEUE_TIMEOUT: 'queueTimeout',  // Seconds to wait for a slot
+  DAEMON_IDLE_TIMEOUT: 'daemonIdleTimeout',  // Seconds; 0 = never
+  SERVER_HOST: 'serverHost',
+  SERVER_PORT: 'serverPort',
+  WATCH_SETTLE: 'watchSettle',  // Seconds a new file must stay unchanged
+  WATCH_INTERVAL: 'watchInterval',  // Seconds between directory rescans
+  WATCH_POLL: 'watchPoll',  // Rescan only, without fs.watch
+  WATCH_STATE_FILE: 'watchStateFile',  // null = <dir>/.local-whisper-watch.json
+  ARCHIVE_DIR: 'archiveDir',  // Move watched originals here once transcribed
+  RECORD_DEVICE: 'recordDevice',  // "<ffmpeg format>:<device>"; null = platform default
+  RECORD_SILENCE: 'recordSilence',  // Seconds of silence that end --record (0 = Ctrl-C only)
+  RECORD_MAX: 'recordMax',  // Seconds; --record stops here at the latest
+  STREAM_STEP: 'streamStep',  // Seconds of new audio between --stream passes
+  STREAM_WINDOW: 'streamWindow',  // Longest audio window whisper gets per pass
+  STREAM_IDLE: 'streamIdle',  // Seconds without growth that end a streamed file
+  CHUNKING: 'chunking',
+  CHUNK_THRESHOLD: 'chunkThreshold',  // Seconds; longer recordings are chunked
+  CHUNK_LENGTH: 'chunkLength',        // Seconds per chunk
+  CHUNK_OVERLAP: 'chunkOverlap',      // Seconds added on each side of a cut
+  TIMEOUT: 'timeout',  // Seconds per transcription; 0 = none
+  THREADS: 'threads',  // 0 = backend default
+  NICE: 'nice',        // Added to the CPU niceness of whisper/ffmpeg
+  VAD: 'vad',          // Skip whisper for recordings without speech
+  TRIM_SILENCE: 'trimSilence',  // Cut leading/trailing silence before whisper
+  FILTER: 'filter',    // Drop/collapse likely hallucinations
+  NO_SPEECH_THRESHOLD: 'noSpeechThreshold',
+  LOGPROB_THRESHOLD: 'logprobThreshold',
+  COMPRESSION_RATIO_THRESHOLD: 'compressionRatioThreshold',
+  DIARIZE: 'diarize',  // Label segments with speakers
+  SPEAKERS: 'speakers'  // Expected speaker count; 0 = let the tool decide
+};
 
-// Configuration defaults
 const DEFAULTS = {
-  MODEL: process.env.WHISPER_MODEL || 'small',
-  LANGUAGE: process.env.WHISPER_LANGUAGE || 'auto',
-  SIZE_THRESHOLD_KB: 100  // File size threshold for smart model selection
+  SIZE_THRESHOLD_KB: 100,  // File size threshold for smart model selection
+  FFMPEG: process.env.FFMPEG_CMD || 'ffmpeg',
+  FFPROBE: process.env.FFPROBE_CMD || 'ffprobe',
+  DIARIZE_CMD: process.env.WHISPER_DIARIZE_CMD || null,
+  DIARIZE_MODEL: process.env.WHISPER_DIARIZE_MODEL || 'pyannote/speaker-diarization-3.1'
+};
+
+for (const [name, key] of Object.entries(CONFIG_DEFAULTS)) {
+  Object.defineProperty(DEFAULTS, name, { enumerable: true, get: () => getConfig().values[key] });
+}
+
+/**
+ * Exit statuses. Every failure has an error class below whose code names
+ * its row here, so callers can tell "retry later" from "fall back to
+ * another transcriber" from "tell the user". Cancellation by a signal
+ * exits 128+n (130 for SIGINT, 143 for SIGTERM).
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,              // Unexpected error; batch runs where some files failed
+  USAGE: 2,               // Bad flags, arguments or config file
+  INPUT_NOT_FOUND: 3,     // Audio file or directory doesn't exist
+  UNSUPPORTED_INPUT: 4,   // Not decodable audio
+  MISSING_DEPENDENCY: 5,  // whisper backend, ffmpeg or model file not installed
+  QUEUE_TIMEOUT: 6,       // No transcription slot free in time (retryable)
+  BACKEND_FAILED: 7,      // whisper exited with an error
+  NO_TRANSCRIPT: 8,       // whisper succeeded but wrote no transcript
+  TIMEOUT: 124            // --timeout passed, like coreutils timeout(1)
 };
 
 /**
- * Lockfile management to prevent concurrent runs
+ * Errors
+ * 
+ * TranscribeError carries code (a key of EXIT_CODES), exitCode, retryable
+ * and details (extra fields for the JSON error object). Subclasses take
+ * (message, details).
+ */
+class TranscribeError extends Error {
+  constructor(message, code = 'FAILED', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = EXIT_CODES[code];
+    this.retryable = code === 'QUEUE_TIMEOUT';
+    this.details = details;
+  }
+}
+
+class UsageError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'USAGE', details);
+  }
+}
+
+class InputNotFoundError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'INPUT_NOT_FOUND', details);
+  }
+}
+
+class UnsupportedInputError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'UNSUPPORTED_INPUT', details);
+  }
+}
+
+class DependencyError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'MISSING_DEPENDENCY', details);
+  }
+}
+
+class QueueTimeoutError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'QUEUE_TIMEOUT', details);
+  }
+}
+
+class BackendError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'BACKEND_FAILED', details);
+  }
+}
+
+class NoTranscriptError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'NO_TRANSCRIPT', details);
+  }
+}
+
+class TimeoutError extends TranscribeError {
+  constructor(message, details) {
+    super(message, 'TIMEOUT', details);
+  }
+}
+
+/**
+ * EXIT_CODES key for any error (untyped errors are FAILED)
+ */
+function errorCode(error) {
+  return error instanceof TranscribeError ? error.code : 'FAILED';
+}
+
+/**
+ * Exit status for a failed run
+ */
+function exitCodeFor(error) {
+  return EXIT_CODES[errorCode(error)];
+}
+
+/**
+ * Error as a plain object for --format json and the server
+ */
+function errorToJson(error) {
+  return Object.assign({
+    type: error instanceof TranscribeError ? error.name : 'TranscribeError',
+    code: errorCode(error),
+    exitCode: exitCodeFor(error),
+    retryable: Boolean(error.retryable),
+    message: error.message
+  }, error.details || {});
+}
+
+/**
+ * Print a fatal error: a JSON object on stderr in json mode (one line,
+ * after any progress output), else a human-readable line
+ */
+function reportError(error, format = DEFAULTS.FORMAT) {
+  if (format === 'json') {
+    console.error(JSON.stringify({ error: errorToJson(error) }));
+  } else {
+    console.error(`\n❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * Report a fatal error and exit with its status
+ */
+function exitWithError(error, format = DEFAULTS.FORMAT) {
+  reportError(error, format);
+  process.exit(exitCodeFor(error));
+}
+
+/**
+ * Prefix a failure inside a whisper run; typed errors keep their class
+ * (anything untyped counts as the backend failing)
+ */
+function whisperFailure(error, note = '') {
+  if (error instanceof TimeoutError || error instanceof DependencyError || error instanceof DiarizationError) {
+    error.message += note;
+    return error;
+  }
+  const Type = error instanceof TranscribeError ? error.constructor : BackendError;
+  return new Type(`Whisper transcription failed: ${error.message}${note}`, error.details);
+}
+
+/**
+ * Stdout formats:
+ * - text:  human-readable report (banner, transcript, saved path)
+ * - plain: transcript only, for CLI integrations that ingest stdout
+ * - json:  structured result object
+ */
+const OUTPUT_FORMATS = ['text', 'plain', 'json'];
+
+/**
+ * Progress/diagnostic output. Goes to stderr so stdout stays machine-readable,
+ * or to the logger of the transcribeAsync() call it runs under.
+ */
+const apiContext = new AsyncLocalStorage();
+
+function log(...args) {
+  const context = apiContext.getStore();
+  if (!context) {
+    console.error(...args);
+    return;
+  }
+  const message = args.join(' ').trim();
+  // Banner rules are decoration for terminals
+  if (context.logger && message && !/^[=-]+$/.test(message)) {
+    context.logger(message);
+  }
+}
+
+/**
+ * Emit a transcribeAsync() event ('progress', 'segment'); no-op for CLI runs
+ */
+function notify(event, data) {
+  const context = apiContext.getStore();
+  if (!context) return;
+  if (event === 'segment') context.segments++;
+  context.emitter.emit(event, data);
+}
+
+/**
+ * Transcription queue
+ * 
+ * Concurrent invocations wait their turn instead of failing. State lives in a
+ * per-user runtime dir:
+ * - queue/<time>-<pid>-<n> one ticket per waiting call (FIFO order)
+ * - slot-<n>.lock          one file per running transcription, created with
+ *                          O_EXCL ('wx') so acquisition is atomic
+ * Tickets and slots of dead processes are treated as stale and removed, as
+ * are slot files left empty by a crash between creating and writing them.
+ * Waiting polls with timers, so signals and other work aren't held up.
+ */
+const QUEUE_POLL_MS = 250;
+const EMPTY_SLOT_STALE_MS = 5000;  // An empty slot file older than this was never written
+
+// Slot files and queue tickets held by this process (released on exit)
+const heldSlots = new Set();
+const queueTickets = new Set();
+let ticketCount = 0;
+
+/**
+ * Per-user runtime directory for queue state (created with mode 0700)
+ */
+function getLockDir() {
+  let dir = process.env.WHISPER_LOCK_DIR;
+  if (!dir && process.env.XDG_RUNTIME_DIR) {
+    dir = path.join(process.env.XDG_RUNTIME_DIR, 'local-whisper');
+  }
+  if (!dir) {
+    const user = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+    dir = path.join(os.tmpdir(), `local-whisper-${user}`);
+  }
+  fs.mkdirSync(path.join(dir, 'queue'), { recursive: true, mode: 0o700 });
+  return dir;
+}
+
+function readPid(filePath) {
+  try {
+    return parseInt(fs.readFileSync(filePath, 'utf-8').trim(), 10);
+  } catch (e) {
+    return NaN;
+  }
+}
+
+/**
+ * Atomically claim a free slot. Stale slots (dead PIDs) are reclaimed.
+ * @returns {?string} slot path, or null if all slots are busy
  */
-function acquireLock(force = false) {
-  // Check if lockfile exists
-  if (fs.existsSync(LOCKFILE)) {
+function tryAcquireSlot(lockDir, maxConcurrent) {
+  for (let i = 0; i < maxConcurrent; i++) {
+    const slotPath = path.join(lockDir, `slot-${i}.lock`);
     try {
-      const pid = parseInt(fs.readFileSync(LOCKFILE, 'utf-8').trim(), 10);
-      
-      // Check if process is still running
-      const isRunning = !isNaN(pid) && isProcessRunning(pid);
-      
-      if (isRunning) {
-        if (force) {
-          // Kill existing process and remove lock
-          try {
-            process.kill(pid, 'SIGTERM');
-            console.log(`⚠️  Killed existing whisper process (PID: ${pid})`);
-            // Wait a moment for cleanup
-            execSync('sleep 0.5', { stdio: 'pipe' });
-          } catch (e) {
-            // Process might have exited already
-          }
-          fs.unlinkSync(LOCKFILE);
-        } else {
-          console.error(`\n❌ Error: Another whisper transcribe is already running (PID: ${pid}). Use --force to override.`);
-          process.exit(1);
-        }
-      } else {
-        // Stale lock - remove it
-        console.log('⚠️  Removing stale lockfile from dead process');
-        fs.unlinkSync(LOCKFILE);
-      }
+      const fd = fs.openSync(slotPath, 'wx', 0o600);
+      fs.writeSync(fd, process.pid.toString());
+      fs.closeSync(fd);
+      return slotPath;
     } catch (e) {
-      // If we can't read the lockfile, try to remove it
+      if (e.code !== 'EEXIST') throw e;
+    }
+    
+    const pid = readPid(slotPath);
+    // An empty file may be a slot that's being written right now
+    const stale = isNaN(pid) ? isEmptySlotStale(slotPath) : !isProcessRunning(pid);
+    if (stale) {
+      log(isNaN(pid) ? `⚠️  Removing stale empty lock ${path.basename(slotPath)}` : `⚠️  Removing stale lock from dead process (PID: ${pid})`);
       try {
-        fs.unlinkSync(LOCKFILE);
-      } catch (e2) {
-        // Ignore errors
+        fs.unlinkSync(slotPath);
+      } catch (e) {
+        // ENOENT: another waiter removed it first
+        if (e.code !== 'ENOENT') continue;
       }
+      i--;  // Retry this slot
     }
   }
-  
-  // Create lockfile with current PID
-  fs.writeFileSync(LOCKFILE, process.pid.toString());
+  return null;
 }
 
-function releaseLock() {
+function isEmptySlotStale(slotPath) {
+  try {
+    const stat = fs.statSync(slotPath);
+    return stat.size === 0 && Date.now() - stat.mtimeMs > EMPTY_SLOT_STALE_MS;
+  } catch (e) {
+    return false;  // Removed meanwhile; the next try creates it
+  }
+}
+
+/**
+ * Live queue tickets in FIFO order; tickets of dead processes are removed
+ */
+function listQueue(lockDir) {
+  const queueDir = path.join(lockDir, 'queue');
+  return fs.readdirSync(queueDir).sort().filter(ticket => {
+    const pid = parseInt(ticket.split('-')[1], 10);
+    if (isProcessRunning(pid)) return true;
+    try {
+      fs.unlinkSync(path.join(queueDir, ticket));
+    } catch (e) {
+      // Already removed
+    }
+    return false;
+  });
+}
+
+/**
+ * Wait in the queue for a transcription slot
+ * 
+ * Options:
+ *   force          - Skip the queue and run immediately
+ *   maxConcurrent  - Number of transcriptions allowed at once (default: 1)
+ *   timeout        - Seconds to wait before giving up (default: 600)
+ *   lockDir        - Queue state directory (default: per-user runtime dir)
+ *   signal         - AbortSignal; aborting gives up waiting (rejects with
+ *                    its reason)
+ * @returns {Promise<{slot: ?string, release: function}>} the slot file (null
+ *   with force); release() frees it. Rejects with a QueueTimeoutError if no
+ *   slot frees up within the timeout.
+ */
+async function acquireSlot(options = {}) {
+  if (options.force) {
+    log('⚠️  --force: skipping the transcription queue');
+    return { slot: null, release: () => {} };
+  }
+  
+  const lockDir = options.lockDir || getLockDir();
+  const maxConcurrent = options.maxConcurrent || DEFAULTS.MAX_CONCURRENT;
+  const timeout = typeof options.timeout === 'number' && !isNaN(options.timeout) ? options.timeout : DEFAULTS.QUEUE_TIMEOUT;
+  const deadline = Date.now() + timeout * 1000;
+  
+  const ticket = `${String(Date.now()).padStart(15, '0')}-${process.pid}-${String(++ticketCount).padStart(6, '0')}`;
+  const ticketPath = path.join(lockDir, 'queue', ticket);
+  fs.writeFileSync(ticketPath, '', { flag: 'wx', mode: 0o600 });
+  queueTickets.add(ticketPath);
+  
+  let lastAhead = null;
   try {
-    if (fs.existsSync(LOCKFILE)) {
-      const lockPid = fs.readFileSync(LOCKFILE, 'utf-8').trim();
-      // Only remove if it's our lock
-      if (lockPid === process.pid.toString()) {
-        fs.unlinkSync(LOCKFILE);
+    for (;;) {
+      if (options.signal && options.signal.aborted) throw options.signal.reason;
+      const ahead = listQueue(lockDir).indexOf(ticket);
+      if (ahead < maxConcurrent) {
+        const slot = tryAcquireSlot(lockDir, maxConcurrent);
+        if (slot) {
+          heldSlots.add(slot);
+          return { slot, release: () => releaseSlot(slot) };
+        }
+      }
+      
+      if (Date.now() >= deadline) {
+        throw new QueueTimeoutError(`Timed out after ${timeout}s waiting for a transcription slot (${maxConcurrent} running)`, { queueTimeout: timeout });
+      }
+      if (ahead !== lastAhead) {
+        log(`⏳ Waiting for a transcription slot (${Math.max(ahead, 0)} ahead in queue)...`);
+        lastAhead = ahead;
       }
+      await new Promise(resolve => setTimeout(resolve, Math.min(QUEUE_POLL_MS, Math.max(deadline - Date.now(), 1))));
     }
+  } finally {
+    removeFile(ticketPath);
+    queueTickets.delete(ticketPath);
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
   } catch (e) {
     // Ignore cleanup errors
   }
 }
 
+function releaseSlot(slot) {
+  // Only remove if it's still ours
+  if (heldSlots.delete(slot) && readPid(slot) === process.pid) {
+    removeFile(slot);
+  }
+}
+
+/**
+ * Free every slot and queue ticket this process holds (on exit)
+ */
+function releaseLock() {
+  queueTickets.forEach(removeFile);
+  queueTickets.clear();
+  heldSlots.forEach(releaseSlot);
+}
+
 function isProcessRunning(pid) {
   try {
     // Check if process exists by sending signal 0
@@ -107,15 +833,35 @@ function isProcessRunning(pid) {
   }
 }
 
-function setupLockCleanup() {
-  // Clean up lock on normal exit
-  process.on('exit', releaseLock);
+/**
+ * Release queue state and stop child processes when the process ends
+ * @param {function} [stop] - graceful shutdown of a long-running command
+ *   (server, watch), called on the first SIGINT/SIGTERM instead of
+ *   cancelling; it exits the process when done. A second signal cancels.
+ */
+function setupLockCleanup(stop = null) {
+  // Clean up lock (and any whisper still running) on exit
+  process.on('exit', () => {
+    killActiveProcesses('SIGKILL');
+    releaseLock();
+  });
   
-  // Clean up on signals
-  ['SIGINT', 'SIGTERM', 'SIGUSR1', 'SIGUSR2'].forEach(signal => {
+  // Cancel on signals: stop the whisper/ffmpeg process trees, then exit 128+n like a shell
+  let stopping = false;
+  ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGUSR1', 'SIGUSR2'].forEach(signal => {
     process.on(signal, () => {
+      if (stop && !stopping && (signal === 'SIGINT' || signal === 'SIGTERM')) {
+        stopping = true;
+        log(`\n🛑 ${signal}: finishing work in progress (send it again to cancel)`);
+        stop();
+        return;
+      }
+      if (activeProcesses.size > 0) {
+        log(`\n🛑 ${signal}: stopping ${activeProcesses.size} running process(es)`);
+      }
+      killActiveProcesses('SIGTERM');
       releaseLock();
-      process.exit(1);
+      process.exit(128 + os.constants.signals[signal]);
     });
   });
   
@@ -128,67 +874,491 @@ function setupLockCleanup() {
 }
 
 /**
- * Auto-detect whisper binary location
- * No hardcoded user paths - uses environment variables and standard paths
+ * Child processes
+ * 
+ * whisper and ffmpeg run through runProcess(), which starts each one in its
+ * own process group so a timeout or cancellation can kill the whole tree
+ * (the Python CLI starts ffmpeg, CTranslate2 may start helpers). The event
+ * loop stays free while they run, so signals and timers are handled
+ * immediately instead of after the child exits.
  */
-function findWhisperBinary() {
-  // Allow explicit override via environment variable
-  if (process.env.WHISPER_CMD) {
-    return process.env.WHISPER_CMD;
-  }
-  
-  // Use spawn to avoid shell evaluation.
+const activeProcesses = new Set();
+const KILL_GRACE_MS = 3000;  // SIGTERM first, SIGKILL if the tree is still there
+
+/**
+ * Send a signal to a child and everything it started
+ */
+function killProcessTree(child, signal = 'SIGTERM') {
   try {
-    const cmdResult = spawnSync('which', ['whisper'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
-    if (cmdResult.status === 0 && cmdResult.stdout.trim()) {
-      return cmdResult.stdout.trim();
-    }
+    process.kill(-child.pid, signal);
   } catch (e) {
-    // Fall through to common paths
-  }
-  
-  // Standard paths only (no user-specific hardcoded paths)
-  const commonPaths = [
-    '/usr/bin/whisper',
-    '/usr/local/bin/whisper',
-    `${process.env.HOME}/.local/bin/whisper`,
-    `${process.env.HOME}/.nix-profile/bin/whisper`
-  ];
-  
-  for (const binPath of commonPaths) {
-    if (fs.existsSync(binPath)) {
-      return binPath;
+    try {
+      child.kill(signal);
+    } catch (e2) {
+      // Already gone
     }
   }
-  
-  return null;
 }
 
 /**
- * Check if dependencies are installed
+ * Kill every process tree started by runProcess() that is still running
  */
-function checkDependencies() {
-  const deps = {
-    ffmpeg: false,
-    whisper: false,
-    python3: false
-  };
-  
-  // Check FFmpeg
-  try {
-    execSync('ffmpeg -version', { encoding: 'utf-8', stdio: 'pipe' });
-    deps.ffmpeg = true;
-  } catch (e) {
-    deps.ffmpeg = false;
+function killActiveProcesses(signal = 'SIGTERM') {
+  for (const child of activeProcesses) {
+    killProcessTree(child, signal);
   }
-  
-  // Check Whisper (using auto-detect)
-  try {
-    const whisperPath = findWhisperBinary();
-    if (whisperPath) {
-      const check = spawnSync(whisperPath, ['--help'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Error for a run that exceeded --timeout
+ */
+function timeoutError(seconds) {
+  return new TimeoutError(`Transcription timed out after ${seconds}s (--timeout)`, { timeout: seconds });
+}
+
+/**
+ * Start the clock for options.timeout; the deadline is shared by every
+ * process of the run (conversion, each chunk, ...)
+ * @returns {Object} options with deadline set (unchanged without a timeout)
+ */
+function withDeadline(options) {
+  const timeout = typeof options.timeout === 'number' ? options.timeout : DEFAULTS.TIMEOUT;
+  if (options.deadline || !timeout) return options;
+  return Object.assign({}, options, { timeout, deadline: Date.now() + timeout * 1000 });
+}
+
+/**
+ * Limits for runProcess() from run options: time left before the deadline,
+ * threads and niceness
+ */
+function processLimits(options = {}) {
+  const limits = {
+    threads: options.threads || DEFAULTS.THREADS,
+    nice: options.nice || DEFAULTS.NICE
+  };
+  if (options.deadline) {
+    if (Date.now() >= options.deadline) throw timeoutError(options.timeout);
+    limits.timeout = (options.deadline - Date.now()) / 1000;
+  }
+  return limits;
+}
+
+/**
+ * Environment for a child: OMP_NUM_THREADS caps the threads PyTorch and
+ * CTranslate2 use
+ */
+function childEnv(limits) {
+  return limits.threads
+    ? Object.assign({}, process.env, { OMP_NUM_THREADS: String(limits.threads) })
+    : process.env;
+}
+
+/**
+ * Raise a child's niceness by n (lower CPU priority)
+ */
+function lowerPriority(pid, nice) {
+  if (!nice || !pid) return;
+  try {
+    os.setPriority(pid, Math.min(19, os.getPriority(pid) + nice));
+  } catch (e) {
+    // Not permitted on this system; run at normal priority
+  }
+}
+
+/**
+ * Run a command without blocking the event loop
+ * @param {Object} limits - timeout (seconds; the process tree is killed
+ *   when it passes), threads (OMP_NUM_THREADS for the child), nice
+ * @returns {Promise<{status: ?number, signal: ?string, stdout: string, stderr: string, error: ?Error, timedOut: boolean}>}
+ */
+function runProcess(command, args, limits = {}) {
+  return new Promise(resolve => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], detached: true, env: childEnv(limits) });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timers = [];
+    
+    if (child.pid) {
+      activeProcesses.add(child);
+      lowerPriority(child.pid, limits.nice);
+    }
+    if (limits.timeout) {
+      timers.push(setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child, 'SIGTERM');
+        timers.push(setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_MS));
+      }, limits.timeout * 1000));
+    }
+    
+    const finish = result => {
+      timers.forEach(clearTimeout);
+      activeProcesses.delete(child);
+      if (timedOut) killProcessTree(child, 'SIGKILL');  // Leftovers that closed their stdio
+      resolve(Object.assign({ stdout, stderr, timedOut }, result));
+    };
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', error => finish({ status: null, signal: null, error }));
+    child.on('close', (status, signal) => finish({ status, signal, error: null }));
+  });
+}
+
+/**
+ * Locate an executable: env override, then PATH, then standard paths
+ * No hardcoded user paths - uses environment variables and standard paths
+ */
+function findBinary(names, envVar) {
+  // Allow explicit override via environment variable
+  if (envVar && process.env[envVar]) {
+    return process.env[envVar];
+  }
+  
+  // Use spawn to avoid shell evaluation.
+  for (const name of names) {
+    try {
+      const cmdResult = spawnSync('which', [name], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+      if (cmdResult.status === 0 && cmdResult.stdout.trim()) {
+        return cmdResult.stdout.trim();
+      }
+    } catch (e) {
+      // Fall through to common paths
+    }
+  }
+  
+  // Standard paths only (no user-specific hardcoded paths)
+  for (const name of names) {
+    const commonPaths = [
+      `/usr/bin/${name}`,
+      `/usr/local/bin/${name}`,
+      `${process.env.HOME}/.local/bin/${name}`,
+      `${process.env.HOME}/.nix-profile/bin/${name}`
+    ];
+    
+    for (const binPath of commonPaths) {
+      if (fs.existsSync(binPath)) {
+        return binPath;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Auto-detect whisper binary location (OpenAI Whisper Python CLI)
+ */
+function findWhisperBinary() {
+  return findBinary(['whisper'], 'WHISPER_CMD');
+}
+
+/**
+ * Directories searched for whisper.cpp ggml models
+ */
+function getGgmlModelDirs() {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return [
+    process.env.WHISPER_CPP_MODELS,
+    path.join(dataHome, 'whisper.cpp', 'models'),
+    path.join(os.homedir(), '.cache', 'whisper.cpp'),
+    '/usr/local/share/whisper.cpp/models',
+    '/usr/share/whisper.cpp/models'
+  ].filter(Boolean);
+}
+
+/**
+ * Find the ggml model file for a model size (large -> ggml-large-v3.bin, ...)
+ */
+function findGgmlModel(model) {
+  const names = [`ggml-${model}.bin`, `ggml-${model}-v3.bin`, `ggml-${model}-v2.bin`, `ggml-${model}-v1.bin`];
+  for (const dir of getGgmlModelDirs()) {
+    for (const name of names) {
+      const modelPath = path.join(dir, name);
+      if (fs.existsSync(modelPath)) {
+        return modelPath;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Path of the ggml file for a model size, or a DependencyError saying how
+ * to download it
+ */
+function requireGgmlModel(model) {
+  const modelPath = findGgmlModel(model);
+  if (!modelPath) {
+    throw new DependencyError(`No ggml model for "${model}" in ${getGgmlModelDirs().join(', ')}. Download it with whisper.cpp's models/download-ggml-model.sh ${model}`, { dependency: `ggml-${model}.bin` });
+  }
+  return modelPath;
+}
+
+/**
+ * Join whisper.cpp's tokens (-ojf) into words; a token starting with a
+ * space starts a new word, and special tokens ([_BEG_], [_TT_42]) are skipped
+ */
+function whisperCppWords(tokens) {
+  const words = [];
+  for (const token of tokens) {
+    if (!token.text || /^\[_.*\]$/.test(token.text) || !token.offsets) continue;
+    const last = words[words.length - 1];
+    if (!last || /^\s/.test(token.text)) {
+      words.push({ word: token.text.trim(), start: token.offsets.from / 1000, end: token.offsets.to / 1000, probability: token.p, tokens: 1 });
+    } else {
+      last.word += token.text;
+      last.end = token.offsets.to / 1000;
+      last.probability = (last.probability * last.tokens + token.p) / (last.tokens + 1);
+      last.tokens++;
+    }
+  }
+  return words.map(({ word, start, end, probability }) => ({ word, start, end, probability }));
+}
+
+function hasGgmlModels() {
+  return getGgmlModelDirs().some(dir => {
+    try {
+      return fs.readdirSync(dir).some(name => /^ggml-.*\.bin$/.test(name));
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Whisper tasks: transcribe (text in the spoken language), translate
+ * (English text), both (the original plus an English translation; two
+ * whisper runs, see transcribeBothTasks)
+ */
+const TASKS = ['transcribe', 'translate', 'both'];
+
+/**
+ * The run's task, validated
+ */
+function resolveTask(options = {}) {
+  const task = String(options.task || DEFAULTS.TASK).toLowerCase();
+  if (!TASKS.includes(task)) {
+    throw new UsageError(`Unknown task: ${task}. Use one of: ${TASKS.join(', ')}`);
+  }
+  return task;
+}
+
+/**
+ * Arguments shared by the Python whisper CLI and whisper-ctranslate2
+ */
+function whisperCliArgs(inputPaths, { model, language, task, prompt, words, workDir, threads }) {
+  const args = inputPaths.concat([
+    '--model',
+    model,
+    '--output_format',
+    'all',
+    '--output_dir',
+    workDir
+  ]);
+  if (threads) {
+    args.push('--threads', String(threads));
+  }
+  // Only add --language if not "auto" (Whisper auto-detects when flag is omitted)
+  if (language && language.toLowerCase() !== 'auto') {
+    args.push('--language', language);
+  }
+  if (task === 'translate') {
+    args.push('--task', 'translate');
+  }
+  if (prompt) {
+    args.push('--initial_prompt', prompt);
+  }
+  if (words) {
+    args.push('--word_timestamps', 'True');
+  }
+  return args;
+}
+
+/**
+ * Transcription backends
+ * 
+ * Each backend maps the common settings to its own CLI arguments and
+ * normalizes what it wrote so workDir ends up with whisper-style outputs
+ * (<basename>.txt/.srt/.vtt/.tsv/.json). Everything downstream (result
+ * object, output selection, cache) is backend-agnostic.
+ * 
+ *   find()            -> binary path or null
+ *   multiInput        one process can transcribe several files
+ *   wavOnly           needs 16 kHz mono WAV input
+ *   servable          the --serve worker can keep its model loaded
+ *   buildArgs(inputPaths, { model, language, task, prompt, words, workDir, threads })
+ *   finishOutputs(workDir, inputPaths, run)
+ *   detectCommand(inputPath, { backend, model }) -> [file, args] that print
+ *                     language probabilities (see detectLanguage)
+ */
+const BACKENDS = {
+  'openai-whisper': {
+    label: 'OpenAI Whisper (Python)',
+    install: 'pip install openai-whisper',
+    multiInput: true,
+    wavOnly: false,
+    servable: true,
+    find: findWhisperBinary,
+    buildArgs: whisperCliArgs,
+    finishOutputs() {},
+    detectCommand: pythonDetectCommand
+  },
+  
+  'faster-whisper': {
+    label: 'faster-whisper (CTranslate2)',
+    install: 'pip install whisper-ctranslate2',
+    multiInput: true,
+    wavOnly: false,
+    servable: true,
+    find: () => findBinary(['whisper-ctranslate2'], 'FASTER_WHISPER_CMD'),
+    // whisper-ctranslate2 mirrors the whisper CLI
+    buildArgs: whisperCliArgs,
+    finishOutputs(workDir, inputPaths, run) {
+      // Probability is only printed to stdout; with several inputs it can't be attributed
+      const match = /Detected language '([^']+)' with probability ([\d.]+)/.exec(run.stdout || '');
+      if (!match || inputPaths.length !== 1) return;
+      const jsonPath = path.join(workDir, `${path.basename(inputPaths[0]).replace(/\.[^/.]+$/, '')}.json`);
+      try {
+        const data = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+        data.language_probability = parseFloat(match[2]);
+        fs.writeFileSync(jsonPath, JSON.stringify(data));
+      } catch (e) {
+        // Leave outputs as written
+      }
+    },
+    detectCommand: pythonDetectCommand
+  },
+  
+  'whisper-cpp': {
+    label: 'whisper.cpp',
+    install: 'build whisper.cpp (whisper-cli) and download a ggml model with models/download-ggml-model.sh',
+    multiInput: false,
+    wavOnly: true,
+    servable: false,
+    // Plain "main" (older whisper.cpp builds) is too generic to look up; use WHISPER_CPP_CMD
+    find: () => (hasGgmlModels() ? findBinary(['whisper-cli', 'whisper-cpp'], 'WHISPER_CPP_CMD') : null),
+    buildArgs(inputPaths, { model, language, task, prompt, words, workDir, threads }) {
+      const modelPath = requireGgmlModel(model);
+      const baseName = path.basename(inputPaths[0]).replace(/\.[^/.]+$/, '');
+      return [
+        '-m', modelPath,
+        '-f', inputPaths[0],
+        '-l', language ? language.toLowerCase() : 'auto',
+        '-of', path.join(workDir, baseName),
+        // -ojf adds per-token timings, which finishOutputs joins into words
+        '-otxt', '-osrt', '-ovtt', words ? '-ojf' : '-oj'
+      ].concat(task === 'translate' ? ['-tr'] : [], prompt ? ['--prompt', prompt] : [], threads ? ['-t', String(threads)] : []);
+    },
+    finishOutputs(workDir, inputPaths) {
+      const base = path.join(workDir, path.basename(inputPaths[0]).replace(/\.[^/.]+$/, ''));
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(`${base}.json`, 'utf-8'));
+      } catch (e) {
+        return;
+      }
+      // whisper.cpp JSON: { result: { language }, transcription: [{ offsets: { from, to } (ms), text, tokens? }] }
+      const segments = (data.transcription || []).map((item, id) => Object.assign({
+        id,
+        start: item.offsets.from / 1000,
+        end: item.offsets.to / 1000,
+        text: item.text
+      }, item.tokens ? { words: whisperCppWords(item.tokens) } : {}));
+      fs.writeFileSync(`${base}.json`, JSON.stringify({
+        text: segments.map(seg => seg.text).join(''),
+        segments,
+        language: (data.result && data.result.language) || null
+      }));
+      fs.writeFileSync(`${base}.tsv`, formatTsv(segments));
+    },
+    // -dl stops after detection and only reports the top language
+    detectCommand(inputPath, { backend, model }) {
+      return [backend.path, ['-m', requireGgmlModel(model), '-f', inputPath, '-dl']];
+    }
+  }
+};
+
+/**
+ * Parse a backend list like "whisper-cpp,openai-whisper"
+ */
+function parseBackendOrder(spec) {
+  return String(spec).split(',').map(name => name.trim()).filter(Boolean).map(name => {
+    if (!BACKENDS[name]) {
+      throw new UsageError(`Unknown backend: ${name}. Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return name;
+  });
+}
+
+/**
+ * Pick the backend to run: an explicit name, or the first installed one in
+ * the auto-detection order. WHISPER_CMD pins auto-detection to the Python
+ * CLI, since it names that binary explicitly.
+ * @returns {?Object} backend with name and path, or null if none is installed
+ */
+function resolveBackend(name = DEFAULTS.BACKEND) {
+  let candidates;
+  if (name && name !== 'auto') {
+    candidates = parseBackendOrder(name);
+  } else if (process.env.WHISPER_CMD) {
+    candidates = ['openai-whisper'];
+  } else {
+    candidates = parseBackendOrder(DEFAULTS.BACKEND_ORDER);
+  }
+  
+  for (const candidate of candidates) {
+    const binPath = BACKENDS[candidate].find();
+    if (binPath) {
+      return Object.assign({ name: candidate, path: binPath }, BACKENDS[candidate]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a backend or explain how to install one
+ */
+function requireBackend(name = DEFAULTS.BACKEND) {
+  const backend = resolveBackend(name);
+  if (backend) return backend;
+  if (name && name !== 'auto' && BACKENDS[name]) {
+    throw new DependencyError(`${BACKENDS[name].label} not found. Please install: ${BACKENDS[name].install}`, { dependency: name });
+  }
+  throw new DependencyError('Whisper binary not found. Please install: pip install openai-whisper (or faster-whisper / whisper.cpp, see --check)', { dependency: 'whisper' });
+}
+
+/**
+ * Check if dependencies are installed
+ * @param {string} backendName - Backend to check (default: auto-detect)
+ */
+function checkDependencies(backendName = DEFAULTS.BACKEND) {
+  const deps = {
+    ffmpeg: false,
+    whisper: false,
+    backend: null,
+    python3: false
+  };
+  
+  // Check FFmpeg
+  try {
+    const check = spawnSync(DEFAULTS.FFMPEG, ['-version'], { encoding: 'utf-8', stdio: 'pipe' });
+    deps.ffmpeg = check.status === 0;
+  } catch (e) {
+    deps.ffmpeg = false;
+  }
+  
+  // Check Whisper (using backend auto-detect)
+  try {
+    const backend = resolveBackend(backendName);
+    if (backend) {
+      const check = spawnSync(backend.path, ['--help'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
       if (check.status !== 0) throw new Error('whisper --help failed');
-      deps.whisper = whisperPath;
+      deps.whisper = backend.path;
+      deps.backend = backend.name;
     }
   } catch (e) {
     deps.whisper = false;
@@ -207,16 +1377,23 @@ function checkDependencies() {
 
 /**
  * Display dependency status
+ * @param {Function} print - Output function (console.log for --check, log on failure)
  */
-function showDependencies() {
-  console.log('\n📦 Checking dependencies...\n');
+function showDependencies(print = console.log, backendName = DEFAULTS.BACKEND) {
+  print('\n📦 Checking dependencies...\n');
   
-  const deps = checkDependencies();
+  const deps = checkDependencies(backendName);
   const whisperPath = typeof deps.whisper === 'string' ? deps.whisper : (deps.whisper ? 'found' : 'not found');
   
-  console.log(`  ffmpeg:   ${deps.ffmpeg ? '✅' : '❌'}`);
-  console.log(`  whisper:  ${deps.whisper ? '✅' : '❌'} (${whisperPath})`);
-  console.log(`  python3:  ${deps.python3 ? '✅' : '❌'}`);
+  print(`  ffmpeg:   ${deps.ffmpeg ? '✅' : '❌'}`);
+  print(`  whisper:  ${deps.whisper ? '✅' : '❌'} (${whisperPath}${deps.backend ? `, ${deps.backend}` : ''})`);
+  print(`  python3:  ${deps.python3 ? '✅' : '❌'}`);
+  
+  print('\n  Backends (auto-detection order):');
+  for (const name of parseBackendOrder(DEFAULTS.BACKEND_ORDER)) {
+    const binPath = BACKENDS[name].find();
+    print(`    ${binPath ? '✅' : '❌'} ${name.padEnd(15)} ${binPath || BACKENDS[name].install}`);
+  }
   
   return deps;
 }
@@ -224,21 +1401,25 @@ function showDependencies() {
 /**
  * Install dependencies (show instructions)
  */
-function showInstallInstructions() {
-  console.log('\n📋 Installation instructions:\n');
-  console.log('1. FFmpeg:');
-  console.log('   # NixOS: Add to /etc/nixos/configuration.nix');
-  console.log('   environment.systemPackages = with pkgs; [ ffmpeg ];');
-  console.log('');
-  console.log('   # Or try:');
-  console.log('   nix-env -iA nixpkgs.ffmpeg');
-  console.log('');
-  console.log('2. OpenAI Whisper:');
-  console.log('   pip install openai-whisper ffmpeg-python');
-  console.log('');
-  console.log('   # Or with GPU support:');
-  console.log('   pip install openai-whisper[torch]');
-  console.log('');
+function showInstallInstructions(print = console.log) {
+  print('\n📋 Installation instructions:\n');
+  print('1. FFmpeg:');
+  print('   # NixOS: Add to /etc/nixos/configuration.nix');
+  print('   environment.systemPackages = with pkgs; [ ffmpeg ];');
+  print('');
+  print('   # Or try:');
+  print('   nix-env -iA nixpkgs.ffmpeg');
+  print('');
+  print('2. OpenAI Whisper:');
+  print('   pip install openai-whisper ffmpeg-python');
+  print('');
+  print('   # Or with GPU support:');
+  print('   pip install openai-whisper[torch]');
+  print('');
+  print('   # Faster on CPU-only machines (either one):');
+  print('   pip install whisper-ctranslate2   # faster-whisper backend');
+  print('   # whisper.cpp: build whisper-cli and run models/download-ggml-model.sh small');
+  print('');
 }
 
 /**
@@ -247,6 +1428,18 @@ function showInstallInstructions() {
  */
 const SUPPORTED_FORMATS = ['.wav', '.mp3', '.m4a', '.flac', '.ogg'];
 
+/**
+ * ffprobe format_name expected for each directly supported extension.
+ * A mismatch (e.g. AMR data saved as .ogg) means the file gets converted.
+ */
+const FORMAT_CONTAINERS = {
+  '.wav': 'wav',
+  '.mp3': 'mp3',
+  '.m4a': 'mp4',
+  '.flac': 'flac',
+  '.ogg': 'ogg'
+};
+
 /**
  * Check if audio format is supported by Whisper CLI
  */
@@ -256,131 +1449,4021 @@ function isSupportedFormat(audioPath) {
 }
 
 /**
- * Select model based on file size (smart selection)
+ * Inspect file contents with ffprobe
+ * @returns {?{decodable: boolean, formatName: string, hasAudio: boolean, hasVideo: boolean}}
+ *   null when ffprobe itself is unavailable
+ */
+function probeAudio(filePath) {
+  const result = spawnSync(DEFAULTS.FFPROBE, [
+    '-v', 'error',
+    '-show_entries', 'format=format_name:stream=codec_type,codec_name',
+    '-of', 'json',
+    filePath
+  ], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+  
+  if (result.error) {
+    return null;
+  }
+  
+  try {
+    const data = JSON.parse(result.stdout);
+    const streams = data.streams || [];
+    return {
+      decodable: result.status === 0,
+      formatName: (data.format && data.format.format_name) || '',
+      hasAudio: streams.some(stream => stream.codec_type === 'audio'),
+      hasVideo: streams.some(stream => stream.codec_type === 'video' && stream.codec_name !== 'mjpeg')
+    };
+  } catch (e) {
+    return { decodable: false, formatName: '', hasAudio: false, hasVideo: false };
+  }
+}
+
+/**
+ * Decide whether a file must be converted before transcription.
+ * Content (ffprobe) wins over extension; without ffprobe only the
+ * extension can be checked.
+ * @throws if the file can't be transcribed at all
+ */
+function needsConversion(audioPath, probe) {
+  const ext = path.extname(audioPath).toLowerCase();
+  
+  if (!probe) {
+    if (!isSupportedFormat(audioPath)) {
+      throw new UnsupportedInputError(`Unsupported audio format: ${ext || 'unknown'}. Supported formats: ${SUPPORTED_FORMATS.join(', ')} (install ffprobe to convert other formats)`, { file: audioPath });
+    }
+    return false;
+  }
+  
+  if (!probe.decodable || !probe.hasAudio) {
+    throw new UnsupportedInputError(`Unsupported audio format: ${ext || 'unknown'}. ffmpeg found no decodable audio stream`, { file: audioPath });
+  }
+  
+  if (!isSupportedFormat(audioPath) || probe.hasVideo) {
+    return true;
+  }
+  return !probe.formatName.split(',').includes(FORMAT_CONTAINERS[ext]);
+}
+
+/**
+ * Transcode any ffmpeg-decodable input to 16 kHz mono WAV in a temp dir.
+ * The WAV keeps the input's basename so whisper's outputs are named after it.
+ * @param {Object} options - timeout/deadline, threads, nice (see processLimits)
+ * @returns {Promise<{wavPath: string, tmpDir: string}>} - caller removes tmpDir
+ */
+async function normalizeAudio(audioPath, options = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-convert-'));
+  const baseName = path.basename(audioPath).replace(/\.[^/.]+$/, '') || 'audio';
+  const wavPath = path.join(tmpDir, `${baseName}.wav`);
+  
+  const limits = processLimits(options);
+  const result = await runProcess(DEFAULTS.FFMPEG, [
+    '-nostdin', '-y', '-v', 'error',
+    '-i', audioPath,
+    '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le'
+  ].concat(limits.threads ? ['-threads', String(limits.threads)] : [], [wavPath]), limits);
+  
+  if (result.timedOut) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw timeoutError(options.timeout);
+  }
+  if (result.error && result.error.code === 'ENOENT') {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw new DependencyError(`ffmpeg not found (${DEFAULTS.FFMPEG}). Please install ffmpeg`, { dependency: 'ffmpeg' });
+  }
+  if (result.status !== 0 || !fs.existsSync(wavPath)) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    const err = (result.stderr || (result.error && result.error.message) || '').trim();
+    throw new UnsupportedInputError(`ffmpeg conversion failed: ${err || `exited with status ${result.status}`}`, { file: audioPath });
+  }
+  
+  return { wavPath, tmpDir };
+}
+
+/**
+ * Model sizes, smallest to largest
+ */
+const MODEL_SIZES = ['tiny', 'base', 'small', 'medium', 'large'];
+
+/**
+ * Smart model selection policy settings
+ * - DURATION_TABLE: first row whose maxSeconds covers the audio duration wins
+ *   (short voice notes get a bigger model, long recordings a faster one)
+ * - MIN_RAM_GB: approximate memory each model needs; larger picks are
+ *   downgraded until they fit in available RAM
+ * - LOW_CPU_CORES: below this many cores, step down one model size
+ */
+const MODEL_SELECTION = {
+  DURATION_TABLE: [
+    { maxSeconds: 30, model: 'large' },
+    { maxSeconds: 120, model: 'medium' },
+    { maxSeconds: 600, model: 'small' },
+    { maxSeconds: 1800, model: 'base' },
+    { maxSeconds: Infinity, model: 'tiny' }
+  ],
+  MIN_RAM_GB: { tiny: 1, base: 1, small: 2, medium: 5, large: 10 },
+  LOW_CPU_CORES: 4
+};
+
+/**
+ * Parse a duration table spec like "30:large,120:medium,*:small"
+ * @returns {Array<{maxSeconds: number, model: string}>}
+ */
+function parseModelTable(spec) {
+  const table = String(spec).split(',').map(entry => {
+    const [limit, model] = entry.split(':').map(part => part.trim());
+    const maxSeconds = limit === '*' ? Infinity : parseFloat(limit);
+    if (isNaN(maxSeconds) || !MODEL_SIZES.includes(model)) {
+      throw new UsageError(`Invalid model table entry: "${entry}" (expected <seconds>:<model> or *:<model>)`);
+    }
+    return { maxSeconds, model };
+  });
+  return table.sort((a, b) => a.maxSeconds - b.maxSeconds);
+}
+
+/**
+ * Probe audio duration in seconds with ffprobe (null if unavailable)
+ */
+function probeDuration(filePath) {
+  try {
+    const result = spawnSync(DEFAULTS.FFPROBE, [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+    const duration = parseFloat(result.stdout);
+    return result.status === 0 && isFinite(duration) ? duration : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Available RAM (GB) and CPU core count
+ */
+function getHardwareInfo() {
+  return {
+    ramGB: os.freemem() / (1024 ** 3),
+    cpus: os.cpus().length
+  };
+}
+
+/**
+ * Default selection policy: duration table, then hardware limits.
+ * Falls back to file size (SIZE_THRESHOLD_KB) when the duration is unknown.
+ * @param {{duration: ?number, sizeKB: number, ramGB: number, cpus: number}} facts
+ * @returns {{model: string, reasons: string[]}}
+ */
+function defaultModelPolicy(facts, table = MODEL_SELECTION.DURATION_TABLE) {
+  const reasons = [];
+  let model;
+  
+  if (facts.duration !== null && facts.duration !== undefined) {
+    const row = table.find(entry => facts.duration <= entry.maxSeconds) || table[table.length - 1];
+    model = row.model;
+    const limit = row.maxSeconds === Infinity ? 'longest bracket' : `<= ${row.maxSeconds}s`;
+    reasons.push(`duration ${facts.duration.toFixed(1)}s (${limit}) -> ${model}`);
+  } else {
+    model = facts.sizeKB < DEFAULTS.SIZE_THRESHOLD_KB ? 'large' : 'medium';
+    reasons.push(`duration unknown, size ${facts.sizeKB.toFixed(1)}KB -> ${model}`);
+  }
+  
+  let index = MODEL_SIZES.indexOf(model);
+  
+  if (facts.cpus < MODEL_SELECTION.LOW_CPU_CORES && index > 0) {
+    index--;
+    reasons.push(`${facts.cpus} CPU cores -> ${MODEL_SIZES[index]}`);
+  }
+  
+  const fitted = index;
+  while (index > 0 && facts.ramGB < MODEL_SELECTION.MIN_RAM_GB[MODEL_SIZES[index]]) {
+    index--;
+  }
+  if (index !== fitted) {
+    reasons.push(`${facts.ramGB.toFixed(1)}GB RAM available -> ${MODEL_SIZES[index]}`);
+  }
+  
+  return { model: MODEL_SIZES[index], reasons };
+}
+
+/**
+ * Select model based on audio duration and hardware (smart selection)
+ * 
+ * Options (all optional, mainly for testing/customization):
+ *   probe     - (filePath) => duration in seconds or null (default: ffprobe)
+ *   hardware  - { ramGB, cpus } (default: current machine)
+ *   table     - duration table (default: WHISPER_MODEL_TABLE or MODEL_SELECTION.DURATION_TABLE)
+ *   policy    - (facts, table) => { model, reasons } (default: defaultModelPolicy)
+ */
+function selectModel(filePath, options = {}) {
+  // If explicit model is specified, use it
+  if (options.model && options.model !== 'auto') {
+    return options.model;
+  }
+  
+  const probe = options.probe || probeDuration;
+  const hardware = options.hardware || getHardwareInfo();
+  const table = options.table || (DEFAULTS.MODEL_TABLE
+    ? parseModelTable(DEFAULTS.MODEL_TABLE)
+    : MODEL_SELECTION.DURATION_TABLE);
+  const policy = options.policy || defaultModelPolicy;
+  
+  const facts = {
+    duration: probe(filePath),
+    sizeKB: fs.statSync(filePath).size / 1024,
+    ramGB: hardware.ramGB,
+    cpus: hardware.cpus
+  };
+  
+  const { model, reasons } = policy(facts, table);
+  log(`📏 File size: ${facts.sizeKB.toFixed(1)}KB, duration: ${facts.duration !== null ? `${facts.duration.toFixed(1)}s` : 'unknown'}`);
+  log(`🧠 Model: ${model} (${reasons.join('; ')})`);
+  return model;
+}
+
+/**
+ * Resolve the model for one input: explicit model, or smart selection
+ */
+function resolveModel(inputPath, options = {}) {
+  if ((options.smartModel !== false && !options.model) || options.model === 'auto') {
+    return selectModel(inputPath, Object.assign({}, options, { model: 'auto' }));
+  }
+  const model = options.model || DEFAULTS.MODEL;
+  log(`🧠 Using model: ${model}`);
+  return model;
+}
+
+/**
+ * Run the backend once for one or more inputs (a single model load).
+ * The backend writes every format into workDir; saveOutputs() picks from there.
+ * @param {Object} options - model, language, task, prompt/vocabularyFile,
+ *   wordTimestamps, workDir, plus the run's
+ *   timeout/deadline, threads and nice
+ * @returns {Promise<Object>} runProcess() result; rejects on timeout
+ */
+async function runWhisper(backend, inputPaths, options) {
+  const { model, language, workDir } = options;
+  const limits = processLimits(options);
+  const args = backend.buildArgs(inputPaths, {
+    model,
+    language,
+    task: resolveTask(options),
+    prompt: initialPrompt(options),
+    words: captionSettings(options).words,
+    workDir,
+    threads: limits.threads
+  });
+  const run = await runProcess(backend.path, args, limits);
+  if (run.timedOut) {
+    throw timeoutError(options.timeout);
+  }
+  if (run.error && run.error.code === 'ENOENT') {
+    throw new DependencyError(`${backend.label} not found at ${backend.path}. Please install: ${backend.install}`, { dependency: backend.name });
+  }
+  backend.finishOutputs(workDir, inputPaths, run);
+  return run;
+}
+
+/**
+ * Read whisper's outputs for one input from workDir into a result object
+ * (without output file paths; see saveOutputs)
+ */
+function readTranscription(inputPath, workDir, { model, backend, language, stdout }) {
+  const baseName = path.basename(inputPath).replace(/\.[^/.]+$/, '');
+  const txtPath = path.join(workDir, `${baseName}.txt`);
+  
+  if (!fs.existsSync(txtPath)) {
+    throw new NoTranscriptError('Transcription file not found', { file: inputPath });
+  }
+  
+  const text = fs.readFileSync(txtPath, 'utf-8');
+  const details = readWhisperJson(path.join(workDir, `${baseName}.json`));
+  return {
+    text,
+    txtPath: null,
+    model,
+    backend: backend || null,
+    language,
+    detectedLanguage: details.language || parseDetectedLanguage(stdout),
+    languageProbability: details.languageProbability,
+    duration: details.duration,
+    segments: details.segments,
+    files: {}
+  };
+}
+
+/**
+ * Format seconds as an SRT (00:01:02,500) or VTT (00:01:02.500) timestamp
+ */
+function formatTimestamp(seconds, separator = ',') {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Whisper's TSV layout: start and end in milliseconds
+ */
+function formatTsv(segments) {
+  return 'start\tend\ttext\n' + segments.map(seg =>
+    `${Math.round(seg.start * 1000)}\t${Math.round(seg.end * 1000)}\t${seg.text.trim()}`).join('\n') + '\n';
+}
+
+/**
+ * Word timestamps and captions
+ *
+ * With wordTimestamps on, whisper times every word and segments carry
+ * words: [{ word, start, end, probability }]. The SRT/VTT files are then
+ * written here rather than taken from whisper: VTT cues mark each word
+ * with an inline timestamp (<00:00:01.200><c>word</c>), which players use
+ * for karaoke-style highlighting. maxLineWidth (characters) and
+ * maxLineCount (lines per cue) reflow cues at word boundaries; either one
+ * turns word timestamps on. Segments whose text no longer matches their
+ * words (filtered or glossary-corrected) are split with times estimated
+ * from word lengths.
+ */
+
+/**
+ * Effective caption settings from run options and defaults
+ */
+function captionSettings(options = {}) {
+  const number = (value, fallback) => (typeof value === 'number' && !isNaN(value) ? value : fallback);
+  const maxLineWidth = number(options.maxLineWidth, DEFAULTS.MAX_LINE_WIDTH);
+  const maxLineCount = number(options.maxLineCount, DEFAULTS.MAX_LINE_COUNT);
+  const wordTimestamps = options.wordTimestamps !== undefined ? options.wordTimestamps : DEFAULTS.WORD_TIMESTAMPS;
+  return { words: Boolean(wordTimestamps || maxLineWidth > 0 || maxLineCount > 0), maxLineWidth, maxLineCount };
+}
+
+/**
+ * Shift a segment (and its words) along the timeline
+ */
+function shiftSegment(seg, offset) {
+  const round = seconds => Math.round(seconds * 1000) / 1000;
+  const shifted = Object.assign({}, seg, { start: round(seg.start + offset), end: round(seg.end + offset) });
+  if (seg.words) {
+    shifted.words = seg.words.map(word => Object.assign({}, word, { start: round(word.start + offset), end: round(word.end + offset) }));
+  }
+  return shifted;
+}
+
+/**
+ * A segment's words for captions: whisper's own when they still spell the
+ * segment's text, else the text split with times spread by word length
+ * @returns {{words: Array<{word, start, end}>, timed: boolean}}
+ */
+function segmentWords(seg) {
+  const text = seg.text.trim();
+  const squash = value => value.replace(/\s+/g, '');
+  if (seg.words && seg.words.length > 0 && squash(seg.words.map(word => word.word).join('')) === squash(text)) {
+    return { words: seg.words, timed: true };
+  }
+  const parts = text.split(/\s+/).filter(Boolean);
+  const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+  let position = 0;
+  const words = parts.map(part => {
+    const start = seg.start + (seg.end - seg.start) * position / total;
+    position += part.length + 1;
+    return { word: part, start, end: seg.start + (seg.end - seg.start) * position / total };
+  });
+  return { words, timed: false };
+}
+
+/**
+ * Caption cues for SRT/VTT: one per segment, or reflowed to maxLineWidth
+ * and maxLineCount
+ * @returns {Array<{start, end, lines: Array<Array<{word, start, end}>>, timed, speaker}>}
+ */
+function captionCues(segments, settings = {}) {
+  const { maxLineWidth = 0, maxLineCount = 0 } = settings;
+  const cues = [];
+  for (const seg of segments) {
+    const { words, timed } = segmentWords(seg);
+    if (!maxLineWidth && !maxLineCount) {
+      cues.push({ start: seg.start, end: seg.end, lines: [words], timed, speaker: seg.speaker, text: seg.text.trim() });
+      continue;
+    }
+    let cue = null;
+    for (const word of words) {
+      const line = cue && cue.lines[cue.lines.length - 1];
+      const width = line ? line.reduce((sum, w) => sum + w.word.length + 1, 0) + word.word.length : 0;
+      if (cue && maxLineWidth && line.length > 0 && width > maxLineWidth) {
+        if (maxLineCount && cue.lines.length >= maxLineCount) {
+          cue = null;
+        } else {
+          cue.lines.push([]);
+        }
+      }
+      if (!cue) {
+        cue = { start: word.start, end: word.end, lines: [[]], timed, speaker: seg.speaker };
+        cues.push(cue);
+      }
+      cue.lines[cue.lines.length - 1].push(word);
+      cue.end = word.end;
+    }
+  }
+  return cues;
+}
+
+/**
+ * A cue's text lines; karaoke adds VTT inline timestamps before each word
+ * after the first
+ */
+function cueLines(cue, karaoke = false) {
+  const lines = cue.text !== undefined && !karaoke
+    ? [cue.text]
+    : cue.lines.map((line, i) => line.map((word, j) => (karaoke && (i > 0 || j > 0)
+      ? `<${formatTimestamp(word.start, '.')}><c>${word.word}</c>`
+      : word.word)).join(' '));
+  if (cue.speaker) lines[0] = `${cue.speaker}: ${lines[0]}`;
+  return lines;
+}
+
+/**
+ * Render cues as SRT or VTT
+ */
+function formatCaptions(cues, format, karaoke = false) {
+  if (format === 'srt') {
+    return cues.map((cue, i) =>
+      `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cueLines(cue).join('\n')}\n`).join('\n');
+  }
+  return 'WEBVTT\n\n' + cues.map(cue =>
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cueLines(cue, karaoke && cue.timed).join('\n')}\n`).join('\n');
+}
+
+/**
+ * Write whisper-style outputs (<baseName>.txt/.srt/.vtt/.tsv/.json) into
+ * workDir from a result object { text, language, segments }, for sources
+ * that return results instead of files (the daemon worker). Segments with
+ * a speaker are written as "SPEAKER_1: text".
+ * @param {Object} captions - captionSettings(): karaoke VTT and reflow
+ */
+function writeWhisperOutputs(workDir, baseName, data, captions = {}) {
+  const labelled = (data.segments || []).some(seg => seg.speaker);
+  const segments = (data.segments || []).map(seg => (seg.speaker ? Object.assign({}, seg, { text: `${seg.speaker}: ${seg.text.trim()}` }) : seg));
+  const base = path.join(workDir, baseName);
+  const lines = labelled ? speakerLines(data.segments)
+    : segments.length > 0 ? segments.map(seg => seg.text.trim()) : [(data.text || '').trim()];
+  const cues = captionCues(data.segments || [], captions);
+  
+  fs.writeFileSync(`${base}.txt`, lines.join('\n') + '\n');
+  fs.writeFileSync(`${base}.json`, JSON.stringify(data));
+  fs.writeFileSync(`${base}.srt`, formatCaptions(cues, 'srt'));
+  fs.writeFileSync(`${base}.vtt`, formatCaptions(cues, 'vtt', Boolean(captions.words)));
+  fs.writeFileSync(`${base}.tsv`, formatTsv(segments));
+}
+
+/**
+ * Output files whisper can write
+ */
+const WHISPER_OUTPUT_EXTENSIONS = ['txt', 'srt', 'vtt', 'tsv', 'json'];
+
+/**
+ * Parse an output format list like "txt,srt" (or "all")
+ * @returns {string[]}
+ */
+function parseOutputFormats(spec) {
+  const formats = [];
+  for (const format of [].concat(spec).join(',').split(',').map(f => f.trim().toLowerCase()).filter(Boolean)) {
+    if (format === 'all') {
+      formats.push(...WHISPER_OUTPUT_EXTENSIONS);
+    } else if (WHISPER_OUTPUT_EXTENSIONS.includes(format)) {
+      formats.push(format);
+    } else {
+      throw new UsageError(`Unknown output format: ${format}. Use any of: ${WHISPER_OUTPUT_EXTENSIONS.join(', ')}, all`);
+    }
+  }
+  return Array.from(new Set(formats));
+}
+
+/**
+ * Expand an output filename template. Placeholders:
+ *   {basename} input name without extension   {ext}   output format
+ *   {lang}     detected (or requested) language {model} model used
+ *   {date}     YYYY-MM-DD   {time} HHMMSS   {datetime} YYYY-MM-DD_HHMMSS
+ * A template without {ext} gets ".{ext}" appended so formats don't collide.
+ */
+function formatOutputName(template, vars) {
+  const pad = n => String(n).padStart(2, '0');
+  const now = vars.now || new Date();
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  const values = Object.assign({ date, time, datetime: `${date}_${time}` }, vars);
+  
+  const withExt = template.includes('{ext}') ? template : `${template}.{ext}`;
+  return withExt.replace(/\{(\w+)\}/g, (match, key) => {
+    if (values[key] === undefined || values[key] === null || key === 'now') {
+      throw new UsageError(`Unknown placeholder in output name: ${match}`);
+    }
+    return String(values[key]);
+  });
+}
+
+/**
+ * Copy the requested formats from workDir to outputDir under the naming
+ * template, recording every produced path on the result (result.files)
+ * @param {string} sourceName - Basename of the files in workDir (default: input's)
+ */
+function saveOutputs(result, inputPath, workDir, options = {}, sourceName = null) {
+  const baseName = path.basename(inputPath).replace(/\.[^/.]+$/, '');
+  const formats = parseOutputFormats(options.outputFormats || DEFAULTS.OUTPUT_FORMATS);
+  const template = options.outputName || DEFAULTS.OUTPUT_NAME;
+  const outputDir = options.outputDir || path.dirname(inputPath);
+  const now = new Date();
+  
+  for (const ext of formats) {
+    const source = path.join(workDir, `${sourceName || baseName}.${ext}`);
+    if (!fs.existsSync(source)) continue;
+    
+    const target = path.join(outputDir, formatOutputName(template, {
+      basename: baseName,
+      ext,
+      // Translations are English whatever was spoken
+      lang: resolveTask(options) === 'translate' ? 'en' : result.detectedLanguage || result.language,
+      model: result.model,
+      now
+    }));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    result.files[ext] = target;
+  }
+  
+  result.txtPath = result.files.txt || null;
+  return result;
+}
+
+/**
+ * Result cache
+ * 
+ * Entries are content-addressed: <cacheDir>/<key>/ holds whisper's outputs
+ * (transcript.txt, .srt, ...) plus meta.json with the result fields. The key
+ * hashes the audio bytes together with everything that changes the result.
+ * Entries are pruned by age and total size after each write; hits refresh
+ * an entry's mtime so the size cap evicts least recently used first.
+ */
+const CACHE_VERSION = 1;
+const CACHE_ENTRY_NAME = 'transcript';
+
+function getCacheDir() {
+  if (process.env.WHISPER_CACHE_DIR) {
+    return process.env.WHISPER_CACHE_DIR;
+  }
+  if (DEFAULTS.CACHE_DIR) {
+    return DEFAULTS.CACHE_DIR;
+  }
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'local-whisper');
+}
+
+/**
+ * SHA-256 of a file's contents, read in chunks
+ */
+function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Cache key for an audio file and the settings that affect its transcript
+ * @param {Object} settings - backend, model, language, plus the run options
+ *   for filtering and diarization
+ */
+function getCacheKey(audioPath, settings) {
+  const normalized = {
+    version: CACHE_VERSION,
+    backend: settings.backend,
+    model: settings.model,
+    language: String(settings.language || DEFAULTS.LANGUAGE).toLowerCase(),
+    task: resolveTask(settings),
+    allowedLanguages: allowedLanguages(settings),
+    prompt: initialPrompt(settings),
+    captions: captionSettings(settings),
+    glossary: settings.glossary !== undefined ? settings.glossary : DEFAULTS.GLOSSARY,
+    filter: filterSettings(settings),
+    diarize: diarizeSettings(settings)
+  };
+  return crypto.createHash('sha256')
+    .update(hashFile(audioPath))
+    .update(JSON.stringify(normalized))
+    .digest('hex');
+}
+
+/**
+ * Look up a cached result and save its outputs like a fresh run would
+ * @returns {?Object} result, or null on a miss
+ */
+function readCache(key, audioPath, options = {}) {
+  const entryDir = path.join(getCacheDir(), key);
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(path.join(entryDir, 'meta.json'), 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+  
+  const now = new Date();
+  fs.utimesSync(entryDir, now, now);
+  log(`⚡ Cache hit (${key.slice(0, 12)}), skipping Whisper`);
+  
+  const result = Object.assign({ txtPath: null, files: {} }, meta.result, { cached: true });
+  return saveOutputs(result, audioPath, entryDir, options, CACHE_ENTRY_NAME);
+}
+
+/**
+ * Store whisper's outputs for one input. Failures only log a warning:
+ * the cache must never break a transcription.
+ */
+function writeCache(key, workDir, inputPath, transcription) {
+  const cacheDir = getCacheDir();
+  const baseName = path.basename(inputPath).replace(/\.[^/.]+$/, '');
+  const tmpDir = path.join(cacheDir, `.tmp-${key}-${process.pid}`);
+  
+  try {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    for (const ext of WHISPER_OUTPUT_EXTENSIONS) {
+      const source = path.join(workDir, `${baseName}.${ext}`);
+      if (fs.existsSync(source)) {
+        fs.copyFileSync(source, path.join(tmpDir, `${CACHE_ENTRY_NAME}.${ext}`));
+      }
+    }
+    const { text, model, backend, language, detectedLanguage, languageProbability, duration, segments, task, lowConfidence, filtered, speakers } = transcription;
+    fs.writeFileSync(path.join(tmpDir, 'meta.json'), JSON.stringify({
+      createdAt: new Date().toISOString(),
+      result: { text, model, backend, language, detectedLanguage, languageProbability, duration, segments, task, lowConfidence, filtered, speakers }
+    }));
+    // Atomic publish; if another process stored the same key first, keep theirs
+    fs.renameSync(tmpDir, path.join(cacheDir, key));
+  } catch (e) {
+    if (e.code !== 'ENOTEMPTY' && e.code !== 'EEXIST') {
+      log(`⚠️  Could not write cache entry: ${e.message}`);
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  
+  pruneCache();
+}
+
+function dirSize(dir) {
+  return fs.readdirSync(dir).reduce((total, name) => total + fs.statSync(path.join(dir, name)).size, 0);
+}
+
+/**
+ * Drop entries older than the max age, then least recently used entries
+ * until the cache fits the size cap
+ */
+function pruneCache(limits = {}) {
+  const cacheDir = getCacheDir();
+  const maxAgeMs = (limits.maxAgeDays || DEFAULTS.CACHE_MAX_AGE_DAYS) * 24 * 3600 * 1000;
+  const maxBytes = (limits.maxMB || DEFAULTS.CACHE_MAX_MB) * 1024 * 1024;
+  
+  let entries;
+  try {
+    // Checkpoints of unfinished long recordings are pruned by age only (below)
+    entries = fs.readdirSync(cacheDir).filter(name => name !== CHECKPOINTS_DIR).map(name => {
+      const entryPath = path.join(cacheDir, name);
+      return { entryPath, mtime: fs.statSync(entryPath).mtimeMs, size: dirSize(entryPath) };
+    });
+  } catch (e) {
+    return;
+  }
+  
+  const now = Date.now();
+  let total = 0;
+  const kept = [];
+  for (const entry of entries) {
+    if (now - entry.mtime > maxAgeMs) {
+      fs.rmSync(entry.entryPath, { recursive: true, force: true });
+    } else {
+      kept.push(entry);
+      total += entry.size;
+    }
+  }
+  
+  kept.sort((a, b) => a.mtime - b.mtime);
+  while (total > maxBytes && kept.length > 0) {
+    const oldest = kept.shift();
+    fs.rmSync(oldest.entryPath, { recursive: true, force: true });
+    total -= oldest.size;
+  }
+  
+  const checkpointsDir = path.join(cacheDir, CHECKPOINTS_DIR);
+  try {
+    for (const name of fs.readdirSync(checkpointsDir)) {
+      const checkpointPath = path.join(checkpointsDir, name);
+      if (now - fs.statSync(checkpointPath).mtimeMs > maxAgeMs) {
+        fs.rmSync(checkpointPath, { recursive: true, force: true });
+      }
+    }
+  } catch (e) {
+    // No unfinished long recordings
+  }
+}
+
+/**
+ * Delete every cache entry
+ * @returns {number} entries removed
+ */
+function clearCache() {
+  const cacheDir = getCacheDir();
+  let count = 0;
+  try {
+    for (const name of fs.readdirSync(cacheDir)) {
+      fs.rmSync(path.join(cacheDir, name), { recursive: true, force: true });
+      if (!name.startsWith('.tmp-')) count++;
+    }
+  } catch (e) {
+    // Nothing cached yet
+  }
+  return count;
+}
+
+/**
+ * Run Whisper transcription
+ * @returns {Promise<Object>} result
+ */
+async function transcribeWithWhisper(inputPath, options = {}) {
+  // Determine backend and model (transcribe() resolves both up front for the cache key)
+  const backend = options.resolvedBackend || requireBackend(options.backend);
+  const model = options.resolvedModel || resolveModel(inputPath, options);
+  const language = options.language || DEFAULTS.LANGUAGE;
+  
+  log(`🎙️ Transcribing with Whisper (${backend.label})...`);
+  notify('progress', { stage: 'transcribing', percent: null });
+  
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-out-'));
+  try {
+    const result = await runWhisper(backend, [inputPath], Object.assign({}, options, { model, language, workDir }));
+    if (result.status !== 0) {
+      const err = (result.stderr || result.stdout || (result.error && result.error.message) || '').trim();
+      throw new BackendError(err || `whisper exited with status ${result.status}`, { status: result.status });
+    }
+    
+    // Read the transcription and keep the requested output files
+    const transcription = readTranscription(inputPath, workDir, { model, backend: backend.name, language, stdout: result.stdout });
+    const fallback = await allowedLanguageFallback(inputPath, language, transcription.detectedLanguage,
+      Object.assign({}, options, { resolvedBackend: backend, resolvedModel: model }));
+    if (fallback) {
+      return transcribeWithWhisper(inputPath, Object.assign({}, options, { resolvedBackend: backend, resolvedModel: model, language: fallback }));
+    }
+    await finishTranscription(transcription, workDir, inputPath, options);
+    if (options.cacheKey) {
+      writeCache(options.cacheKey, workDir, inputPath, transcription);
+    }
+    return saveOutputs(transcription, inputPath, workDir, options);
+  } catch (error) {
+    throw whisperFailure(error);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * One word from whisper's JSON ({ word, start, end, probability })
+ */
+function readWord(word) {
+  return Object.assign({ word: String(word.word || '').trim(), start: word.start, end: word.end },
+    typeof word.probability === 'number' ? { probability: word.probability } : {});
+}
+
+/**
+ * Read language, segments and duration from whisper's JSON output.
+ * Missing or unreadable files yield empty details rather than failing,
+ * since the .txt transcript is the only required output.
+ */
+function readWhisperJson(jsonPath) {
+  const details = { language: null, languageProbability: null, duration: null, segments: [] };
+  if (!jsonPath) return details;
+  
+  try {
+    const data = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+    const segments = Array.isArray(data.segments) ? data.segments : [];
+    details.language = data.language || null;
+    details.languageProbability = typeof data.language_probability === 'number' ? data.language_probability : null;
+    // Scores are whisper's snake_case, or camelCase in outputs we rewrote
+    const score = (seg, name, camel) => {
+      const value = seg[name] !== undefined ? seg[name] : seg[camel];
+      return typeof value === 'number' ? { [camel]: value } : {};
+    };
+    details.segments = segments.map(seg => Object.assign({
+      id: seg.id,
+      start: seg.start,
+      end: seg.end,
+      text: (seg.text || '').trim()
+    }, score(seg, 'avg_logprob', 'avgLogprob'),
+    score(seg, 'no_speech_prob', 'noSpeechProb'),
+    score(seg, 'compression_ratio', 'compressionRatio'),
+    seg.lowConfidence ? { lowConfidence: true } : {},
+    seg.speaker ? { speaker: seg.speaker } : {},
+    Array.isArray(seg.words) ? { words: seg.words.map(readWord) } : {}));
+    details.duration = typeof data.duration === 'number'
+      ? data.duration
+      : (segments.length > 0 ? segments[segments.length - 1].end : null);
+  } catch (e) {
+    // Keep empty details
+  }
+  return details;
+}
+
+/**
+ * Language names whisper prints (its tokenizer's LANGUAGES, title-cased)
+ * by ISO code, plus the aliases it accepts for --language
+ */
+const LANGUAGE_NAMES = {
+  en: 'English', zh: 'Chinese', de: 'German', es: 'Spanish', ru: 'Russian', ko: 'Korean',
+  fr: 'French', ja: 'Japanese', pt: 'Portuguese', tr: 'Turkish', pl: 'Polish', ca: 'Catalan',
+  nl: 'Dutch', ar: 'Arabic', sv: 'Swedish', it: 'Italian', id: 'Indonesian', hi: 'Hindi',
+  fi: 'Finnish', vi: 'Vietnamese', he: 'Hebrew', uk: 'Ukrainian', el: 'Greek', ms: 'Malay',
+  cs: 'Czech', ro: 'Romanian', da: 'Danish', hu: 'Hungarian', ta: 'Tamil', no: 'Norwegian',
+  th: 'Thai', ur: 'Urdu', hr: 'Croatian', bg: 'Bulgarian', lt: 'Lithuanian', la: 'Latin',
+  mi: 'Maori', ml: 'Malayalam', cy: 'Welsh', sk: 'Slovak', te: 'Telugu', fa: 'Persian',
+  lv: 'Latvian', bn: 'Bengali', sr: 'Serbian', az: 'Azerbaijani', sl: 'Slovenian', kn: 'Kannada',
+  et: 'Estonian', mk: 'Macedonian', br: 'Breton', eu: 'Basque', is: 'Icelandic', hy: 'Armenian',
+  ne: 'Nepali', mn: 'Mongolian', bs: 'Bosnian', kk: 'Kazakh', sq: 'Albanian', sw: 'Swahili',
+  gl: 'Galician', mr: 'Marathi', pa: 'Punjabi', si: 'Sinhala', km: 'Khmer', sn: 'Shona',
+  yo: 'Yoruba', so: 'Somali', af: 'Afrikaans', oc: 'Occitan', ka: 'Georgian', be: 'Belarusian',
+  tg: 'Tajik', sd: 'Sindhi', gu: 'Gujarati', am: 'Amharic', yi: 'Yiddish', lo: 'Lao',
+  uz: 'Uzbek', fo: 'Faroese', ht: 'Haitian Creole', ps: 'Pashto', tk: 'Turkmen', nn: 'Nynorsk',
+  mt: 'Maltese', sa: 'Sanskrit', lb: 'Luxembourgish', my: 'Myanmar', bo: 'Tibetan', tl: 'Tagalog',
+  mg: 'Malagasy', as: 'Assamese', tt: 'Tatar', haw: 'Hawaiian', ln: 'Lingala', ha: 'Hausa',
+  ba: 'Bashkir', jw: 'Javanese', su: 'Sundanese', yue: 'Cantonese'
+};
+const LANGUAGE_ALIASES = {
+  burmese: 'my', valencian: 'ca', flemish: 'nl', haitian: 'ht', letzeburgesch: 'lb', pushto: 'ps',
+  panjabi: 'pa', moldavian: 'ro', moldovan: 'ro', sinhalese: 'si', castilian: 'es', mandarin: 'zh'
+};
+const LANGUAGE_CODES = Object.assign(Object.fromEntries(
+  Object.entries(LANGUAGE_NAMES).map(([code, name]) => [name.toLowerCase(), code])), LANGUAGE_ALIASES);
+
+/**
+ * Lowercase ISO code for a language code or name ("German" -> "de");
+ * unknown names are returned lowercased
+ */
+function languageCode(language) {
+  const key = String(language).trim().toLowerCase();
+  return LANGUAGE_CODES[key] || key;
+}
+
+/**
+ * Parse "Detected language: German" from whisper's stdout, as a code
+ */
+function parseDetectedLanguage(stdout) {
+  const match = /Detected language:\s*([^\n]+)/.exec(stdout || '');
+  return match ? languageCode(match[1]) : null;
+}
+
+/**
+ * Language detection
+ * 
+ * `--detect-language` only identifies the spoken language, from the first
+ * 30 seconds. The Python backends run DETECT_SCRIPT under the backend's
+ * Python (see findBackendPython), which prints every language's
+ * probability; whisper.cpp's -dl reports its top guess only.
+ * 
+ * `--allowed-languages de,en` constrains auto-detection: when whisper's
+ * guess is outside the set, the input is transcribed again in the most
+ * likely allowed language (the first one listed if the backend can't rank
+ * them).
+ */
+const DETECT_SECONDS = 30;
+const DETECT_MISSING_STATUS = 3;
+
+const DETECT_SCRIPT = String.raw`
+import json, sys
+
+backend, model_name, audio = sys.argv[1], sys.argv[2], sys.argv[3]
+out = sys.stdout
+sys.stdout = sys.stderr  # library chatter must not corrupt the reply
+
+try:
+    if backend == "faster-whisper":
+        from faster_whisper import WhisperModel
+    else:
+        import whisper
+except ImportError as e:
+    print(e)
+    sys.exit(3)
+
+if backend == "faster-whisper":
+    model = WhisperModel({"large": "large-v3"}.get(model_name, model_name))
+    _, info = model.transcribe(audio)  # segments are lazy; detection isn't
+    probabilities = dict(info.all_language_probs or [(info.language, info.language_probability)])
+else:
+    model = whisper.load_model(model_name)
+    mel = whisper.log_mel_spectrogram(whisper.pad_or_trim(whisper.load_audio(audio)), model.dims.n_mels)
+    _, probabilities = model.detect_language(mel.to(model.device))
+
+out.write(json.dumps({"probabilities": probabilities}) + "\n")
+`;
+
+/**
+ * Detection command for the Python backends
+ */
+function pythonDetectCommand(inputPath, { backend, model }) {
+  return [findBackendPython(backend), ['-c', DETECT_SCRIPT, backend.name, model, inputPath]];
+}
+
+/**
+ * Languages auto-detection may pick (lowercase codes), or null when
+ * unrestricted or the language is given explicitly
+ */
+function allowedLanguages(options = {}) {
+  const language = options.language || DEFAULTS.LANGUAGE;
+  const spec = options.allowedLanguages || DEFAULTS.ALLOWED_LANGUAGES;
+  if (!spec || language.toLowerCase() !== 'auto') return null;
+  const list = (Array.isArray(spec) ? spec : String(spec).split(','))
+    .map(code => code.trim()).filter(Boolean).map(languageCode);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Read a detection run's output: DETECT_SCRIPT's JSON or whisper.cpp's
+ * "auto-detected language: de (p = 0.95)"
+ * @returns {Array<{language, probability}>} most likely first
+ */
+function parseLanguageProbabilities(stdout, stderr) {
+  for (const line of (stdout || '').split('\n').reverse()) {
+    try {
+      const { probabilities } = JSON.parse(line);
+      return Object.entries(probabilities)
+        .map(([language, probability]) => ({ language, probability }))
+        .sort((a, b) => b.probability - a.probability);
+    } catch (e) {
+      // Not the reply line
+    }
+  }
+  const match = /auto-detected language:\s*(\w+)\s*\(p\s*=\s*([\d.]+)\)/.exec(`${stdout || ''}\n${stderr || ''}`);
+  return match ? [{ language: match[1], probability: parseFloat(match[2]) }] : [];
+}
+
+/**
+ * Detect the spoken language without transcribing
+ * @param {Object} options - backend, model, allowedLanguages, plus the run's
+ *   timeout/threads/nice
+ * @returns {Promise<Object>} { language, probability, detectedLanguage,
+ *   probabilities, allowedLanguages, model, backend }; language is the most
+ *   likely allowed one, detectedLanguage whisper's own guess
+ */
+async function detectLanguage(audioPath, options = {}) {
+  if (!fs.existsSync(audioPath)) {
+    throw new InputNotFoundError(`Audio file not found: ${audioPath}`, { file: audioPath });
+  }
+  const backend = options.resolvedBackend || requireBackend(options.backend);
+  const model = options.resolvedModel || resolveModel(audioPath, options);
+  const allowed = allowedLanguages(Object.assign({}, options, { language: 'auto' }));
+  
+  log(`🔎 Detecting language with ${backend.label} (${model})...`);
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-detect-'));
+  try {
+    let inputPath = audioPath;
+    if (backend.wavOnly) {
+      inputPath = path.join(tmpDir, 'clip.wav');
+      await extractChunk(audioPath, { from: 0, to: DETECT_SECONDS }, inputPath, options);
+    }
+    const [file, args] = backend.detectCommand(inputPath, { backend, model });
+    const run = await runProcess(file, args, processLimits(options));
+    if (run.timedOut) {
+      throw timeoutError(options.timeout);
+    }
+    if (run.error && run.error.code === 'ENOENT') {
+      throw new DependencyError(`${file} not found; language detection needs ${backend.label}`, { dependency: backend.name });
+    }
+    if (!backend.wavOnly && run.status === DETECT_MISSING_STATUS) {
+      throw new DependencyError(`${file} can't import ${backend.label}; set WHISPER_PYTHON to the Python it is installed in`, { dependency: backend.name });
+    }
+    const probabilities = parseLanguageProbabilities(run.stdout, run.stderr);
+    if (run.status !== 0 || probabilities.length === 0) {
+      const err = (run.stderr || (run.error && run.error.message) || '').trim();
+      throw new BackendError(`Language detection failed: ${err.split('\n').pop() || `exit status ${run.status}`}`, { status: run.status });
+    }
+    
+    const top = probabilities[0];
+    const pick = (allowed && (probabilities.find(entry => allowed.includes(entry.language)) ||
+      { language: allowed[0], probability: null })) || top;
+    return {
+      language: pick.language,
+      probability: pick.probability,
+      detectedLanguage: top.language,
+      probabilities,
+      allowedLanguages: allowed,
+      model,
+      backend: backend.name
+    };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * With --allowed-languages, the language to transcribe again in when
+ * whisper auto-detected one outside the set
+ * @param {string} language - the language whisper ran with
+ * @param {?string} detected - what it detected
+ * @returns {Promise<?string>} null when the transcription can stand
+ */
+async function allowedLanguageFallback(audioPath, language, detected, options = {}) {
+  const allowed = allowedLanguages(Object.assign({}, options, { language }));
+  if (!allowed || !detected || allowed.includes(languageCode(detected))) return null;
+  const detection = await detectLanguage(audioPath, options);
+  log(`🔁 Detected ${detected}, not in ${allowed.join(', ')}; transcribing as ${detection.language}`);
+  return detection.language;
+}
+
+/**
+ * Print a detectLanguage() result in the requested format
+ */
+function printDetection(detection, format = DEFAULTS.FORMAT) {
+  if (format === 'json') {
+    console.log(JSON.stringify(detection, null, 2));
+    return;
+  }
+  if (format === 'plain') {
+    console.log(detection.language);
+    return;
+  }
+  const percent = p => (p === null ? '?' : `${(p * 100).toFixed(1)}%`);
+  console.log(`\n🌍 Language: ${detection.language} (${percent(detection.probability)})`);
+  if (detection.detectedLanguage !== detection.language) {
+    console.log(`   Whisper's guess ${detection.detectedLanguage} is not in: ${detection.allowedLanguages.join(', ')}`);
+  }
+  for (const entry of detection.probabilities.slice(0, 5)) {
+    console.log(`   ${entry.language.padEnd(4)} ${percent(entry.probability)}`);
+  }
+}
+
+/**
+ * Build the machine-readable result object printed by --format json
+ */
+function toJsonResult(result) {
+  return {
+    text: result.text.trim(),
+    language: result.detectedLanguage || result.language,
+    languageProbability: result.languageProbability,
+    model: result.model,
+    backend: result.backend,
+    duration: result.duration,
+    task: result.task || 'transcribe',
+    segments: result.segments,
+    translation: result.translation ? Object.assign({}, result.translation, { text: result.translation.text.trim() }) : null,
+    files: result.files,
+    cached: Boolean(result.cached),
+    noSpeech: Boolean(result.noSpeech),
+    lowConfidence: Boolean(result.lowConfidence),
+    filtered: result.filtered || 0,
+    speakers: result.speakers || null
+  };
+}
+
+/**
+ * Print the transcription result to stdout in the requested format
+ */
+function printResult(result, format = DEFAULTS.FORMAT) {
+  if (format === 'plain') {
+    console.log(result.text.trim());
+    if (result.translation) console.log(`\n${result.translation.text.trim()}`);
+    return;
+  }
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(toJsonResult(result), null, 2));
+    return;
+  }
+  
+  console.log('\n' + '='.repeat(50));
+  console.log('📝 Transcription:');
+  console.log('-'.repeat(50));
+  console.log(result.noSpeech ? '(no speech detected)' : result.text);
+  console.log('-'.repeat(50));
+  if (result.translation) {
+    console.log('🌍 Translation (English):');
+    console.log(result.translation.text);
+    console.log('-'.repeat(50));
+  }
+  const files = Object.values(result.files).concat(result.translation ? Object.values(result.translation.files) : []);
+  console.log(`\n💾 Saved to: ${files.join(', ') || 'nothing (no output files)'}`);
+  console.log(`🧠 Model used: ${result.model}`);
+  console.log('✅ Transcription complete!\n');
+}
+
+/**
+ * Validate an input file and convert it if the backend can't read it directly.
+ * Detection is by content; anything whisper can't take as-is is transcoded.
+ * @param {Object} options - run options (timeout, threads, nice) for ffmpeg
+ * @returns {Promise<{inputPath: string, tmpDir: ?string}>} - caller removes tmpDir
+ */
+async function prepareInput(audioPath, backend = null, options = {}) {
+  if (!fs.existsSync(audioPath)) {
+    throw new InputNotFoundError(`Audio file not found: ${audioPath}`, { file: audioPath });
+  }
+  
+  const convert = needsConversion(audioPath, probeAudio(audioPath));
+  if (!convert && !(backend && backend.wavOnly)) {
+    // Transcribe directly (Whisper CLI supports MP3, M4A, FLAC, OGG natively)
+    return { inputPath: audioPath, tmpDir: null };
+  }
+  
+  log(`🔄 Converting ${path.extname(audioPath) || 'input'} to 16 kHz mono WAV...`);
+  notify('progress', { stage: 'converting', percent: null });
+  const { wavPath, tmpDir } = await normalizeAudio(audioPath, options);
+  return { inputPath: wavPath, tmpDir };
+}
+
+/**
+ * Log the run's header (input, language, output dir)
+ */
+function logBanner(audioPath, options) {
+  log(`\n🎙️ Whisper Voice Transcription`);
+  log('='.repeat(50));
+  log(`📁 Input: ${audioPath}`);
+  log(`🌐 Language: ${options.language || DEFAULTS.LANGUAGE}`);
+  const noFiles = Array.isArray(options.outputFormats) && options.outputFormats.length === 0;
+  log(`📂 Output: ${noFiles ? 'no files' : options.outputDir || 'same as input'}`);
+}
+
+/**
+ * Voice activity detection
+ *
+ * Before whisper runs, ffmpeg's silencedetect (the pass that also finds
+ * chunk cuts) measures how much of the recording is above the noise floor.
+ * Whisper invents text for silence ("Thank you for watching."), so a
+ * recording with less than VAD.MIN_SPEECH seconds of sound gets an explicit
+ * no-speech result without running whisper. With trimSilence, leading and
+ * trailing silence is cut off first and timestamps are shifted back.
+ * Without ffmpeg/ffprobe the pass is skipped.
+ */
+const VAD = {
+  MIN_SPEECH: 0.3,     // Seconds of sound needed to run whisper
+  TRIM_PADDING: 0.25,  // Seconds of silence kept around the speech
+  MIN_TRIM: 1          // Don't cut off less silence than this
+};
+
+function vadEnabled(options) {
+  return (options.vad !== undefined ? options.vad : DEFAULTS.VAD) !== false;
+}
+
+/**
+ * Where the speech is, given a recording's silences
+ * @returns {{duration, speech: number, start: number, end: number}} speech:
+ *   seconds of sound; start/end: where the first and last sound is
+ */
+function speechSpan(duration, silences) {
+  let speech = duration;
+  let start = 0;
+  let end = duration;
+  for (const silence of silences) {
+    const from = Math.max(0, silence.start);
+    const to = Math.min(duration, silence.end);
+    if (to <= from) continue;
+    speech -= to - from;
+    if (from <= start) start = to;
+    if (to >= end) end = from;
+  }
+  return { duration, speech: Math.max(0, speech), start, end: Math.max(start, end) };
+}
+
+/**
+ * Run the VAD pass
+ * @returns {Promise<?Object>} speechSpan() result; null when VAD is off or
+ *   couldn't run (no ffmpeg, unknown duration)
+ */
+async function detectSpeech(audioPath, options = {}) {
+  if (!vadEnabled(options)) return null;
+  const duration = probeDuration(audioPath);
+  if (!duration) return null;
+  const silences = await detectSilences(audioPath, Object.assign({}, options, { duration }));
+  return silences ? speechSpan(duration, silences) : null;
+}
+
+/**
+ * Result for a recording without speech: empty transcript, no output files
+ */
+function noSpeechResult({ model, backend, language, duration }) {
+  log('🔇 No speech detected, skipping whisper');
+  return {
+    text: '',
+    txtPath: null,
+    model,
+    backend,
+    language,
+    detectedLanguage: null,
+    languageProbability: null,
+    duration,
+    segments: [],
+    files: {},
+    noSpeech: true
+  };
+}
+
+/**
+ * prepareInput(), but cut down to the speech when trimSilence is on and
+ * there is enough silence around it
+ * @param {?Object} speech - detectSpeech() result
+ * @returns {Promise<{inputPath: string, tmpDir: ?string, trim: ?Object}>}
+ *   trim: { offset, duration } for finishTranscription()
+ */
+async function prepareSpeech(audioPath, backend, speech, options = {}) {
+  const trimSilence = options.trimSilence !== undefined ? options.trimSilence : DEFAULTS.TRIM_SILENCE;
+  const from = speech ? Math.max(0, speech.start - VAD.TRIM_PADDING) : 0;
+  const to = speech ? Math.min(speech.duration, speech.end + VAD.TRIM_PADDING) : 0;
+  if (!trimSilence || !speech || from + (speech.duration - to) < VAD.MIN_TRIM) {
+    return Object.assign({ trim: null }, await prepareInput(audioPath, backend, options));
+  }
+  
+  log(`✂️  Trimming silence: transcribing ${from.toFixed(1)}s-${to.toFixed(1)}s of ${formatDuration(speech.duration)}`);
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-trim-'));
+  const wavPath = path.join(tmpDir, `${path.basename(audioPath).replace(/\.[^/.]+$/, '')}.wav`);
+  try {
+    await extractChunk(audioPath, { from, to }, wavPath, options);
+  } catch (error) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw error;
+  }
+  return { inputPath: wavPath, tmpDir, trim: { offset: from, duration: speech.duration } };
+}
+
+/**
+ * Move a trimmed recording's segments back to the original timeline
+ */
+function untrimTranscription(transcription, { offset, duration }) {
+  transcription.segments = transcription.segments.map(seg => shiftSegment(seg, offset));
+  transcription.duration = duration;
+}
+
+/**
+ * Hallucination filtering
+ *
+ * Whisper sometimes loops ("I love you. I love you. I love you. ...") or
+ * produces stock lines from the subtitles it was trained on. Segments are
+ * checked with the scores whisper writes to its JSON output:
+ *   - no_speech_prob above noSpeechThreshold and avg_logprob below
+ *     logprobThreshold (whisper's own silence rule): dropped
+ *   - a stock filler line with either of those signs: dropped
+ *   - compression_ratio above compressionRatioThreshold (repetitive text;
+ *     computed with zlib when the backend doesn't report it): a phrase
+ *     repeated three or more times in a row is collapsed to one
+ *   - the same text in more than MAX_REPEATS segments in a row: the
+ *     extra copies are dropped
+ *   - avg_logprob below logprobThreshold: kept, marked lowConfidence
+ * The whole result is lowConfidence when its duration-weighted avg_logprob
+ * is below logprobThreshold. Backends without scores (whisper.cpp) only
+ * get the repetition checks.
+ */
+const FILTER = {
+  MAX_REPEATS: 2,
+  FILLER_LINES: [
+    /^(thank you|thanks)( so much| very much)? for watching\b/i,
+    /^(please )?(like and )?subscribe\b/i,
+    /^subtitles? by\b/i,
+    /amara\.org/i,
+    /^untertitel (im auftrag des zdf|der amara)/i,
+    /^(thank you|thanks)[.!]*$/i,
+    /^you$/i
+  ]
+};
+
+/**
+ * Effective filter settings from run options and defaults
+ */
+function filterSettings(options = {}) {
+  const number = (value, fallback) => (typeof value === 'number' && !isNaN(value) ? value : fallback);
+  return {
+    enabled: (options.filter !== undefined ? options.filter : DEFAULTS.FILTER) !== false,
+    noSpeech: number(options.noSpeechThreshold, DEFAULTS.NO_SPEECH_THRESHOLD),
+    logprob: number(options.logprobThreshold, DEFAULTS.LOGPROB_THRESHOLD),
+    compressionRatio: number(options.compressionRatioThreshold, DEFAULTS.COMPRESSION_RATIO_THRESHOLD)
+  };
+}
+
+/**
+ * gzip-style compression ratio of a text, as whisper computes it
+ */
+function compressionRatio(text) {
+  const bytes = Buffer.from(text, 'utf-8');
+  return bytes.length > 0 ? bytes.length / zlib.deflateSync(bytes).length : 0;
+}
+
+/**
+ * Collapse a phrase repeated three or more times in a row to one copy
+ */
+function collapseRepeats(text) {
+  return text.replace(/(^|\s)(\S.*?\S)(?:\s+\2){2,}(?=\s|$)/gi, '$1$2');
+}
+
+/**
+ * Drop and collapse hallucinated segments (see "Hallucination filtering")
+ * @returns {boolean} true if the transcript changed
+ */
+function filterTranscription(transcription, options = {}) {
+  const settings = filterSettings(options);
+  if (!settings.enabled || transcription.segments.length === 0) return false;
+  
+  const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const kept = [];
+  let repeats = 0;
+  let changed = false;
+  for (const seg of transcription.segments) {
+    const silent = typeof seg.noSpeechProb === 'number' && seg.noSpeechProb > settings.noSpeech;
+    const unsure = typeof seg.avgLogprob === 'number' && seg.avgLogprob < settings.logprob;
+    const filler = FILTER.FILLER_LINES.some(pattern => pattern.test(seg.text.trim()));
+    if ((silent && unsure) || (filler && (silent || unsure))) {
+      changed = true;
+      continue;
+    }
+    
+    const ratio = typeof seg.compressionRatio === 'number' ? seg.compressionRatio : compressionRatio(seg.text);
+    const text = ratio > settings.compressionRatio ? collapseRepeats(seg.text) : seg.text;
+    const previous = kept[kept.length - 1];
+    repeats = previous && normalize(previous.text) === normalize(text) ? repeats + 1 : 1;
+    if (repeats > FILTER.MAX_REPEATS) {
+      changed = true;
+      continue;
+    }
+    changed = changed || text !== seg.text;
+    kept.push(Object.assign({}, seg, { text }, unsure ? { lowConfidence: true } : {}));
+  }
+  
+  // Duration-weighted average over the segments that have a score
+  let weight = 0;
+  let sum = 0;
+  for (const seg of kept) {
+    if (typeof seg.avgLogprob !== 'number') continue;
+    const length = Math.max(seg.end - seg.start, 0.01);
+    weight += length;
+    sum += seg.avgLogprob * length;
+  }
+  transcription.lowConfidence = weight > 0 && sum / weight < settings.logprob;
+  if (transcription.lowConfidence) {
+    log(`⚠️  Low confidence transcript (average log probability ${(sum / weight).toFixed(2)})`);
+  }
+  
+  if (!changed) return false;
+  const dropped = transcription.segments.length - kept.length;
+  log(`🧹 Filtered likely hallucinations${dropped > 0 ? ` (dropped ${dropped} segment${dropped === 1 ? '' : 's'})` : ''}`);
+  transcription.segments = kept.map((seg, id) => Object.assign({}, seg, { id }));
+  transcription.text = kept.map(seg => seg.text).join(' ');
+  transcription.filtered = dropped;
+  return true;
+}
+
+/**
+ * Speaker diarization
+ *
+ * With diarize on, a local diarization tool runs on the audio whisper got
+ * and every segment is labelled with the speaker who talks most during it.
+ * Tools, first match wins:
+ *   - WHISPER_DIARIZE_CMD: any command run as `<cmd> <audio> [--num-speakers N]`
+ *     that prints speaker turns as RTTM lines or JSON [{start, end, speaker}]
+ *     (a clustering script, NeMo, ...)
+ *   - pyannote.audio under WHISPER_PYTHON (default: python3), with the
+ *     pipeline from WHISPER_DIARIZE_MODEL; it must be downloaded already
+ *     (HF_TOKEN is passed on for gated models)
+ * Speakers are renamed SPEAKER_1, SPEAKER_2, ... in order of first turn.
+ * speakers > 0 tells the tool how many people to expect.
+ */
+const DIARIZE_SCRIPT = String.raw`
+import json, os, sys
+
+try:
+    from pyannote.audio import Pipeline
+except ImportError as e:
+    sys.stderr.write("pyannote.audio is not installed: %s\n" % e)
+    sys.exit(3)
+
+audio, model, speakers = sys.argv[1], sys.argv[2], int(sys.argv[3])
+pipeline = Pipeline.from_pretrained(model, use_auth_token=os.environ.get("HF_TOKEN") or None)
+annotation = pipeline(audio, **({"num_speakers": speakers} if speakers > 0 else {}))
+turns = [{"start": turn.start, "end": turn.end, "speaker": speaker}
+         for turn, _, speaker in annotation.itertracks(yield_label=True)]
+print(json.dumps(turns))
+`;
+const DIARIZE_MISSING_STATUS = 3;  // DIARIZE_SCRIPT: pyannote isn't importable
+
+/**
+ * Diarization failed after whisper succeeded (exit status 7, like whisper failing)
+ */
+class DiarizationError extends BackendError {}
+
+/**
+ * Effective diarization settings: null when off
+ */
+function diarizeSettings(options = {}) {
+  const enabled = options.diarize !== undefined ? options.diarize : DEFAULTS.DIARIZE;
+  if (!enabled) return null;
+  const speakers = typeof options.speakers === 'number' && options.speakers > 0 ? options.speakers : DEFAULTS.SPEAKERS;
+  return { speakers: Math.round(speakers) || 0 };
+}
+
+/**
+ * Parse a diarization tool's output: JSON [{start, end, speaker}] or RTTM
+ * ("SPEAKER <file> 1 <start> <duration> <NA> <NA> <speaker> <NA> <NA>")
+ * @returns {Array<{start: number, end: number, speaker: string}>} sorted by start
+ */
+function parseSpeakerTurns(output) {
+  let turns;
+  try {
+    turns = JSON.parse(output).map(turn => ({ start: Number(turn.start), end: Number(turn.end), speaker: String(turn.speaker) }));
+  } catch (e) {
+    turns = output.split('\n').map(line => line.trim().split(/\s+/)).filter(fields => fields[0] === 'SPEAKER').map(fields => ({
+      start: parseFloat(fields[3]),
+      end: parseFloat(fields[3]) + parseFloat(fields[4]),
+      speaker: fields[7]
+    }));
+  }
+  return turns.filter(turn => !isNaN(turn.start) && !isNaN(turn.end) && turn.end > turn.start).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Label segments with the speaker of the turns they overlap most (the
+ * nearest turn if none overlaps); speakers are renamed SPEAKER_<n>
+ * @returns {Array} new segments with a speaker field
+ */
+function assignSpeakers(segments, turns) {
+  const names = new Map();
+  for (const turn of turns) {
+    if (!names.has(turn.speaker)) names.set(turn.speaker, `SPEAKER_${names.size + 1}`);
+  }
+  if (turns.length === 0) return segments;
+  
+  return segments.map(seg => {
+    const overlap = new Map();
+    for (const turn of turns) {
+      const shared = Math.min(seg.end, turn.end) - Math.max(seg.start, turn.start);
+      if (shared > 0) overlap.set(turn.speaker, (overlap.get(turn.speaker) || 0) + shared);
+    }
+    let speaker = null;
+    if (overlap.size > 0) {
+      speaker = Array.from(overlap).reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+    } else {
+      const middle = (seg.start + seg.end) / 2;
+      const distance = turn => Math.max(turn.start - middle, middle - turn.end, 0);
+      speaker = turns.reduce((best, turn) => (distance(turn) < distance(best) ? turn : best)).speaker;
+    }
+    return Object.assign({}, seg, { speaker: names.get(speaker) });
+  });
+}
+
+/**
+ * Transcript lines with speaker labels, one line per speaker turn
+ */
+function speakerLines(segments) {
+  const lines = [];
+  let current = null;
+  for (const seg of segments) {
+    if (current && current.speaker === seg.speaker) {
+      current.texts.push(seg.text.trim());
+    } else {
+      current = { speaker: seg.speaker, texts: [seg.text.trim()] };
+      lines.push(current);
+    }
+  }
+  return lines.map(line => `${line.speaker}: ${line.texts.join(' ')}`);
+}
+
+/**
+ * Run the diarization tool on an audio file
+ * @returns {Promise<Array<{start, end, speaker}>>}
+ */
+async function runDiarization(audioPath, settings, options = {}) {
+  const command = DEFAULTS.DIARIZE_CMD;
+  const [file, args] = command
+    ? [command, [audioPath].concat(settings.speakers ? ['--num-speakers', String(settings.speakers)] : [])]
+    : [process.env.WHISPER_PYTHON || 'python3', ['-c', DIARIZE_SCRIPT, audioPath, DEFAULTS.DIARIZE_MODEL, String(settings.speakers)]];
+  
+  log(`🗣️  Identifying speakers${settings.speakers ? ` (${settings.speakers} expected)` : ''}...`);
+  const run = await runProcess(file, args, processLimits(options));
+  if (run.timedOut) {
+    throw timeoutError(options.timeout);
+  }
+  if (run.error && run.error.code === 'ENOENT') {
+    throw new DependencyError(`Diarization tool not found: ${file}`, { dependency: file });
+  }
+  if (!command && run.status === DIARIZE_MISSING_STATUS) {
+    throw new DependencyError('Diarization needs pyannote.audio (pip install pyannote.audio) or WHISPER_DIARIZE_CMD', { dependency: 'pyannote.audio' });
+  }
+  if (run.status !== 0) {
+    const err = (run.stderr || (run.error && run.error.message) || '').trim();
+    throw new DiarizationError(`Diarization failed: ${err.split('\n').pop() || `exit status ${run.status}`}`, { status: run.status });
+  }
+  return parseSpeakerTurns(run.stdout);
+}
+
+/**
+ * Label a transcription's segments and text with speakers
+ */
+async function diarizeTranscription(transcription, inputPath, settings, options = {}) {
+  const turns = await runDiarization(inputPath, settings, options);
+  transcription.segments = assignSpeakers(transcription.segments, turns);
+  transcription.speakers = Array.from(new Set(transcription.segments.map(seg => seg.speaker).filter(Boolean))).sort();
+  if (transcription.speakers.length > 0) {
+    transcription.text = speakerLines(transcription.segments).join('\n');
+  }
+  log(`🗣️  ${transcription.speakers.length} speaker${transcription.speakers.length === 1 ? '' : 's'} found`);
+}
+
+/**
+ * Vocabulary and glossary
+ *
+ * Whisper spells names and jargon it rarely heard as it sounds. Two fixes:
+ *   - before: --prompt text and the terms in --vocabulary-file (one per
+ *     line, "#" lines are comments) become whisper's initial prompt, which
+ *     biases it towards those spellings
+ *   - after: the glossary setting ({"from": "to", ...} in a config file)
+ *     replaces what's still wrong, in text, segments and subtitles. Keys
+ *     are whole words or phrases, matched in any case when written in
+ *     lowercase and exactly otherwise; "/pattern/flags" keys are regular
+ *     expressions whose replacement can use $1, $2, ...
+ */
+
+/**
+ * Whisper's initial prompt from --prompt and --vocabulary-file, or null
+ */
+function initialPrompt(options = {}) {
+  const prompt = options.prompt !== undefined ? options.prompt : DEFAULTS.PROMPT;
+  const file = options.vocabularyFile || DEFAULTS.VOCABULARY_FILE;
+  const parts = prompt && prompt.trim() ? [prompt.trim()] : [];
+  if (file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      throw new UsageError(`Cannot read vocabulary file ${file}: ${error.code || error.message}`, { file });
+    }
+    const terms = content.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (terms.length > 0) parts.push(`${terms.join(', ')}.`);
+  }
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Compile the glossary into replacement rules, in the order written
+ * @returns {Array<{pattern: RegExp, replacement: (string|Function)}>}
+ */
+function glossaryRules(options = {}) {
+  const glossary = options.glossary !== undefined ? options.glossary : DEFAULTS.GLOSSARY;
+  if (!glossary) return [];
+  return Object.entries(glossary).map(([from, to]) => {
+    const regex = /^\/(.+)\/([a-z]*)$/s.exec(from);
+    try {
+      if (regex) {
+        return { pattern: new RegExp(regex[1], regex[2].includes('g') ? regex[2] : `${regex[2]}g`), replacement: String(to) };
+      }
+      // Letters and digits around the match would make it part of a longer word
+      const escaped = from.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      const flags = from === from.toLowerCase() ? 'giu' : 'gu';
+      return { pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, flags), replacement: () => String(to) };
+    } catch (error) {
+      throw new UsageError(`Invalid glossary entry ${JSON.stringify(from)}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Apply glossary rules to a text
+ */
+function applyGlossary(text, rules) {
+  return rules.reduce((result, rule) => result.replace(rule.pattern, rule.replacement), text);
+}
+
+/**
+ * Apply the glossary to a transcription's segments and text
+ * @returns {boolean} true if the transcript changed
+ */
+function correctTranscription(transcription, options = {}) {
+  const rules = glossaryRules(options);
+  if (rules.length === 0) return false;
+  
+  let corrected = 0;
+  transcription.segments = transcription.segments.map(seg => {
+    const text = applyGlossary(seg.text, rules);
+    if (text === seg.text) return seg;
+    corrected++;
+    // Single-word corrections carry over; captions re-split anything longer
+    const words = seg.words && seg.words.map(word => Object.assign({}, word, { word: applyGlossary(word.word, rules) }));
+    return Object.assign({}, seg, { text }, words ? { words } : {});
+  });
+  const text = applyGlossary(transcription.text, rules);
+  if (corrected === 0 && text === transcription.text) return false;
+  transcription.text = text;
+  log(`📖 Glossary corrected ${corrected} segment${corrected === 1 ? '' : 's'}`);
+  return true;
+}
+
+/**
+ * Post-process whisper's transcription: filter hallucinations, apply the
+ * glossary, label speakers, move trimmed timestamps back (options.trim),
+ * then rewrite the output files in workDir to match (always with word
+ * timestamps, whose captions are written here)
+ * @param {string} inputPath - the audio whisper transcribed
+ */
+async function finishTranscription(transcription, workDir, inputPath, options = {}) {
+  transcription.task = resolveTask(options);
+  const filtered = filterTranscription(transcription, options);
+  const corrected = correctTranscription(transcription, options);
+  const diarize = diarizeSettings(options);
+  if (diarize && transcription.segments.length > 0) {
+    await diarizeTranscription(transcription, inputPath, diarize, options);
+  }
+  if (options.trim) {
+    untrimTranscription(transcription, options.trim);
+  }
+  const captions = captionSettings(options);
+  if (!filtered && !corrected && !diarize && !options.trim && !captions.words) return;
+  writeWhisperOutputs(workDir, path.basename(inputPath).replace(/\.[^/.]+$/, ''), {
+    text: transcription.text,
+    segments: transcription.segments,
+    language: transcription.detectedLanguage,
+    language_probability: transcription.languageProbability,
+    duration: transcription.duration
+  }, captions);
+}
+
+/**
+ * Output name template for the translation in --task both: {lang} already
+ * tells the files apart, otherwise ".en" goes before the extension
+ */
+function translationOutputName(template) {
+  return template.includes('{lang}') ? template : template.replace(/(\.\{ext\})?$/, '.en$1');
+}
+
+/**
+ * --task both: transcribe, then translate with the detected language, and
+ * return the original result with the English one as result.translation.
+ * Each run is cached on its own.
+ * @param {Function} transcribeFn - transcribe or transcribeChunked
+ */
+async function transcribeBothTasks(audioPath, options, transcribeFn) {
+  log('🌍 Task: transcribe, then translate to English');
+  const runOptions = Object.assign({}, options, { print: false });
+  const result = await transcribeFn(audioPath, Object.assign({}, runOptions, { task: 'transcribe' }));
+  if (!result.noSpeech) {
+    // Skip detecting the language again; whisper.cpp only takes codes
+    const detected = result.detectedLanguage;
+    const translation = await transcribeFn(audioPath, Object.assign({}, runOptions, {
+      task: 'translate',
+      language: /^[a-z]{2,3}$/.test(detected || '') ? detected : options.language,
+      outputName: translationOutputName(options.outputName || DEFAULTS.OUTPUT_NAME)
+    }));
+    result.translation = { language: 'en', text: translation.text, segments: translation.segments, files: translation.files };
+  }
+  result.task = 'both';
+  if (options.print !== false) printResult(result, options.format);
+  return result;
+}
+
+/**
+ * Run fn with options.config (a loadConfig() result) as the config behind
+ * DEFAULTS, or with the config files and env when none is given
+ * @throws {UsageError} when the config has errors
+ */
+function withConfig(options, fn) {
+  const config = options.config || getConfig();
+  if (config.errors.length > 0) {
+    throw new UsageError(`Config error: ${config.errors.join('; ')}`, { errors: config.errors });
+  }
+  return configContext.getStore() === config ? fn() : configContext.run(config, fn);
+}
+
+/**
+ * Main transcription function
+ * @param {Object} options - model, language, task, backend, outputDir, outputFormats,
+ *   outputName, format, cache, timeout (seconds), threads, nice;
+ *   config: a loadConfig() result to use instead of the config files and env;
+ *   print: false skips printing the result
+ * @returns {Promise<Object>} result; rejects with a TranscribeError
+ *   (UsageError for config errors, TimeoutError when the timeout passes; whisper is killed)
+ */
+async function transcribe(audioPath, options = {}) {
+  return withConfig(options, () => transcribeWithConfig(audioPath, options));
+}
+
+async function transcribeWithConfig(audioPath, options) {
+  options = withDeadline(options);
+  if (resolveTask(options) === 'both') {
+    return transcribeBothTasks(audioPath, options, transcribe);
+  }
+  logBanner(audioPath, options);
+  
+  if (!fs.existsSync(audioPath)) {
+    throw new InputNotFoundError(`Audio file not found: ${audioPath}`, { file: audioPath });
+  }
+  
+  const backend = requireBackend(options.backend);
+  const model = resolveModel(audioPath, options);
+  const language = options.language || DEFAULTS.LANGUAGE;
+  const outputDir = options.outputDir || path.dirname(audioPath);
+  const runOptions = Object.assign({}, options, { outputDir, resolvedModel: model, resolvedBackend: backend });
+  
+  if (options.cache !== false) {
+    runOptions.cacheKey = getCacheKey(audioPath, Object.assign({}, options, { backend: backend.name, model, language }));
+    const cached = readCache(runOptions.cacheKey, audioPath, runOptions);
+    if (cached) {
+      if (options.print !== false) printResult(cached, options.format);
+      return cached;
+    }
+  }
+  
+  const speech = await detectSpeech(audioPath, options);
+  if (speech && speech.speech < VAD.MIN_SPEECH) {
+    const result = noSpeechResult({ model, backend: backend.name, language, duration: speech.duration });
+    if (options.print !== false) printResult(result, options.format);
+    return result;
+  }
+  
+  const { inputPath, tmpDir, trim } = await prepareSpeech(audioPath, backend, speech, options);
+  try {
+    const result = await transcribeWithWhisper(inputPath, Object.assign({}, runOptions, { trim }));
+    if (options.print !== false) printResult(result, options.format);
+    return result;
+  } finally {
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Long-audio pipeline
+ *
+ * Recordings longer than the chunk threshold are split into chunks of about
+ * chunkLength seconds, cut inside silences found by ffmpeg's silencedetect
+ * and padded with chunkOverlap seconds on both sides. Chunks are transcribed
+ * one after another with progress and ETA on stderr. Each finished chunk is
+ * checkpointed under <cacheDir>/.checkpoints/<key>/, so rerunning after a
+ * crash or Ctrl-C continues with the first unfinished chunk. Segments are
+ * stitched back with timestamps shifted to the full recording; a segment
+ * in an overlap belongs to the chunk whose range holds its midpoint.
+ */
+const CHECKPOINTS_DIR = '.checkpoints';
+const CHUNKING = {
+  SILENCE_NOISE: '-35dB',     // Quieter than this counts as silence
+  SILENCE_MIN_DURATION: 0.5,  // Seconds
+  SEARCH_WINDOW: 0.2          // Look for a silence within ±20% of chunkLength of each cut
+};
+
+/**
+ * Find silences with ffmpeg's silencedetect filter
+ * @param {Object} options - run options; duration closes a silence that
+ *   runs to the end of the file (older ffmpeg never reports its end)
+ * @returns {Promise<?Array<{start: number, end: number}>>} null if ffmpeg failed
+ */
+async function detectSilences(filePath, options = {}) {
+  const run = await runProcess(DEFAULTS.FFMPEG, [
+    '-hide_banner', '-nostats',
+    '-i', filePath,
+    '-af', `silencedetect=noise=${CHUNKING.SILENCE_NOISE}:d=${CHUNKING.SILENCE_MIN_DURATION}`,
+    '-f', 'null', '-'
+  ], processLimits(options));
+  if (run.timedOut) {
+    throw timeoutError(options.timeout);
+  }
+  if (run.status !== 0) {
+    return null;
+  }
+  
+  const silences = [];
+  let start = null;
+  for (const line of run.stderr.split('\n')) {
+    const startMatch = /silence_start:\s*(-?[\d.]+)/.exec(line);
+    const endMatch = /silence_end:\s*([\d.]+)/.exec(line);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+    } else if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+  if (start !== null && options.duration) {
+    silences.push({ start, end: options.duration });
+  }
+  return silences;
+}
+
+/**
+ * Plan chunk boundaries: cut about every chunkLength seconds, at the middle
+ * of the silence closest to each target. The last chunk absorbs a short tail.
+ * @returns {Array<{index, start, end, from, to}>} start/end: the chunk's own
+ *   range; from/to: the extracted range including overlap
+ */
+function planChunks(duration, silences, { chunkLength, overlap }) {
+  const cuts = [0];
+  const window = chunkLength * CHUNKING.SEARCH_WINDOW;
+  let position = 0;
+  
+  while (duration - position > chunkLength * 1.25) {
+    const target = position + chunkLength;
+    let cut = target;
+    let best = Infinity;
+    for (const silence of silences) {
+      const middle = (silence.start + silence.end) / 2;
+      if (Math.abs(middle - target) <= window && Math.abs(middle - target) < best) {
+        best = Math.abs(middle - target);
+        cut = middle;
+      }
+    }
+    cuts.push(cut);
+    position = cut;
+  }
+  cuts.push(duration);
+  
+  return cuts.slice(0, -1).map((start, index) => ({
+    index,
+    start,
+    end: cuts[index + 1],
+    from: Math.max(0, start - overlap),
+    to: Math.min(duration, cuts[index + 1] + overlap)
+  }));
+}
+
+/**
+ * Cut one chunk (with overlap) to a 16 kHz mono WAV
+ * @param {Object} chunk - from/to in seconds; index for error messages
+ */
+async function extractChunk(audioPath, chunk, wavPath, options = {}) {
+  const run = await runProcess(DEFAULTS.FFMPEG, [
+    '-y', '-v', 'error',
+    '-ss', String(chunk.from),
+    '-t', String(chunk.to - chunk.from),
+    '-i', audioPath,
+    '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+    wavPath
+  ], processLimits(options));
+  if (run.timedOut) {
+    throw timeoutError(options.timeout);
+  }
+  if (run.status !== 0 || !fs.existsSync(wavPath)) {
+    const err = (run.stderr || (run.error && run.error.message) || '').trim();
+    const what = chunk.index !== undefined ? `chunk ${chunk.index + 1}` : `${chunk.from}s-${chunk.to}s`;
+    throw new BackendError(`ffmpeg could not extract ${what}${err ? `: ${err}` : ''}`);
+  }
+}
+
+/**
+ * A chunk's segments on the recording's timeline, minus those that belong
+ * to a neighbouring chunk
+ * @param {Object} transcript - { segments } with chunk-relative times
+ */
+function chunkSegments(chunks, chunk, transcript) {
+  const last = chunk.index === chunks.length - 1;
+  const segments = [];
+  for (const seg of transcript.segments) {
+    const start = seg.start + chunk.from;
+    const end = seg.end + chunk.from;
+    const middle = (start + end) / 2;
+    // Overlap is transcribed twice; keep each segment once
+    if (middle < chunk.start || (middle >= chunk.end && !last)) continue;
+    const shifted = shiftSegment(seg, chunk.from);
+    delete shifted.id;  // Renumbered for the whole recording
+    segments.push(shifted);
+  }
+  return segments;
+}
+
+/**
+ * Join chunk transcripts into one segment list on the recording's timeline
+ * @param {Array} transcripts - per chunk: { segments } with chunk-relative times
+ */
+function stitchChunks(chunks, transcripts) {
+  const segments = [];
+  for (const chunk of chunks) {
+    for (const seg of chunkSegments(chunks, chunk, transcripts[chunk.index])) {
+      segments.push(Object.assign({ id: segments.length }, seg));
+    }
+  }
+  return segments;
+}
+
+/**
+ * Format seconds for progress output: "1h 02m", "4m 05s", "12s"
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = n => String(n).padStart(2, '0');
+  if (total >= 3600) return `${Math.floor(total / 3600)}h ${pad(Math.floor(total / 60) % 60)}m`;
+  if (total >= 60) return `${Math.floor(total / 60)}m ${pad(total % 60)}s`;
+  return `${total}s`;
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeJsonFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Audio duration if the file should go through the chunked pipeline, else null
+ */
+function getLongAudioDuration(audioPath, options = {}) {
+  const chunking = options.chunking !== undefined ? options.chunking : DEFAULTS.CHUNKING;
+  if (chunking === false || !fs.existsSync(audioPath)) return null;
+  const duration = probeDuration(audioPath);
+  const threshold = options.chunkThreshold || DEFAULTS.CHUNK_THRESHOLD;
+  return duration && duration > threshold ? duration : null;
+}
+
+/**
+ * Transcribe a long recording chunk by chunk (see "Long-audio pipeline")
+ * @param {Object} options - as for transcribe(), plus chunkLength,
+ *   chunkOverlap and duration (skips probing)
+ * @returns {Promise<Object>} result, like transcribe()
+ */
+async function transcribeChunked(audioPath, options = {}) {
+  options = withDeadline(options);
+  if (resolveTask(options) === 'both') {
+    return transcribeBothTasks(audioPath, options, transcribeChunked);
+  }
+  logBanner(audioPath, options);
+  if (!fs.existsSync(audioPath)) {
+    throw new InputNotFoundError(`Audio file not found: ${audioPath}`, { file: audioPath });
+  }
+  
+  const backend = requireBackend(options.backend);
+  const model = resolveModel(audioPath, options);
+  const language = options.language || DEFAULTS.LANGUAGE;
+  const runOptions = Object.assign({}, options, { outputDir: options.outputDir || path.dirname(audioPath) });
+  const key = getCacheKey(audioPath, Object.assign({}, options, { backend: backend.name, model, language }));
+  
+  if (options.cache !== false) {
+    runOptions.cacheKey = key;
+    const cached = readCache(key, audioPath, runOptions);
+    if (cached) {
+      if (options.print !== false) printResult(cached, options.format);
+      return cached;
+    }
+  }
+  
+  const duration = options.duration || probeDuration(audioPath);
+  if (!duration) {
+    throw new UnsupportedInputError(`Could not determine the duration of ${audioPath} (is ffprobe installed?)`, { file: audioPath });
+  }
+  const chunkLength = options.chunkLength || DEFAULTS.CHUNK_LENGTH;
+  const overlap = typeof options.chunkOverlap === 'number' ? options.chunkOverlap : DEFAULTS.CHUNK_OVERLAP;
+  
+  // Reuse a checkpoint only if it was planned with the same settings
+  const checkpointDir = path.join(getCacheDir(), CHECKPOINTS_DIR, key);
+  const planPath = path.join(checkpointDir, 'plan.json');
+  let plan = readJsonFile(planPath);
+  if (!plan || plan.chunkLength !== chunkLength || plan.overlap !== overlap) {
+    fs.rmSync(checkpointDir, { recursive: true, force: true });
+    fs.mkdirSync(checkpointDir, { recursive: true });
+    log('🔇 Looking for silences to cut at...');
+    const silences = await detectSilences(audioPath, Object.assign({}, options, { duration }));
+    if (!silences) {
+      log('⚠️  Silence detection failed, cutting at fixed intervals');
+    } else if (vadEnabled(options) && speechSpan(duration, silences).speech < VAD.MIN_SPEECH) {
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+      const result = noSpeechResult({ model, backend: backend.name, language, duration });
+      if (options.print !== false) printResult(result, options.format);
+      return result;
+    }
+    plan = { chunkLength, overlap, duration, language: null, chunks: planChunks(duration, silences || [], { chunkLength, overlap }) };
+    writeJsonFileAtomic(planPath, plan);
+    log(`🧩 Split ${formatDuration(duration)} into ${plan.chunks.length} chunks of ~${formatDuration(chunkLength)}`);
+  }
+  
+  const chunkName = chunk => `chunk-${String(chunk.index).padStart(3, '0')}`;
+  const transcripts = plan.chunks.map(chunk => readJsonFile(path.join(checkpointDir, `${chunkName(chunk)}.json`)));
+  const resumed = transcripts.filter(Boolean).length;
+  if (resumed > 0) {
+    log(`♻️  Resuming: ${resumed}/${plan.chunks.length} chunks already transcribed`);
+  }
+  
+  log(`🎙️ Transcribing with Whisper (${backend.label})...`);
+  const chunkSeconds = chunk => chunk.end - chunk.start;
+  let doneSeconds = plan.chunks.filter(chunk => transcripts[chunk.index]).reduce((sum, chunk) => sum + chunkSeconds(chunk), 0);
+  let processedSeconds = 0;
+  const started = Date.now();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-chunks-'));
+  // Segments are announced chunk by chunk, in order, with their final ids
+  let segmentId = 0;
+  const announce = chunk => {
+    for (const seg of chunkSegments(plan.chunks, chunk, transcripts[chunk.index])) {
+      notify('segment', Object.assign({ id: segmentId++ }, seg));
+    }
+  };
+  
+  try {
+    for (const chunk of plan.chunks) {
+      if (transcripts[chunk.index]) {
+        announce(chunk);
+        continue;
+      }
+      
+      const name = chunkName(chunk);
+      const wavPath = path.join(tmpDir, `${name}.wav`);
+      const workDir = path.join(tmpDir, name);
+      fs.mkdirSync(workDir);
+      await extractChunk(audioPath, chunk, wavPath, options);
+      
+      // With auto-detection, the first chunk's language is kept for the rest
+      let chunkLanguage = plan.language || language;
+      let transcription;
+      for (;;) {
+        const run = await runWhisper(backend, [wavPath], Object.assign({}, options, { model, language: chunkLanguage, workDir }));
+        if (run.status !== 0) {
+          const err = (run.stderr || run.stdout || (run.error && run.error.message) || '').trim();
+          throw new BackendError(`chunk ${chunk.index + 1}/${plan.chunks.length}: ${err || `whisper exited with status ${run.status}`}`, { status: run.status, chunk: chunk.index + 1 });
+        }
+        transcription = readTranscription(wavPath, workDir, { model, backend: backend.name, language: chunkLanguage, stdout: run.stdout });
+        const fallback = await allowedLanguageFallback(wavPath, chunkLanguage, transcription.detectedLanguage,
+          Object.assign({}, options, { resolvedBackend: backend, resolvedModel: model }));
+        if (!fallback) break;
+        chunkLanguage = fallback;
+      }
+      transcripts[chunk.index] = {
+        segments: transcription.segments,
+        language: transcription.detectedLanguage,
+        languageProbability: transcription.languageProbability
+      };
+      writeJsonFileAtomic(path.join(checkpointDir, `${name}.json`), transcripts[chunk.index]);
+      if (!plan.language && chunkLanguage.toLowerCase() === 'auto' && transcription.detectedLanguage) {
+        plan.language = transcription.detectedLanguage;
+        writeJsonFileAtomic(planPath, plan);
+      }
+      
+      doneSeconds += chunkSeconds(chunk);
+      processedSeconds += chunkSeconds(chunk);
+      const elapsed = (Date.now() - started) / 1000;
+      const eta = elapsed / processedSeconds * (duration - doneSeconds);
+      const percent = Math.round(doneSeconds / duration * 100);
+      log(`⏳ ${percent}% (chunk ${chunk.index + 1}/${plan.chunks.length}, ` +
+        `${formatDuration(doneSeconds)} of ${formatDuration(duration)}), ETA ${formatDuration(eta)}`);
+      announce(chunk);
+      notify('progress', {
+        stage: 'transcribing',
+        percent,
+        chunk: chunk.index + 1,
+        chunks: plan.chunks.length,
+        processed: doneSeconds,
+        duration,
+        eta: Math.round(eta)
+      });
+      fs.rmSync(workDir, { recursive: true, force: true });
+      fs.rmSync(wavPath, { force: true });
+    }
+  } catch (error) {
+    throw whisperFailure(error, ' (finished chunks are saved; rerun to resume)');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  
+  const segments = stitchChunks(plan.chunks, transcripts);
+  const first = transcripts[0];
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-out-'));
+  try {
+    writeWhisperOutputs(workDir, path.basename(audioPath).replace(/\.[^/.]+$/, ''), {
+      text: segments.map(seg => seg.text).join(' '),
+      segments,
+      language: first.language,
+      language_probability: first.languageProbability,
+      duration
+    });
+    const transcription = readTranscription(audioPath, workDir, { model, backend: backend.name, language });
+    await finishTranscription(transcription, workDir, audioPath, options);
+    if (runOptions.cacheKey) {
+      writeCache(runOptions.cacheKey, workDir, audioPath, transcription);
+    }
+    const result = saveOutputs(transcription, audioPath, workDir, runOptions);
+    fs.rmSync(checkpointDir, { recursive: true, force: true });
+    if (options.print !== false) printResult(result, options.format);
+    return result;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Stdin and microphone input
+ *
+ * `-` as the input reads the recording from stdin (piped from arecord,
+ * ffmpeg, ...). `--record` captures the default input device with ffmpeg
+ * (PulseAudio/PipeWire if its socket is there, else ALSA; AVFoundation on
+ * macOS; recordDevice picks another, as "<ffmpeg format>:<device>"). The
+ * recording stops once recordSilence seconds of silence follow speech, on
+ * Ctrl-C, or after recordMax seconds, and is then transcribed. Both are
+ * saved to a temporary file first and go through the same pipeline as file
+ * input. Output files are only written with --output-dir (or
+ * --output-format, into the current directory).
+ */
+const RECORD_MIN_SPEECH = 0.3;  // Seconds of sound before a silence ends the recording
+const RECORD_STOP_GRACE_MS = 3000;  // Time ffmpeg gets to finish the file after 'q'
+
+/**
+ * Save Buffer or stream input to a temporary file and run fn(audioPath);
+ * the file is removed afterwards. File paths are passed through.
+ */
+async function withInputFile(input, filename, fn) {
+  if (typeof input === 'string') return fn(input);
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-input-'));
+  try {
+    const audioPath = path.join(tmpDir, path.basename(filename || '') || 'audio');
+    if (Buffer.isBuffer(input)) {
+      fs.writeFileSync(audioPath, input);
+    } else if (input && typeof input.pipe === 'function') {
+      await pipeline(input, fs.createWriteStream(audioPath));
+    } else {
+      throw new UsageError('Input must be a file path, Buffer or readable stream');
+    }
+    return await fn(audioPath);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read the recording piped to stdin into audioPath
+ */
+async function readStdinAudio(audioPath) {
+  if (process.stdin.isTTY) {
+    throw new UsageError('No audio piped to stdin, e.g.: arecord -f S16_LE -r 16000 -c 1 | node transcribe.js -');
+  }
+  await pipeline(process.stdin, fs.createWriteStream(audioPath));
+  const size = fs.statSync(audioPath).size;
+  if (size === 0) {
+    throw new InputNotFoundError('No audio received on stdin', { file: '-' });
+  }
+  log(`📥 Read ${(size / 1024).toFixed(1)}KB from stdin`);
+}
+
+/**
+ * ffmpeg input format and device for --record: recordDevice, else the
+ * platform's default input
+ * @returns {{format: string, device: string}}
+ */
+function recordInput(recordDevice = DEFAULTS.RECORD_DEVICE) {
+  let spec = recordDevice;
+  if (!spec) {
+    if (process.platform === 'darwin') {
+      spec = 'avfoundation::0';
+    } else if (process.platform === 'linux') {
+      const runtimeDir = process.env.XDG_RUNTIME_DIR || `/run/user/${process.getuid()}`;
+      const pulse = process.env.PULSE_SERVER || fs.existsSync(path.join(runtimeDir, 'pulse', 'native'));
+      spec = pulse ? 'pulse:default' : 'alsa:default';
+    } else {
+      throw new UsageError(`No default recording device on ${process.platform}; set --record-device <format>:<device> (ffmpeg -f/-i)`);
+    }
+  }
+  const colon = spec.indexOf(':');
+  if (colon <= 0) {
+    throw new UsageError(`Invalid --record-device: ${spec}. Use <ffmpeg format>:<device>, e.g. alsa:default or pulse:default`);
+  }
+  return { format: spec.slice(0, colon), device: spec.slice(colon + 1) };
+}
+
+/**
+ * Record from the microphone into audioPath (16 kHz mono WAV) until
+ * silence after speech, SIGINT or the length limit
+ * @param {Object} options - recordDevice, recordSilence, recordMax (seconds)
+ * @returns {Promise<{duration: number, stoppedBy: string}>} stoppedBy:
+ *   'silence', 'interrupt' or 'limit'
+ */
+function recordAudio(audioPath, options = {}) {
+  const { format, device } = recordInput(options.recordDevice || undefined);
+  const silence = typeof options.recordSilence === 'number' ? options.recordSilence : DEFAULTS.RECORD_SILENCE;
+  const limit = options.recordMax || DEFAULTS.RECORD_MAX;
+  const args = ['-hide_banner', '-nostats', '-f', format, '-i', device, '-ac', '1', '-ar', '16000', '-t', String(limit)];
+  if (silence > 0) {
+    args.push('-af', `silencedetect=noise=${CHUNKING.SILENCE_NOISE}:d=${silence}`);
+  }
+  args.push('-y', audioPath);
+  
+  log(`🎤 Recording from ${format}:${device}: stops ${silence > 0 ? `after ${silence}s of silence, ` : ''}on Ctrl-C or after ${limit}s`);
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    // Own process group, so Ctrl-C reaches only us and ffmpeg gets to finish the file
+    const child = spawn(DEFAULTS.FFMPEG, args, { stdio: ['pipe', 'ignore', 'pipe'], detached: true });
+    let pending = '';
+    let lastMessage = '';
+    let stoppedBy = null;
+    let lastSilenceEnd = 0;
+    let killTimer = null;
+    
+    const stop = reason => {
+      if (stoppedBy) return;
+      stoppedBy = reason;
+      child.stdin.end('q');
+      killTimer = setTimeout(() => killProcessTree(child, 'SIGTERM'), RECORD_STOP_GRACE_MS);
+    };
+    const onInterrupt = () => stop('interrupt');
+    const onTerminate = () => {
+      killProcessTree(child, 'SIGKILL');
+      process.exit(128 + os.constants.signals.SIGTERM);
+    };
+    process.once('SIGINT', onInterrupt);
+    process.once('SIGTERM', onTerminate);
+    
+    child.stdin.on('error', () => {});  // ffmpeg may exit before reading 'q'
+    child.stderr.on('data', chunk => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const end = /silence_end: ([\d.]+)/.exec(line);
+        const start = /silence_start: (-?[\d.]+)/.exec(line);
+        if (end) {
+          lastSilenceEnd = parseFloat(end[1]);
+        } else if (start) {
+          if (parseFloat(start[1]) - lastSilenceEnd >= RECORD_MIN_SPEECH) stop('silence');
+        } else if (line.trim()) {
+          lastMessage = line.trim();  // Reported if nothing was recorded
+        }
+      }
+    });
+    child.on('error', error => {
+      process.removeListener('SIGINT', onInterrupt);
+      process.removeListener('SIGTERM', onTerminate);
+      reject(new DependencyError(`Could not run ${DEFAULTS.FFMPEG}: ${error.message}`, { missing: ['ffmpeg'] }));
+    });
+    child.on('close', status => {
+      clearTimeout(killTimer);
+      process.removeListener('SIGINT', onInterrupt);
+      process.removeListener('SIGTERM', onTerminate);
+      const duration = (Date.now() - started) / 1000;
+      if ((!fs.existsSync(audioPath) || fs.statSync(audioPath).size === 0) && stoppedBy === 'interrupt') {
+        reject(new InputNotFoundError(`Nothing recorded: Ctrl-C came before ${format}:${device} delivered any audio`, { device: `${format}:${device}` }));
+        return;
+      }
+      if (!fs.existsSync(audioPath) || fs.statSync(audioPath).size === 0) {
+        reject(new InputNotFoundError(`Could not record from ${format}:${device}: ${lastMessage || pending.trim() || `ffmpeg exited with status ${status}`}`, { device: `${format}:${device}` }));
+        return;
+      }
+      log(`⏹️  Recorded ${duration.toFixed(1)}s (${stoppedBy === 'silence' ? 'silence' : stoppedBy === 'interrupt' ? 'Ctrl-C' : 'length limit'})`);
+      resolve({ duration, stoppedBy: stoppedBy || 'limit' });
+    });
+  });
+}
+
+/**
+ * Streaming transcription
+ *
+ * `--stream` transcribes audio that is still being written: a growing file,
+ * or stdin (`-`). ffmpeg decodes the input to 16 kHz mono PCM as it
+ * arrives. Every streamStep seconds of new audio, whisper transcribes a
+ * window that starts chunkOverlap seconds before the end of the final text
+ * and runs to the end of the audio so far (at most streamWindow seconds).
+ * A pass's segments are final once another segment follows them, since
+ * whisper is least reliable at the end of its input. A full window's only
+ * segment is final too, so one long sentence can't stall the stream, and
+ * at the end of the input all are final.
+ * The remaining text is provisional and is redone by the next pass. Text
+ * repeated from the overlap is dropped: segments that end inside it, and
+ * leading words that repeat the end of the final text. Windows without
+ * sound skip whisper. The input ends at EOF on stdin, or once a file hasn't
+ * grown for streamIdle seconds. Events (one JSON line each on stdout):
+ *   { type: 'provisional', start, end, text }  latest guess after the final text
+ *   { type: 'final', id, start, end, text }
+ *   { type: 'done', text, language, duration, segments, files }
+ */
+const STREAM = {
+  SAMPLE_RATE: 16000,
+  BOUNDARY_TOLERANCE: 0.2,  // Seconds; overlap segments ending this close to the final text are repeats
+  MAX_REPEAT_WORDS: 10,     // Longest run of repeated words looked for at a window boundary
+  SILENCE_BLOCK: 0.1,       // Seconds per loudness check
+  TAIL_POLL_MS: 250         // How often a growing file is checked
+};
+
+/**
+ * Read a file that's still being written, ending once it hasn't grown for
+ * idleSeconds
+ * @returns {stream.Readable}
+ */
+function tailFile(filePath, idleSeconds) {
+  const stream = new PassThrough();
+  const fd = fs.openSync(filePath, 'r');
+  let position = 0;
+  let lastGrowth = Date.now();
+  const timer = setInterval(() => {
+    const size = fs.fstatSync(fd).size;
+    if (size > position) {
+      const buffer = Buffer.alloc(size - position);
+      position += fs.readSync(fd, buffer, 0, buffer.length, position);
+      lastGrowth = Date.now();
+      stream.write(buffer);
+    } else if (Date.now() - lastGrowth >= idleSeconds * 1000) {
+      stream.end();
+    }
+  }, STREAM.TAIL_POLL_MS);
+  stream.once('finish', () => stream.destroy());
+  stream.once('close', () => {
+    clearInterval(timer);
+    fs.closeSync(fd);
+  });
+  return stream;
+}
+
+/**
+ * 16-bit mono PCM wrapped in a WAV header
+ */
+function pcmToWav(pcm, sampleRate = STREAM.SAMPLE_RATE) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);              // fmt chunk size
+  header.writeUInt16LE(1, 20);               // PCM
+  header.writeUInt16LE(1, 22);               // Mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);  // Bytes per second
+  header.writeUInt16LE(2, 32);               // Bytes per sample
+  header.writeUInt16LE(16, 34);              // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * True if every block of the PCM is quieter than the silence threshold
+ */
+function pcmIsSilent(pcm) {
+  const threshold = 32768 * Math.pow(10, parseFloat(CHUNKING.SILENCE_NOISE) / 20);
+  const blockBytes = Math.round(STREAM.SAMPLE_RATE * STREAM.SILENCE_BLOCK) * 2;
+  for (let offset = 0; offset + 1 < pcm.length; offset += blockBytes) {
+    const end = Math.min(offset + blockBytes, pcm.length - 1);
+    let sum = 0;
+    for (let i = offset; i < end; i += 2) {
+      const sample = pcm.readInt16LE(i);
+      sum += sample * sample;
+    }
+    if (Math.sqrt(sum / ((end - offset) / 2)) >= threshold) return false;
+  }
+  return true;
+}
+
+/**
+ * Drop the leading words of text that repeat the end of previous
+ * (compared without case and punctuation)
+ */
+function trimRepeatedWords(previous, text) {
+  const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  const before = previous.split(/\s+/).filter(Boolean).slice(-STREAM.MAX_REPEAT_WORDS).map(normalize);
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const after = words.map(normalize);
+  for (let n = Math.min(before.length, after.length); n > 0; n--) {
+    if (before.slice(-n).join(' ') === after.slice(0, n).join(' ')) {
+      return words.slice(n).join(' ');
+    }
+  }
+  return words.join(' ');
+}
+
+/**
+ * Transcribe a growing recording as it arrives (see "Streaming transcription")
+ * @param {string|stream.Readable} input - file path, '-' for stdin, or a stream
+ * @param {Object} options - as for transcribe(), plus streamStep,
+ *   streamWindow, streamIdle (seconds) and chunkOverlap. Output files are
+ *   written for file input, or with outputDir.
+ * @returns {Promise<Object>} the 'done' event; like transcribeAsync(), the
+ *   promise has on(event, listener) for 'provisional', 'final' and 'done'
+ */
+function transcribeStream(input, options = {}) {
+  const emitter = new EventEmitter();
+  const promise = (async () => {
+    // Give the caller a chance to attach listeners first
+    await null;
+    
+    const number = (value, fallback) => (typeof value === 'number' && !isNaN(value) ? value : fallback);
+    const step = Math.max(number(options.streamStep, DEFAULTS.STREAM_STEP), 0.5);
+    const windowLength = Math.max(number(options.streamWindow, DEFAULTS.STREAM_WINDOW), step);
+    const overlap = Math.min(number(options.chunkOverlap, DEFAULTS.CHUNK_OVERLAP), windowLength / 2);
+    const idle = number(options.streamIdle, DEFAULTS.STREAM_IDLE);
+    if (resolveTask(options) === 'both') {
+      throw new UsageError('--stream transcribes or translates; --task both is not supported');
+    }
+    if (typeof input === 'string' && input !== '-' && !fs.existsSync(input)) {
+      throw new InputNotFoundError(`Audio file not found: ${input}`, { file: input });
+    }
+    
+    const backend = requireBackend(options.backend);
+    // Smart selection needs the whole recording; streams use the configured model
+    const model = [options.model, DEFAULTS.MODEL].find(m => m && m !== 'auto') || CONFIG_SETTINGS.model.default;
+    const rules = glossaryRules(options);
+    let language = options.language || DEFAULTS.LANGUAGE;
+    log(`📡 Streaming ${typeof input === 'string' ? (input === '-' ? 'stdin' : input) : 'input'} with ${backend.label}, model ${model}: a pass every ${step}s of audio, windows up to ${windowLength}s`);
+    
+    // Decode the input to PCM as it arrives
+    const bytesPerSecond = STREAM.SAMPLE_RATE * 2;
+    let pcm = Buffer.alloc(0);
+    let pcmStart = 0;  // Seconds of audio already dropped from the front of pcm
+    let ended = false;
+    let decodeError = '';
+    let wake = null;
+    const decoder = spawn(DEFAULTS.FFMPEG, ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0',
+      '-f', 's16le', '-ac', '1', '-ar', String(STREAM.SAMPLE_RATE), 'pipe:1'], { stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+    activeProcesses.add(decoder);
+    const source = typeof input !== 'string' ? input : input === '-' ? process.stdin : tailFile(input, idle);
+    source.pipe(decoder.stdin);
+    decoder.stdin.on('error', () => {});  // ffmpeg gave up on the input; reported on close
+    decoder.stdout.on('data', chunk => {
+      pcm = Buffer.concat([pcm, chunk]);
+      if (wake) wake();
+    });
+    decoder.stderr.on('data', chunk => {
+      decodeError += chunk;
+    });
+    const decoded = new Promise((resolve, reject) => {
+      decoder.on('error', error => reject(new DependencyError(`Could not run ${DEFAULTS.FFMPEG}: ${error.message}`, { missing: ['ffmpeg'] })));
+      decoder.on('close', resolve);
+    }).finally(() => {
+      activeProcesses.delete(decoder);
+      ended = true;
+      if (wake) wake();
+    });
+    decoded.catch(() => {});  // Rethrown below
+    
+    const available = () => pcmStart + Math.floor(pcm.length / 2) / STREAM.SAMPLE_RATE;
+    const byteAt = seconds => Math.max(0, Math.round((seconds - pcmStart) * STREAM.SAMPLE_RATE) * 2);
+    const waitForAudio = seconds => new Promise(resolve => {
+      wake = () => {
+        if (!ended && available() < seconds) return;
+        wake = null;
+        resolve();
+      };
+      wake();
+    });
+    
+    const finals = [];
+    let finalText = '';  // Whisper's text of the final segments, for repeats at the next boundary
+    let finalEnd = 0;
+    let provisional = '';
+    let passEnd = 0;
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-stream-'));
+    try {
+      for (let pass = 0; ; pass++) {
+        await waitForAudio(passEnd + step);
+        const audioEnd = available();
+        if (ended && audioEnd - finalEnd < STREAM.SILENCE_BLOCK) break;
+        
+        const start = Math.max(0, finalEnd - overlap);
+        const end = Math.min(audioEnd, start + windowLength);
+        const last = ended && end >= audioEnd;
+        const full = end - start >= windowLength;
+        passEnd = end;
+        
+        let segments = [];
+        if (!pcmIsSilent(pcm.subarray(byteAt(finalEnd), byteAt(end)))) {
+          const wavPath = path.join(tmpDir, `pass-${pass}.wav`);
+          const workDir = path.join(tmpDir, `pass-${pass}`);
+          fs.mkdirSync(workDir);
+          fs.writeFileSync(wavPath, pcmToWav(pcm.subarray(byteAt(start), byteAt(end))));
+          const run = await runWhisper(backend, [wavPath], withDeadline(Object.assign({}, options, { model, language, workDir })));
+          if (run.status !== 0) {
+            const err = (run.stderr || run.stdout || (run.error && run.error.message) || '').trim();
+            throw new BackendError(err || `whisper exited with status ${run.status}`, { status: run.status });
+          }
+          const transcription = readTranscription(wavPath, workDir, { model, backend: backend.name, language, stdout: run.stdout });
+          if (language.toLowerCase() === 'auto' && transcription.detectedLanguage) {
+            language = transcription.detectedLanguage;  // Kept for the following passes
+          }
+          segments = transcription.segments
+            .map(seg => ({ start: Math.min(seg.start + start, end), end: Math.min(seg.end + start, end), text: seg.text.trim() }))
+            .filter(seg => seg.text && seg.end > finalEnd + STREAM.BOUNDARY_TOLERANCE);
+          fs.rmSync(workDir, { recursive: true, force: true });
+          fs.rmSync(wavPath, { force: true });
+        }
+        
+        // Whisper hears the overlap again; drop what's already final
+        if (segments.length > 0 && segments[0].start < finalEnd + STREAM.BOUNDARY_TOLERANCE) {
+          segments[0].start = Math.max(segments[0].start, finalEnd);
+          segments[0].text = trimRepeatedWords(finalText, segments[0].text);
+          if (!segments[0].text) segments.shift();
+        }
+        
+        const pending = last || (full && segments.length === 1) ? 0 : 1;
+        for (const seg of segments.slice(0, Math.max(0, segments.length - pending))) {
+          const event = { type: 'final', id: finals.length, start: seg.start, end: seg.end, text: applyGlossary(seg.text, rules) };
+          finals.push(event);
+          finalText = `${finalText} ${seg.text}`.slice(-1000);
+          finalEnd = seg.end;
+          emitter.emit('final', event);
+        }
+        if (segments.length === 0 && (full || last)) {
+          finalEnd = end;  // Nothing said in this window
+        }
+        
+        const rest = segments.slice(Math.max(0, segments.length - pending));
+        const text = applyGlossary(rest.map(seg => seg.text).join(' '), rules);
+        if (text && text !== provisional) {
+          emitter.emit('provisional', { type: 'provisional', start: rest[0].start, end: rest[rest.length - 1].end, text });
+        }
+        provisional = text;
+        
+        // Keep only the audio later windows can still need
+        const keepFrom = Math.max(pcmStart, finalEnd - overlap);
+        pcm = pcm.subarray(byteAt(keepFrom));
+        pcmStart = keepFrom;
+        if (last) break;
+      }
+      
+      const code = await decoded;
+      if (code !== 0 && available() === 0) {
+        throw new UnsupportedInputError(`Could not decode the stream: ${decodeError.trim() || `ffmpeg exited with status ${code}`}`, { file: typeof input === 'string' ? input : null });
+      }
+      
+      const duration = available();
+      if (duration === 0) {
+        throw new InputNotFoundError(`No audio received from ${input === '-' ? 'stdin' : 'the stream'}`, { file: typeof input === 'string' && input !== '-' ? input : null });
+      }
+      const done = {
+        type: 'done',
+        text: finals.map(seg => seg.text).join(' '),
+        language,
+        duration,
+        segments: finals.length,
+        files: {}
+      };
+      log(`✅ Streamed ${formatDuration(duration)}: ${finals.length} segments`);
+      
+      // Output files as for any transcription (stdin only with outputDir)
+      const audioPath = typeof input === 'string' && input !== '-' ? input : path.join(tmpDir, input === '-' ? 'stdin' : 'stream');
+      if (options.outputDir || audioPath === input) {
+        const workDir = path.join(tmpDir, 'out');
+        fs.mkdirSync(workDir);
+        const segments = finals.map(({ id, start, end, text }) => ({ id, start, end, text }));
+        writeWhisperOutputs(workDir, path.basename(audioPath).replace(/\.[^/.]+$/, ''), { text: done.text, segments, language, duration });
+        const transcription = readTranscription(audioPath, workDir, { model, backend: backend.name, language });
+        done.files = saveOutputs(transcription, audioPath, workDir, options).files;
+      }
+      emitter.emit('done', done);
+      return done;
+    } finally {
+      killProcessTree(decoder, 'SIGKILL');
+      if (source !== input && source !== process.stdin) source.destroy();  // Stop tailing the file
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  })();
+  
+  promise.on = (event, listener) => {
+    emitter.on(event, listener);
+    return promise;
+  };
+  return promise;
+}
+
+/**
+ * Programmatic API
+ *
+ * transcribeAsync() runs the CLI's pipeline for one recording (cache,
+ * conversion, backend selection, chunking of long audio, timeouts) without
+ * touching the process: nothing is printed, progress messages go to an
+ * optional logger, no signal handlers are installed and failures reject
+ * the promise instead of exiting. Calls don't wait in the CLI's queue, so
+ * callers decide how many run at once. Settings not passed in options come
+ * from options.config, else from the same config files and environment
+ * variables as the CLI (read on the first call; errors in them reject).
+ */
+
+/**
+ * Turn options.logger into a message function (or null for silence)
+ */
+function loggerFunction(logger) {
+  if (typeof logger === 'function') return logger;
+  if (logger && typeof logger.info === 'function') return message => logger.info(message);
+  return null;
+}
+
+/**
+ * Transcribe one recording from Node
+ * @param {string|Buffer|stream.Readable} input - file path, audio bytes or a stream of them
+ * @param {Object} options - as for transcribe(), plus:
+ *   filename: name for Buffer/stream input (its extension helps format detection)
+ *   logger: function(message) or object with info(), e.g. console or pino (default: silent)
+ *   config: loadConfig() result, e.g. loadConfig({ env: {}, cwd: projectDir })
+ *   Output files are only written when outputDir or outputFormats is given.
+ * @returns {Promise<Object>} result as printed by --format json; rejects with
+ *   a TranscribeError. The promise has on(event, listener) for 'progress'
+ *   ({stage, percent, chunk, chunks, eta}), 'segment' and 'done' (the result).
+ */
+function transcribeAsync(input, options = {}) {
+  const emitter = new EventEmitter();
+  const context = { logger: loggerFunction(options.logger), emitter, segments: 0 };
+  
+  const promise = apiContext.run(context, async () => {
+    // Give the caller a chance to attach listeners first
+    await null;
+    
+    const runOptions = Object.assign({ outputFormats: options.outputDir ? undefined : [] }, options, { print: false });
+    delete runOptions.logger;
+    if (typeof input !== 'string' && options.outputFormats && !options.outputDir) {
+      throw new UsageError('outputDir is required to write output files for Buffer or stream input');
+    }
+    
+    return withConfig(options, () => withInputFile(input, options.filename, async audioPath => {
+      const duration = getLongAudioDuration(audioPath, runOptions);
+      const result = duration
+        ? await transcribeChunked(audioPath, Object.assign(runOptions, { duration }))
+        : await transcribe(audioPath, runOptions);
+      const json = toJsonResult(result);
+      // Cached and single-pass results arrive all at once
+      if (context.segments === 0) {
+        json.segments.forEach(seg => emitter.emit('segment', seg));
+      }
+      emitter.emit('done', json);
+      return json;
+    }));
+  });
+  
+  promise.on = (event, listener) => {
+    emitter.on(event, listener);
+    return promise;
+  };
+  return promise;
+}
+
+/**
+ * Warm-model daemon
+ *
+ * `--serve` loads one model into a long-running worker process and answers
+ * requests on a Unix socket next to the queue state. Single-file CLI calls
+ * try the socket first and spawn whisper as usual when nothing answers.
+ * The protocol is one JSON line per request and reply, one request per
+ * connection:
+ *   { cmd: 'status' }                      -> { ok, pid, backend, model, ... }
+ *   { cmd: 'transcribe', audio, language, task, prompt, words } -> { ok, result: { text, language, segments } }
+ *   { cmd: 'stop' }                        -> { ok }
+ * The worker speaks the same framing on stdin/stdout and prints
+ * { ready: true } once its model is loaded. Requests are run one at a time.
+ */
+const WORKER_SCRIPT = String.raw`
+import json, sys
+
+backend, model_name = sys.argv[1], sys.argv[2]
+out = sys.stdout
+sys.stdout = sys.stderr  # library chatter must not corrupt the protocol
+
+def reply(message):
+    out.write(json.dumps(message) + "\n")
+    out.flush()
+
+try:
+    if backend == "faster-whisper":
+        from faster_whisper import WhisperModel
+        model = WhisperModel({"large": "large-v3"}.get(model_name, model_name))
+    else:
+        import whisper
+        model = whisper.load_model(model_name)
+except Exception as e:
+    reply({"ok": False, "error": "Could not load model %s: %s" % (model_name, e)})
+    sys.exit(1)
+
+reply({"ready": True})
+
+for line in sys.stdin:
+    try:
+        request = json.loads(line)
+        language = request.get("language")
+        task = request.get("task") or "transcribe"
+        prompt = request.get("prompt")
+        words = bool(request.get("words"))
+        if backend == "faster-whisper":
+            segments, info = model.transcribe(request["audio"], language=language, task=task, initial_prompt=prompt,
+                                              word_timestamps=words)
+            segments = [{"id": i, "start": s.start, "end": s.end, "text": s.text, "avg_logprob": s.avg_logprob,
+                         "no_speech_prob": s.no_speech_prob, "compression_ratio": s.compression_ratio,
+                         "words": [{"word": w.word, "start": w.start, "end": w.end, "probability": w.probability}
+                                   for w in (s.words or [])] if words else None}
+                        for i, s in enumerate(segments)]
+            result = {"text": "".join(s["text"] for s in segments), "segments": segments,
+                      "language": info.language, "language_probability": info.language_probability}
+        else:
+            r = model.transcribe(request["audio"], language=language, task=task, initial_prompt=prompt,
+                                 word_timestamps=words, verbose=None)
+            keys = ("id", "start", "end", "text", "avg_logprob", "no_speech_prob", "compression_ratio", "words")
+            segments = [{k: s[k] for k in keys if k in s} for s in r["segments"]]
+            result = {"text": r["text"], "segments": segments, "language": r["language"]}
+        reply({"ok": True, "result": result})
+    except Exception as e:
+        reply({"ok": False, "error": str(e)})
+`;
+
+/**
+ * Daemon socket path (in the per-user queue dir unless overridden)
+ */
+function getDaemonSocket() {
+  return process.env.WHISPER_DAEMON_SOCKET || path.join(getLockDir(), 'daemon.sock');
+}
+
+/**
+ * Python interpreter the backend's CLI runs under (read from its shebang),
+ * so the worker imports the same installed package. WHISPER_PYTHON overrides.
+ */
+function findBackendPython(backend) {
+  if (process.env.WHISPER_PYTHON) return process.env.WHISPER_PYTHON;
+  try {
+    const fd = fs.openSync(backend.path, 'r');
+    const head = Buffer.alloc(256);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+    // "#!/opt/venv/bin/python3" or "#!/usr/bin/env python3"
+    const match = /^#!\s*(\S+)(?:[ \t]+(\S+))?/.exec(head.toString('utf-8', 0, bytes));
+    if (match && /python/.test(path.basename(match[1]))) return match[1];
+    if (match && match[2] && /python/.test(match[2])) return match[2];
+  } catch (e) {
+    // Fall through to the default
+  }
+  return 'python3';
+}
+
+/**
+ * Resolve a backend the worker can serve (auto skips whisper.cpp)
+ */
+function resolveServableBackend(name = DEFAULTS.BACKEND) {
+  if (name && name !== 'auto') {
+    const backend = requireBackend(name);
+    if (!backend.servable) {
+      throw new UsageError(`${backend.label} can't be served; use --backend openai-whisper or faster-whisper (whisper.cpp ships its own whisper-server)`);
+    }
+    return backend;
+  }
+  const order = process.env.WHISPER_CMD
+    ? ['openai-whisper']
+    : parseBackendOrder(DEFAULTS.BACKEND_ORDER).filter(candidate => BACKENDS[candidate].servable);
+  return requireBackend(order.join(','));
+}
+
+/**
+ * Spawn a worker that loads the model once and transcribes requests sent
+ * on stdin. WHISPER_WORKER_CMD replaces the Python worker (called with
+ * <backend> <model>).
+ * @param {Object} limits - threads, nice (see processLimits)
+ * @returns {{proc, ready: Promise, alive: boolean, send: Function}}
+ */
+function startWorker(backend, model, limits = {}) {
+  const command = process.env.WHISPER_WORKER_CMD
+    ? [process.env.WHISPER_WORKER_CMD, backend.name, model]
+    : [findBackendPython(backend), '-c', WORKER_SCRIPT, backend.name, model];
+  const proc = spawn(command[0], command.slice(1), { stdio: ['pipe', 'pipe', 'inherit'], env: childEnv(limits) });
+  lowerPriority(proc.pid, limits.nice);
+  const worker = { proc, alive: true };
+  const pending = [];
+  let starting;
+  
+  worker.ready = new Promise((resolve, reject) => {
+    starting = { resolve, reject };
+  });
+  
+  readline.createInterface({ input: proc.stdout }).on('line', line => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      return;  // Not a protocol line
+    }
+    if (starting) {
+      const { resolve, reject } = starting;
+      starting = null;
+      if (message.ready) resolve();
+      else reject(new Error(message.error || 'Worker failed to start'));
+    } else if (pending.length > 0) {
+      pending.shift().resolve(message);
+    }
+  });
+  
+  const fail = error => {
+    worker.alive = false;
+    if (starting) starting.reject(error);
+    starting = null;
+    pending.splice(0).forEach(request => request.reject(error));
+  };
+  proc.on('error', error => fail(new Error(`Could not start worker: ${error.message}`)));
+  proc.on('exit', code => fail(new Error(`Worker exited with status ${code}`)));
+  proc.stdin.on('error', () => {});  // EPIPE after the worker died; reported via 'exit'
+  
+  worker.send = request => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    proc.stdin.write(JSON.stringify(request) + '\n');
+  });
+  return worker;
+}
+
+/**
+ * Send one request to the daemon
+ * @param {Object} options - socketPath, timeout (ms without any activity)
+ * @returns {Promise<Object>} reply; rejects with the socket error (e.g.
+ *   ECONNREFUSED for a stale socket) if the daemon can't be reached
+ */
+function daemonRequest(message, options = {}) {
+  const socketPath = options.socketPath || getDaemonSocket();
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let data = '';
+    if (options.timeout) {
+      socket.setTimeout(options.timeout, () => {
+        const error = new Error('Daemon did not respond');
+        error.code = 'ETIMEDOUT';
+        socket.destroy(error);
+      });
+    }
+    socket.on('connect', () => socket.write(JSON.stringify(message) + '\n'));
+    socket.on('data', chunk => {
+      data += chunk;
+    });
+    socket.on('error', reject);
+    socket.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch (e) {
+        reject(new Error('Invalid reply from daemon'));
+      }
+    });
+  });
+}
+
+/**
+ * Run the daemon until it is stopped, idles out or gets SIGINT/SIGTERM
+ * @param {Object} options - backend, model, idleTimeout (seconds), socketPath,
+ *   threads, nice
+ * @returns {Promise} resolves on clean shutdown
+ */
+async function serve(options = {}) {
+  const backend = resolveServableBackend(options.backend);
+  const model = options.model && options.model !== 'auto' ? options.model : DEFAULTS.MODEL;
+  const socketPath = options.socketPath || getDaemonSocket();
+  const idleTimeout = typeof options.idleTimeout === 'number' && !isNaN(options.idleTimeout)
+    ? options.idleTimeout
+    : DEFAULTS.DAEMON_IDLE_TIMEOUT;
+  const startedAt = Date.now();
+  let served = 0;
+  let busy = false;
+  let lastRequest = startedAt;
+  let queue = Promise.resolve();
+  let idleTimer = null;
+  
+  // A socket file can outlive a crashed daemon; only a live one is an error
+  if (fs.existsSync(socketPath)) {
+    const alive = await daemonRequest({ cmd: 'status' }, { socketPath, timeout: 2000 }).then(() => true, () => false);
+    if (alive) {
+      throw new Error(`A daemon is already running on ${socketPath}`);
+    }
+    fs.unlinkSync(socketPath);
+  }
+  
+  log(`🔥 Loading ${model} model (${backend.label})...`);
+  const limits = { threads: options.threads || DEFAULTS.THREADS, nice: options.nice || DEFAULTS.NICE };
+  let worker = startWorker(backend, model, limits);
+  await worker.ready;
+  
+  const transcribeRequest = async request => {
+    if (!worker.alive) {
+      log('🔁 Worker exited, reloading model...');
+      worker = startWorker(backend, model, limits);
+      await worker.ready;
+    }
+    log(`🎙️ Transcribing ${request.audio}`);
+    const reply = await worker.send({
+      audio: request.audio,
+      language: request.language || null,
+      task: request.task || 'transcribe',
+      prompt: request.prompt || null,
+      words: Boolean(request.words)
+    });
+    served++;
+    return reply;
+  };
+  
+  return new Promise((resolve, reject) => {
+    let server = null;
+    
+    const shutdown = reason => {
+      if (!server) return;
+      log(`👋 Daemon stopping (${reason})`);
+      clearTimeout(idleTimer);
+      server.close();
+      server = null;
+      fs.rmSync(socketPath, { force: true });
+      worker.proc.kill();
+      resolve();
+    };
+    
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      if (idleTimeout > 0) {
+        idleTimer = setTimeout(() => shutdown(`idle for ${idleTimeout}s`), idleTimeout * 1000);
+      }
+    };
+    
+    const handle = message => {
+      switch (message.cmd) {
+        case 'status':
+          return Promise.resolve({
+            ok: true,
+            pid: process.pid,
+            backend: backend.name,
+            model,
+            socket: socketPath,
+            uptime: (Date.now() - startedAt) / 1000,
+            idle: (Date.now() - lastRequest) / 1000,
+            idleTimeout,
+            served,
+            busy
+          });
+        case 'stop':
+          setImmediate(() => shutdown('stop requested'));
+          return Promise.resolve({ ok: true });
+        case 'transcribe': {
+          clearTimeout(idleTimer);
+          const run = queue.then(() => {
+            busy = true;
+            return transcribeRequest(message);
+          }).catch(error => ({ ok: false, error: error.message })).then(reply => {
+            busy = false;
+            lastRequest = Date.now();
+            armIdleTimer();
+            return reply;
+          });
+          queue = run;
+          return run;
+        }
+        default:
+          return Promise.resolve({ ok: false, error: `Unknown command: ${message.cmd}` });
+      }
+    };
+    
+    server = net.createServer(socket => {
+      socket.on('error', () => {});  // Client went away; nothing to report to
+      readline.createInterface({ input: socket }).once('line', line => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (e) {
+          socket.end(JSON.stringify({ ok: false, error: 'Invalid request' }) + '\n');
+          return;
+        }
+        handle(message).then(reply => socket.end(JSON.stringify(reply) + '\n'));
+      });
+    });
+    server.on('error', error => {
+      worker.proc.kill();
+      reject(error);
+    });
+    server.listen(socketPath, () => {
+      fs.chmodSync(socketPath, 0o600);
+      log(`✅ Daemon ready on ${socketPath} (pid ${process.pid}, idle timeout ${idleTimeout > 0 ? `${idleTimeout}s` : 'off'})`);
+      armIdleTimer();
+    });
+    
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  });
+}
+
+/**
+ * Transcribe one file through a running daemon
+ * @returns {Promise<?Object>} result, or null if no usable daemon is running
+ *   (caller spawns whisper instead)
+ */
+async function transcribeViaDaemon(audioPath, options = {}) {
+  options = withDeadline(options);
+  const socketPath = getDaemonSocket();
+  if (!fs.existsSync(socketPath)) return null;
+  
+  let status;
+  try {
+    status = await daemonRequest({ cmd: 'status' }, { socketPath, timeout: 2000 });
+  } catch (error) {
+    log(`⚠️  Daemon not responding (${error.code || error.message}), running whisper directly`);
+    return null;
+  }
+  
+  const model = options.model && options.model !== 'auto' ? options.model : null;
+  if (model && model !== status.model) {
+    log(`↪️  Daemon serves model '${status.model}', not '${model}'; running whisper directly`);
+    return null;
+  }
+  if (options.backend && options.backend !== 'auto' && options.backend !== status.backend) {
+    log(`↪️  Daemon serves ${status.backend}, not ${options.backend}; running whisper directly`);
+    return null;
+  }
+  if (resolveTask(options) === 'both') {
+    log('↪️  --task both runs whisper directly');
+    return null;
+  }
+  
+  if (!fs.existsSync(audioPath)) {
+    throw new InputNotFoundError(`Audio file not found: ${audioPath}`, { file: audioPath });
+  }
+  
+  log(`⚡ Using warm daemon (pid ${status.pid}, ${status.backend}, model ${status.model})`);
+  const language = options.language || DEFAULTS.LANGUAGE;
+  const runOptions = Object.assign({}, options, { outputDir: options.outputDir || path.dirname(audioPath) });
+  
+  if (options.cache !== false) {
+    runOptions.cacheKey = getCacheKey(audioPath, Object.assign({}, options, { backend: status.backend, model: status.model, language }));
+    const cached = readCache(runOptions.cacheKey, audioPath, runOptions);
+    if (cached) {
+      printResult(cached, options.format);
+      return cached;
+    }
+  }
+  
+  const speech = await detectSpeech(audioPath, options);
+  if (speech && speech.speech < VAD.MIN_SPEECH) {
+    const result = noSpeechResult({ model: status.model, backend: status.backend, language, duration: speech.duration });
+    printResult(result, options.format);
+    return result;
+  }
+  
+  const { inputPath, tmpDir, trim } = await prepareSpeech(audioPath, null, speech, options);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-out-'));
+  try {
+    // The daemon's worker can't be interrupted; a timeout only abandons the request
+    const ask = async requestLanguage => {
+      const reply = await daemonRequest({
+        cmd: 'transcribe',
+        audio: path.resolve(inputPath),
+        language: requestLanguage.toLowerCase() === 'auto' ? null : requestLanguage,
+        task: resolveTask(options),
+        prompt: initialPrompt(options),
+        words: captionSettings(options).words
+      }, { socketPath, timeout: options.deadline ? processLimits(options).timeout * 1000 : 0 });
+      if (!reply.ok) {
+        throw new BackendError(reply.error || 'daemon request failed');
+      }
+      writeWhisperOutputs(workDir, path.basename(inputPath).replace(/\.[^/.]+$/, ''), reply.result);
+      return readTranscription(inputPath, workDir, { model: status.model, backend: status.backend, language: requestLanguage });
+    };
+    let transcription = await ask(language);
+    const fallback = await allowedLanguageFallback(inputPath, language, transcription.detectedLanguage,
+      Object.assign({}, options, { backend: status.backend, model: status.model }));
+    if (fallback) {
+      transcription = await ask(fallback);
+    }
+    await finishTranscription(transcription, workDir, inputPath, Object.assign({}, options, { trim }));
+    if (runOptions.cacheKey) {
+      writeCache(runOptions.cacheKey, workDir, inputPath, transcription);
+    }
+    const result = saveOutputs(transcription, inputPath, workDir, runOptions);
+    printResult(result, options.format);
+    return result;
+  } catch (error) {
+    if (error.code === 'ETIMEDOUT') throw timeoutError(options.timeout);  // Socket timeout
+    throw whisperFailure(error);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * --serve-status / --serve-stop
+ * @returns {Promise<number>} exit code (1 if no daemon is running)
+ */
+async function runDaemonCommand(command, format = DEFAULTS.FORMAT) {
+  const socketPath = getDaemonSocket();
+  let reply;
+  try {
+    reply = await daemonRequest({ cmd: command }, { socketPath, timeout: 2000 });
+  } catch (error) {
+    if (format === 'json') {
+      console.log(JSON.stringify({ running: false, socket: socketPath }, null, 2));
+    } else {
+      console.log(`⚪ No whisper daemon running (${socketPath})`);
+    }
+    return 1;
+  }
+  
+  if (command === 'stop') {
+    console.log(format === 'json' ? JSON.stringify({ stopped: true }, null, 2) : '🛑 Daemon stopped');
+    return 0;
+  }
+  
+  if (format === 'json') {
+    const status = Object.assign({ running: true }, reply);
+    delete status.ok;
+    console.log(JSON.stringify(status, null, 2));
+    return 0;
+  }
+  console.log(`🟢 Whisper daemon running (pid ${reply.pid})`);
+  console.log(`   Socket:   ${reply.socket}`);
+  console.log(`   Backend:  ${reply.backend}, model ${reply.model}`);
+  console.log(`   Uptime:   ${Math.round(reply.uptime)}s, ${reply.served} request(s) served${reply.busy ? ', busy' : ''}`);
+  console.log(`   Idle:     ${Math.round(reply.idle)}s (timeout ${reply.idleTimeout > 0 ? `${reply.idleTimeout}s` : 'off'})`);
+  return 0;
+}
+
+/**
+ * OpenAI-compatible HTTP server
+ *
+ * `server` exposes POST /v1/audio/transcriptions and /v1/audio/translations
+ * with the request and response shapes of OpenAI's audio API, so OpenAI SDK
+ * clients only need a different base URL. Each upload goes through transcribe() (cache,
+ * conversion, backend selection) and waits in the same queue as CLI runs.
+ * Model names that aren't local sizes ("whisper-1", "gpt-4o-transcribe")
+ * use the server's model.
+ */
+const SERVER_RESPONSE_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+const SERVER_MAX_UPLOAD_MB = 100;
+const SERVER_ERROR_STATUS = {
+  UNSUPPORTED_INPUT: 400,
+  USAGE: 400,
+  QUEUE_TIMEOUT: 503,
+  TIMEOUT: 504
+};
+
+/**
+ * Error with an HTTP status, rendered as an OpenAI error object
+ */
+function httpError(status, message, param = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.param = param;
+  return error;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @returns {{fields: Object<string, string>, files: Object<string, {filename, data: Buffer}>}}
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!/^multipart\/form-data/i.test(contentType || '') || !match) {
+    throw httpError(400, 'Expected a multipart/form-data request body');
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = {};
+  
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    if (body.slice(start, start + 2).toString() === '--') break;  // Closing delimiter
+    
+    const headerEnd = body.indexOf('\r\n\r\n', start);
+    const next = headerEnd === -1 ? -1 : body.indexOf(delimiter, headerEnd);
+    if (next === -1) {
+      throw httpError(400, 'Malformed multipart body');
+    }
+    
+    const headers = body.slice(start, headerEnd).toString('utf-8');
+    const content = body.slice(headerEnd + 4, next - 2);  // Part ends with CRLF before the delimiter
+    const name = /(?:^|;)\s*name="([^"]*)"/im.exec(headers);
+    const filename = /filename="([^"]*)"/i.exec(headers);
+    if (name && filename) {
+      files[name[1]] = { filename: filename[1], data: content };
+    } else if (name) {
+      fields[name[1]] = content.toString('utf-8');
+    }
+    start = next;
+  }
+  return { fields, files };
+}
+
+/**
+ * Read a request body up to a size limit
+ */
+function readRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(httpError(413, `Upload exceeds ${Math.round(maxBytes / 1024 / 1024)} MB`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Render a transcription result as an OpenAI response body
+ * @returns {{contentType: string, body: string}}
+ */
+function formatServerResponse(result, responseFormat) {
+  switch (responseFormat) {
+    case 'text':
+      return { contentType: 'text/plain; charset=utf-8', body: `${result.text.trim()}\n` };
+    case 'srt':
+    case 'vtt':
+      if (result.noSpeech) {
+        return { contentType: 'text/plain; charset=utf-8', body: responseFormat === 'vtt' ? 'WEBVTT\n\n' : '' };
+      }
+      return { contentType: 'text/plain; charset=utf-8', body: fs.readFileSync(result.files[responseFormat], 'utf-8') };
+    case 'verbose_json':
+      return {
+        contentType: 'application/json',
+        body: JSON.stringify({
+          task: result.task || 'transcribe',
+          language: result.detectedLanguage || result.language,
+          duration: result.duration,
+          text: result.text.trim(),
+          segments: result.segments
+        })
+      };
+    default:
+      return { contentType: 'application/json', body: JSON.stringify({ text: result.text.trim() }) };
+  }
+}
+
+/**
+ * Endpoints and the whisper task each runs
+ */
+const SERVER_ENDPOINTS = {
+  '/v1/audio/transcriptions': 'transcribe',
+  '/v1/audio/translations': 'translate'
+};
+
+/**
+ * Handle one POST /v1/audio/transcriptions or /v1/audio/translations upload
+ */
+async function handleTranscriptionRequest(req, options, task = 'transcribe') {
+  const body = await readRequestBody(req, SERVER_MAX_UPLOAD_MB * 1024 * 1024);
+  const { fields, files } = parseMultipart(body, req.headers['content-type']);
+  
+  if (!files.file) {
+    throw httpError(400, 'Missing required parameter: file', 'file');
+  }
+  const responseFormat = fields.response_format || 'json';
+  if (!SERVER_RESPONSE_FORMATS.includes(responseFormat)) {
+    throw httpError(400, `Unsupported response_format: ${responseFormat}. Use one of: ${SERVER_RESPONSE_FORMATS.join(', ')}`, 'response_format');
+  }
+  const model = MODEL_SIZES.includes(fields.model) || fields.model === 'auto' ? fields.model : options.model;
+  
+  log(`🌐 ${req.method} ${req.url} (${files.file.filename || 'upload'}, ${(files.file.data.length / 1024).toFixed(1)}KB, ${responseFormat})`);
+  
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-upload-'));
+  try {
+    const audioPath = path.join(tmpDir, path.basename(files.file.filename || '') || 'audio');
+    fs.writeFileSync(audioPath, files.file.data);
+    
+    const slot = await acquireSlot({ maxConcurrent: options.maxConcurrent, timeout: options.queueTimeout });
+    try {
+      const result = await transcribe(audioPath, Object.assign({}, options, {
+        model,
+        smartModel: !model || model === 'auto',
+        language: fields.language || options.language,
+        task,
+        outputDir: path.join(tmpDir, 'out'),
+        outputFormats: ['srt', 'vtt'].includes(responseFormat) ? responseFormat : 'txt',
+        outputName: DEFAULTS.OUTPUT_NAME,
+        print: false
+      }));
+      return formatServerResponse(result, responseFormat);
+    } finally {
+      slot.release();
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Start the HTTP server
+ * @param {Object} options - host, port, apiKey, plus transcription defaults
+ * @returns {Promise<http.Server>} resolves once listening
+ */
+function startServer(options = {}) {
+  const host = options.host || DEFAULTS.SERVER_HOST;
+  const port = typeof options.port === 'number' && !isNaN(options.port) ? options.port : DEFAULTS.SERVER_PORT;
+  const apiKey = options.apiKey || process.env.WHISPER_SERVER_API_KEY || null;
+  
+  const send = (res, status, contentType, body) => {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+  };
+  const sendError = (res, error) => {
+    const status = error.status || SERVER_ERROR_STATUS[errorCode(error)] || 500;
+    send(res, status, 'application/json', JSON.stringify({
+      error: {
+        message: error.message,
+        type: status < 500 ? 'invalid_request_error' : 'server_error',
+        param: error.param || null,
+        code: error instanceof TranscribeError ? error.code.toLowerCase() : null
+      }
+    }));
+  };
+  
+  const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      sendError(res, httpError(401, 'Invalid API key'));
+      return;
+    }
+    if (!SERVER_ENDPOINTS[url]) {
+      sendError(res, httpError(404, `Unknown endpoint: ${req.method} ${url}`));
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendError(res, httpError(405, `Use POST for ${url}`));
+      return;
+    }
+    
+    handleTranscriptionRequest(req, options, SERVER_ENDPOINTS[url]).then(({ contentType, body }) => {
+      send(res, 200, contentType, body);
+    }, error => {
+      log(`❌ ${error.message}`);
+      sendError(res, error);
+    });
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      log(`🌐 OpenAI-compatible server on http://${host}:${address.port}/v1 (POST ${Object.keys(SERVER_ENDPOINTS).join(', ')})`);
+      if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+        log(`⚠️  Listening on ${host}: reachable from other machines${apiKey ? '' : ' without an API key (set WHISPER_SERVER_API_KEY)'}`);
+      }
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Extensions picked up from directories and glob patterns in batch mode
+ * (directly supported formats plus common voice message/video containers)
+ */
+const AUDIO_EXTENSIONS = SUPPORTED_FORMATS.concat([
+  '.opus', '.oga', '.webm', '.amr', '.aac', '.3gp', '.wma',
+  '.mp4', '.m4v', '.mov', '.mkv', '.avi'
+]);
+
+function isAudioFile(filePath) {
+  return AUDIO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function isGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Convert a glob pattern (*, ?, [abc], **) to a RegExp over '/'-separated paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files under a directory, optionally recursing into subdirectories
+ * @param {number} depth - Levels to descend (Infinity for unlimited)
+ */
+function walkFiles(dir, depth) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return files;
+  }
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth > 0) {
+        files.push(...walkFiles(entryPath, depth - 1));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand a glob pattern into matching audio files
+ */
+function expandGlob(pattern) {
+  const segments = pattern.split('/');
+  const firstGlob = segments.findIndex(isGlob);
+  const baseDir = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  const rest = segments.slice(firstGlob);
+  const depth = rest.includes('**') || rest.some(seg => seg.includes('**')) ? Infinity : rest.length - 1;
+  const regex = globToRegExp(rest.join('/'));
+  
+  return walkFiles(baseDir, depth).filter(filePath => {
+    const relative = path.relative(baseDir, filePath).split(path.sep).join('/');
+    return regex.test(relative) && isAudioFile(filePath);
+  });
+}
+
+/**
+ * Expand CLI inputs (files, directories, glob patterns) into a file list.
+ * Inputs that match nothing are kept as-is so they're reported as failures.
+ */
+function expandInputs(inputs, options = {}) {
+  const files = [];
+  for (const input of inputs) {
+    if (isDirectory(input)) {
+      files.push(...walkFiles(input, options.recursive ? Infinity : 0).filter(isAudioFile));
+    } else if (isGlob(input) && !fs.existsSync(input)) {
+      const matches = expandGlob(input);
+      if (matches.length === 0) {
+        log(`⚠️  No audio files match: ${input}`);
+        files.push(input);
+      }
+      files.push(...matches);
+    } else {
+      files.push(input);
+    }
+  }
+  return Array.from(new Set(files));
+}
+
+/**
+ * Transcribe many files, continuing past failures.
+ * Files sharing a model and output directory go through a single whisper
+ * process, so each model is loaded once per group. Recordings without
+ * speech skip whisper, and long ones take the chunked pipeline, as in
+ * transcribe().
+ * @returns {Promise<Array<{file: string, ok: boolean, result?: Object, error?: string, code?: string}>>}
+ *   code: EXIT_CODES key of a file's failure; rejects with TimeoutError
+ *   when options.timeout passes
+ */
+async function transcribeBatch(audioPaths, options = {}) {
+  options = withDeadline(options);
+  if (resolveTask(options) === 'both') {
+    const results = await transcribeBatch(audioPaths, Object.assign({}, options, { task: 'transcribe' }));
+    const transcribed = results.filter(entry => entry.ok && !entry.result.noSpeech);
+    const translations = await transcribeBatch(transcribed.map(entry => entry.file), Object.assign({}, options, {
+      task: 'translate',
+      outputName: translationOutputName(options.outputName || DEFAULTS.OUTPUT_NAME)
+    }));
+    transcribed.forEach((entry, i) => {
+      const translation = translations[i];
+      entry.result.task = 'both';
+      if (translation.ok) {
+        entry.result.translation = { language: 'en', text: translation.result.text, segments: translation.result.segments, files: translation.result.files };
+      } else {
+        Object.assign(entry, { ok: false, error: `Translation failed: ${translation.error}`, code: translation.code });
+      }
+    });
+    return results.map(({ file, ok, result, error, code }) => (ok ? { file, ok, result } : { file, ok, error, code }));
+  }
+  const backend = requireBackend(options.backend);
+  
+  const language = options.language || DEFAULTS.LANGUAGE;
+  const entries = audioPaths.map(file => ({ file, ok: false }));
+  const groups = [];
+  const tmpDirs = [];
+  
+  try {
+    for (const entry of entries) {
+      try {
+        log(`\n📁 Input: ${entry.file}`);
+        if (!fs.existsSync(entry.file)) {
+          throw new InputNotFoundError(`Audio file not found: ${entry.file}`, { file: entry.file });
+        }
+        entry.outputDir = options.outputDir || path.dirname(entry.file);
+        const duration = getLongAudioDuration(entry.file, options);
+        if (duration) {
+          // Long recordings get the chunked pipeline (and its cache) on their own
+          entry.result = await transcribeChunked(entry.file, Object.assign({}, options, { duration, print: false }));
+          entry.ok = true;
+          continue;
+        }
+        entry.model = resolveModel(entry.file, options);
+        
+        if (options.cache !== false) {
+          entry.cacheKey = getCacheKey(entry.file, Object.assign({}, options, { backend: backend.name, model: entry.model, language }));
+          const cached = readCache(entry.cacheKey, entry.file, Object.assign({}, options, { outputDir: entry.outputDir }));
+          if (cached) {
+            entry.result = cached;
+            entry.ok = true;
+            continue;
+          }
+        }
+        
+        const speech = await detectSpeech(entry.file, options);
+        if (speech && speech.speech < VAD.MIN_SPEECH) {
+          entry.result = noSpeechResult({ model: entry.model, backend: backend.name, language, duration: speech.duration });
+          entry.ok = true;
+          continue;
+        }
+        
+        const { inputPath, tmpDir, trim } = await prepareSpeech(entry.file, backend, speech, options);
+        if (tmpDir) tmpDirs.push(tmpDir);
+        entry.inputPath = inputPath;
+        entry.trim = trim;
+      } catch (error) {
+        if (error instanceof TimeoutError) throw error;
+        entry.error = error.message;
+        entry.code = errorCode(error);
+        continue;
+      }
+      
+      // Whisper names outputs after the input's basename; same-named inputs need separate runs
+      const baseName = path.basename(entry.inputPath).replace(/\.[^/.]+$/, '');
+      let group = backend.multiInput && groups.find(g => g.model === entry.model &&
+        !g.entries.some(other => path.basename(other.inputPath).replace(/\.[^/.]+$/, '') === baseName));
+      if (!group) {
+        group = { model: entry.model, entries: [] };
+        groups.push(group);
+      }
+      group.entries.push(entry);
+    }
+    
+    for (const group of groups) {
+      const { model } = group;
+      log(`\n🎙️ Transcribing ${group.entries.length} file(s) with ${backend.label} (${model})...`);
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-out-'));
+      tmpDirs.push(workDir);
+      let run;
+      try {
+        run = await runWhisper(backend, group.entries.map(entry => entry.inputPath), Object.assign({}, options, { model, language, workDir }));
+      } catch (error) {
+        if (error instanceof TimeoutError) throw error;
+        run = { status: null, stderr: error.message, error };
+      }
+      
+      for (const entry of group.entries) {
+        try {
+          const transcription = readTranscription(entry.inputPath, workDir, { model, backend: backend.name, language });
+          const resolved = { resolvedBackend: backend, resolvedModel: model, outputDir: entry.outputDir, cacheKey: entry.cacheKey, trim: entry.trim };
+          const fallback = await allowedLanguageFallback(entry.inputPath, language, transcription.detectedLanguage, Object.assign({}, options, resolved));
+          if (fallback) {
+            entry.result = await transcribeWithWhisper(entry.inputPath, Object.assign({}, options, resolved, { language: fallback }));
+            entry.ok = true;
+            continue;
+          }
+          await finishTranscription(transcription, workDir, entry.inputPath, Object.assign({}, options, { trim: entry.trim }));
+          if (entry.cacheKey) {
+            writeCache(entry.cacheKey, workDir, entry.inputPath, transcription);
+          }
+          entry.result = saveOutputs(transcription, entry.inputPath, workDir,
+            Object.assign({}, options, { outputDir: entry.outputDir }));
+          entry.ok = true;
+        } catch (error) {
+          const err = (run.stderr || '').trim() || (run.status !== 0 ? `whisper exited with status ${run.status}` : error.message);
+          entry.error = `Whisper transcription failed: ${err}`;
+          entry.code = run.error ? errorCode(run.error) : run.status !== 0 ? 'BACKEND_FAILED' : errorCode(error);
+        }
+      }
+    }
+  } finally {
+    for (const tmpDir of tmpDirs) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+  
+  return entries.map(({ file, ok, result, error, code }) => (ok ? { file, ok, result } : { file, ok, error, code }));
+}
+
+/**
+ * Print one file's transcript in batch or watch mode (text and plain formats)
+ */
+function printFileResult(r, format) {
+  if (format === 'plain') {
+    console.log(`==> ${r.file} <==`);
+    console.log(r.result.text.trim());
+    console.log('');
+    return;
+  }
+  console.log('\n' + '='.repeat(50));
+  console.log(`📝 ${r.file}:`);
+  console.log('-'.repeat(50));
+  console.log(r.result.text.trim());
+  console.log('-'.repeat(50));
+  console.log(`💾 Saved to: ${Object.values(r.result.files).join(', ') || 'nothing'} (${r.result.model})`);
+}
+
+/**
+ * Print batch results and a per-file summary in the requested format.
+ * In plain/json modes the summary goes to stderr.
+ */
+function printBatchResults(results, format = DEFAULTS.FORMAT) {
+  const succeeded = results.filter(r => r.ok).length;
+  const failed = results.length - succeeded;
+  const summary = format === 'text' ? console.log : log;
+  
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      results: results.map(r => (r.ok
+        ? Object.assign({ file: r.file, ok: true }, toJsonResult(r.result))
+        : { file: r.file, ok: false, error: r.error, code: r.code })),
+      succeeded,
+      failed
+    }, null, 2));
+  } else {
+    results.filter(r => r.ok).forEach(r => printFileResult(r, format));
+  }
+  
+  summary('\n' + '='.repeat(50));
+  summary(`📊 Summary: ${succeeded} succeeded, ${failed} failed`);
+  for (const r of results) {
+    summary(r.ok ? `  ✅ ${r.file}` : `  ❌ ${r.file}: ${r.error}`);
+  }
+  summary('');
+}
+
+/**
+ * Batch mode: several inputs, a directory, or a glob that isn't a literal file
+ */
+function isBatchInput(audioPaths) {
+  const first = audioPaths[0];
+  return audioPaths.length > 1 || isDirectory(first) || (isGlob(first) && !fs.existsSync(first));
+}
+
+/**
+ * Watch folder
+ *
+ * `watch <dir>` transcribes audio files as they show up in a directory, such
+ * as a synced voice memo folder. fs.watch events trigger a scan right away.
+ * The directory is also rescanned every pollInterval seconds; with --poll,
+ * or where fs.watch isn't available (some network mounts), that's the only
+ * trigger. A file is picked up once its size and mtime have stayed the same
+ * for `settle` seconds, so files that are still being copied are left alone.
+ * Files go through transcribe() (the chunked pipeline for long recordings)
+ * one at a time, in the same queue as CLI runs. Outputs go next to the file
+ * or into outputDir. Each processed file is recorded with its size and mtime
+ * in a state file (default: <dir>/.local-whisper-watch.json), so a restart
+ * doesn't redo it; failed files are retried only once they change. With
+ * archiveDir, transcribed originals are moved there, keeping their path
+ * relative to the watched directory.
+ */
+const WATCH_STATE_NAME = '.local-whisper-watch.json';
+const WATCH_DEBOUNCE_MS = 200;  // Batch fs.watch events into one scan
+
+/**
+ * Watch settings with defaults applied
+ * @returns {{settle: number, pollInterval: number, poll: boolean, stateFile: string, archiveDir: ?string}}
+ *   throws a UsageError for invalid numbers
+ */
+function watchSettings(dir, options = {}) {
+  const number = (value, fallback, flag) => {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      throw new UsageError(`${flag} must be a non-negative number of seconds`);
+    }
+    return value;
+  };
+  const archiveDir = options.archiveDir !== undefined ? options.archiveDir : DEFAULTS.ARCHIVE_DIR;
+  return {
+    settle: number(options.settle, DEFAULTS.WATCH_SETTLE, '--settle'),
+    pollInterval: Math.max(number(options.pollInterval, DEFAULTS.WATCH_INTERVAL, '--poll-interval'), 0.1),
+    poll: options.poll !== undefined ? Boolean(options.poll) : DEFAULTS.WATCH_POLL,
+    stateFile: path.resolve(options.stateFile || DEFAULTS.WATCH_STATE_FILE || path.join(dir, WATCH_STATE_NAME)),
+    archiveDir: archiveDir ? path.resolve(archiveDir) : null
+  };
+}
+
+/**
+ * Processed files of a watched directory, keyed by path relative to it
+ */
+function readWatchState(stateFile) {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+    if (state && state.files && typeof state.files === 'object') return state;
+    log(`⚠️  Ignoring invalid watch state file: ${stateFile}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') log(`⚠️  Ignoring unreadable watch state file ${stateFile}: ${error.message}`);
+  }
+  return { files: {} };
+}
+
+function isInsideDir(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Move a transcribed original into the archive, keeping its relative path.
+ * An existing file of the same name gets a numbered sibling instead.
+ * @returns {string} new path
  */
-function selectModel(filePath, options = {}) {
-  // If explicit model is specified, use it
-  if (options.model && options.model !== 'auto') {
-    return options.model;
+function archiveFile(filePath, root, archiveDir) {
+  const relative = path.relative(root, filePath);
+  const ext = path.extname(relative);
+  let target = path.join(archiveDir, relative);
+  for (let n = 1; fs.existsSync(target); n++) {
+    target = path.join(archiveDir, `${relative.slice(0, relative.length - ext.length)}-${n}${ext}`);
   }
-  
-  // Default to small model (good balance of speed/accuracy)
-  const stats = fs.statSync(filePath);
-  const sizeKB = stats.size / 1024;
-  console.log(`📏 File size: ${sizeKB.toFixed(1)}KB`);
-  console.log(`🧠 Model: small (default)`);
-  return 'small';
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  try {
+    fs.renameSync(filePath, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    // Archive on another filesystem
+    fs.copyFileSync(filePath, target);
+    fs.unlinkSync(filePath);
+  }
+  return target;
 }
 
 /**
- * Run Whisper transcription
+ * Watch a directory and transcribe new audio files (see "Watch folder")
+ * @param {Object} options - as for transcribe(), plus recursive, settle,
+ *   pollInterval, poll, stateFile and archiveDir
+ * @returns {EventEmitter} emits 'file' with {file, ok, result?, error?, code?,
+ *   archived?} after each file; close() stops watching and resolves once the
+ *   file in progress is done
  */
-function transcribeWithWhisper(inputPath, options = {}) {
-  const whisperPath = findWhisperBinary();
-  if (!whisperPath) {
-    throw new Error('Whisper binary not found. Please install: pip install openai-whisper');
-  }
-  
-  // Determine model
-  let model;
-  if (options.smartModel !== false && !options.model) {
-    model = selectModel(inputPath, { model: 'auto' });
-  } else {
-    model = options.model || DEFAULTS.MODEL;
-    console.log(`🧠 Using model: ${model}`);
+function watchDirectory(dir, options = {}) {
+  const root = path.resolve(dir);
+  if (!isDirectory(root)) {
+    throw new InputNotFoundError(`Directory not found: ${dir}`, { file: dir });
   }
+  const settings = watchSettings(root, options);
+  const state = readWatchState(settings.stateFile);
+  const watcher = new EventEmitter();
+  const seen = new Map();  // file -> { size, mtimeMs, since }
+  let current = null;
+  let busy = null;
+  let closed = false;
+  let fsWatcher = null;
+  let debounceTimer = null;
+  let settleTimer = null;
+  const stopWaiting = new AbortController();  // close() gives up a wait for a queue slot
   
-  const language = options.language || DEFAULTS.LANGUAGE;
-  const outputDir = options.outputDir || path.dirname(inputPath);
+  const recorded = (key, stat) => {
+    const entry = state.files[key];
+    return Boolean(entry) && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs;
+  };
   
-  console.log(`🎙️ Transcribing with Whisper...`);
+  // Note sizes and mtimes; files unchanged for the settle time are ready
+  const observe = () => {
+    const now = Date.now();
+    const ready = [];
+    const present = new Set();
+    const files = walkFiles(root, options.recursive ? Infinity : 0).filter(file => isAudioFile(file)
+      && !path.basename(file).startsWith('.')
+      && !(settings.archiveDir && isInsideDir(file, settings.archiveDir)));
+    for (const file of files) {
+      let stat;
+      try {
+        stat = fs.statSync(file);
+      } catch (e) {
+        continue;  // Removed since the listing
+      }
+      if (file === current || recorded(path.relative(root, file), stat)) continue;
+      present.add(file);
+      const last = seen.get(file);
+      if (!last || last.size !== stat.size || last.mtimeMs !== stat.mtimeMs) {
+        seen.set(file, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+      } else if (stat.size > 0 && now - last.since >= settings.settle * 1000) {
+        ready.push(file);
+      }
+    }
+    for (const file of seen.keys()) {
+      if (!present.has(file)) seen.delete(file);
+    }
+    return ready;
+  };
   
-  const args = [
-    inputPath,
-    '--model',
-    model,
-    '--output_format',
-    'all',
-    '--output_dir',
-    outputDir
-  ];
-  // Only add --language if not "auto" (Whisper auto-detects when flag is omitted)
-  if (language && language.toLowerCase() !== 'auto') {
-    args.push('--language', language);
-  }
-
-  try {
-    const result = spawnSync(whisperPath, args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
-    if (result.status !== 0) {
-      const err = (result.stderr || result.stdout || '').trim();
-      throw new Error(err || `whisper exited with status ${result.status}`);
+  const processFile = async file => {
+    const key = path.relative(root, file);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      return;  // Removed while waiting
     }
+    seen.delete(file);
+    current = file;
+    log(`👀 New file: ${key}`);
     
-    // Read the transcription
-    const txtPath = inputPath.replace(/\.[^/.]+$/, '.txt');
-    const outputTxtPath = path.join(outputDir, path.basename(txtPath));
-    
-    const finalTxtPath = fs.existsSync(outputTxtPath) ? outputTxtPath : txtPath;
+    const entry = { size: stat.size, mtimeMs: stat.mtimeMs, at: new Date().toISOString() };
+    let event;
+    let slot = null;
+    try {
+      slot = await acquireSlot({ force: options.force, maxConcurrent: options.maxConcurrent, timeout: options.queueTimeout, signal: stopWaiting.signal });
+      let result;
+      try {
+        const runOptions = Object.assign({}, options, { print: false });
+        const duration = getLongAudioDuration(file, runOptions);
+        result = await (duration ? transcribeChunked(file, Object.assign(runOptions, { duration })) : transcribe(file, runOptions));
+      } finally {
+        slot.release();
+      }
+      Object.assign(entry, { status: 'done', files: Object.values(result.files) });
+      event = { file, ok: true, result };
+      log(`✅ ${key} → ${entry.files.join(', ') || 'no output files'}`);
+      if (settings.archiveDir) {
+        try {
+          entry.archived = event.archived = archiveFile(file, root, settings.archiveDir);
+          log(`📦 Archived to ${entry.archived}`);
+        } catch (error) {
+          log(`⚠️  Could not archive ${key}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      if (!slot && stopWaiting.signal.aborted) {
+        current = null;
+        return;  // Stopped while queued; not recorded, so it's picked up next time
+      }
+      Object.assign(entry, { status: 'failed', error: error.message, code: errorCode(error) });
+      event = { file, ok: false, error: error.message, code: errorCode(error) };
+      log(`❌ ${key}: ${error.message}`);
+    }
+    current = null;
     
-    if (fs.existsSync(finalTxtPath)) {
-      const text = fs.readFileSync(finalTxtPath, 'utf-8');
-      return { text, txtPath: finalTxtPath, model, language };
-    } else {
-      throw new Error('Transcription file not found');
+    state.files[key] = entry;
+    try {
+      fs.mkdirSync(path.dirname(settings.stateFile), { recursive: true });
+      writeJsonFileAtomic(settings.stateFile, state);
+    } catch (error) {
+      log(`⚠️  Could not save watch state ${settings.stateFile}: ${error.message}`);
+    }
+    watcher.emit('file', event);
+  };
+  
+  const scan = () => {
+    if (closed) return;
+    const ready = observe();
+    if (!settleTimer && Array.from(seen.values()).some(last => last.size > 0)) {
+      settleTimer = setTimeout(() => {
+        settleTimer = null;
+        scan();
+      }, settings.settle * 1000 + WATCH_DEBOUNCE_MS);
+    }
+    if (busy || ready.length === 0) return;
+    busy = (async () => {
+      for (const file of ready) {
+        if (closed) break;
+        await processFile(file);
+      }
+    })().finally(() => {
+      busy = null;
+      scan();
+    });
+  };
+  
+  const pollTimer = setInterval(scan, settings.pollInterval * 1000);
+  if (!settings.poll) {
+    const fallBack = error => {
+      log(`⚠️  fs.watch unavailable (${error.message}); polling every ${settings.pollInterval}s`);
+      if (fsWatcher) fsWatcher.close();
+      fsWatcher = null;
+    };
+    try {
+      fsWatcher = fs.watch(root, { recursive: Boolean(options.recursive) }, () => {
+        if (debounceTimer) return;
+        debounceTimer = setTimeout(() => {
+          debounceTimer = null;
+          scan();
+        }, WATCH_DEBOUNCE_MS);
+      });
+      fsWatcher.on('error', fallBack);
+    } catch (error) {
+      fallBack(error);
     }
-  } catch (error) {
-    throw new Error(`Whisper transcription failed: ${error.message}`);
   }
+  
+  watcher.close = () => {
+    closed = true;
+    stopWaiting.abort();
+    [pollTimer, debounceTimer, settleTimer].forEach(timer => timer && clearTimeout(timer));
+    if (fsWatcher) fsWatcher.close();
+    return Promise.resolve(busy);
+  };
+  
+  log(`👀 Watching ${root}${options.recursive ? ' (recursive)' : ''}: new files are transcribed after ${settings.settle}s without changes`);
+  log(`   State: ${settings.stateFile}${settings.archiveDir ? `, archive: ${settings.archiveDir}` : ''}`);
+  scan();
+  return watcher;
 }
 
 /**
- * Main transcription function
+ * Print a watched file's result: the transcript like batch mode, or one
+ * JSON line per file with --format json
  */
-function transcribe(audioPath, options = {}) {
-  console.log(`\n🎙️ Whisper Voice Transcription`);
-  console.log('='.repeat(50));
-  console.log(`📁 Input: ${audioPath}`);
-  console.log(`🌐 Language: ${options.language || DEFAULTS.LANGUAGE}`);
-  console.log(`📂 Output: ${options.outputDir || 'same as input'}`);
-  
-  if (!fs.existsSync(audioPath)) {
-    throw new Error(`Audio file not found: ${audioPath}`);
+function printWatchResult(event, format) {
+  if (format === 'json') {
+    console.log(JSON.stringify(event.ok
+      ? Object.assign({ file: event.file, ok: true }, toJsonResult(event.result), { archived: event.archived || null })
+      : { file: event.file, ok: false, error: event.error, code: event.code }));
+  } else if (event.ok) {
+    printFileResult(event, format);
   }
-  
-  // Validate audio format
-  if (!isSupportedFormat(audioPath)) {
-    const ext = path.extname(audioPath).toLowerCase() || 'unknown';
-    throw new Error(`Unsupported audio format: ${ext}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
+}
+
+/**
+ * Subcommands (first argument); anything else is an input
+ */
+const COMMANDS = ['server', 'config', 'watch'];
+
+/**
+ * Value of a numeric flag
+ * @throws {UsageError} unless raw is a number (whole if integer, and
+ *   non-negative unless signed)
+ */
+function numberFlag(flag, raw, { integer = false, signed = false } = {}) {
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+  if (isNaN(value) || (value < 0 && !signed) || (integer && !Number.isInteger(value))) {
+    throw new UsageError(`${flag} must be a ${signed ? '' : 'non-negative '}${integer ? 'whole ' : ''}number, got ${raw === undefined ? 'nothing' : JSON.stringify(raw)}`);
   }
-  
-  // Transcribe directly (Whisper CLI supports MP3, M4A, FLAC, OGG natively)
-  const result = transcribeWithWhisper(audioPath, options);
-  
-  console.log('\n' + '='.repeat(50));
-  console.log('📝 Transcription:');
-  console.log('-'.repeat(50));
-  console.log(result.text);
-  console.log('-'.repeat(50));
-  console.log(`\n💾 Saved to: ${result.txtPath}`);
-  console.log(`🧠 Model used: ${result.model}`);
-  console.log('✅ Transcription complete!\n');
-  
-  return result;
+  return value;
 }
 
 /**
  * Parse command line arguments
+ * @throws {UsageError} for a numeric flag without a valid number
  */
 function parseArgs(args) {
   const options = {
+    command: null,
     model: null,
     language: null,
-    outputDir: null,
-    smartModel: true,
-    force: false
+    outputDir: DEFAULTS.OUTPUT_DIR,
+    outputFormats: null,
+    outputName: null,
+    smartModel: DEFAULTS.SMART_MODEL,
+    force: false,
+    format: DEFAULTS.FORMAT,
+    recursive: false,
+    maxConcurrent: null,
+    queueTimeout: null,
+    cache: DEFAULTS.CACHE,
+    cacheClear: false,
+    backend: DEFAULTS.BACKEND,
+    serve: false,
+    daemon: true,
+    daemonCommand: null,
+    idleTimeout: null,
+    host: null,
+    port: null,
+    settle: null,
+    pollInterval: null,
+    poll: DEFAULTS.WATCH_POLL,
+    stateFile: DEFAULTS.WATCH_STATE_FILE,
+    archiveDir: DEFAULTS.ARCHIVE_DIR,
+    record: false,
+    recordDevice: DEFAULTS.RECORD_DEVICE,
+    recordSilence: null,
+    recordMax: null,
+    stream: false,
+    streamStep: null,
+    streamWindow: null,
+    streamIdle: null,
+    chunking: DEFAULTS.CHUNKING,
+    chunkLength: null,
+    timeout: null,
+    threads: null,
+    nice: null,
+    vad: DEFAULTS.VAD,
+    trimSilence: DEFAULTS.TRIM_SILENCE,
+    filter: DEFAULTS.FILTER,
+    noSpeechThreshold: null,
+    logprobThreshold: null,
+    compressionRatioThreshold: null,
+    diarize: DEFAULTS.DIARIZE,
+    task: DEFAULTS.TASK,
+    allowedLanguages: null,
+    detectLanguage: false,
+    prompt: DEFAULTS.PROMPT,
+    vocabularyFile: DEFAULTS.VOCABULARY_FILE,
+    wordTimestamps: DEFAULTS.WORD_TIMESTAMPS,
+    maxLineWidth: DEFAULTS.MAX_LINE_WIDTH,
+    maxLineCount: DEFAULTS.MAX_LINE_COUNT,
+    speakers: null
   };
   
-  let audioPath = null;
+  const audioPaths = [];
+  
+  if (COMMANDS.includes(args[0])) {
+    options.command = args[0];
+    args = args.slice(1);
+  }
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -388,28 +5471,185 @@ function parseArgs(args) {
     switch (arg) {
       case '--model':
         options.model = args[++i];
-        options.smartModel = false;  // Disable smart model if explicit
+        options.smartModel = options.model === 'auto';  // Disable smart model if explicit
         break;
       case '--language':
       case '--lang':
       case '-l':
         options.language = args[++i];
         break;
+      case '--task':
+        options.task = args[++i];
+        break;
+      case '--allowed-languages':
+        options.allowedLanguages = args[++i];
+        break;
+      case '--detect-language':
+        options.detectLanguage = true;
+        break;
+      case '--prompt':
+        options.prompt = args[++i];
+        break;
+      case '--vocabulary-file':
+        options.vocabularyFile = args[++i];
+        break;
+      case '--word-timestamps':
+        options.wordTimestamps = true;
+        break;
+      case '--max-line-width':
+        options.maxLineWidth = numberFlag('--max-line-width', args[++i], { integer: true });
+        options.wordTimestamps = true;
+        break;
+      case '--max-line-count':
+        options.maxLineCount = numberFlag('--max-line-count', args[++i], { integer: true });
+        options.wordTimestamps = true;
+        break;
       case '--output-dir':
       case '--output':
       case '-o':
         options.outputDir = args[++i];
         break;
+      case '--output-format':
+        options.outputFormats = (options.outputFormats || []).concat(args[++i]);
+        break;
+      case '--output-name':
+        options.outputName = args[++i];
+        break;
       case '--smart-model':
         options.smartModel = true;
         break;
       case '--no-smart-model':
         options.smartModel = false;
         break;
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--json':
+        options.format = 'json';
+        break;
+      case '--recursive':
+      case '-r':
+        options.recursive = true;
+        break;
       case '--force':
       case '-f':
         options.force = true;
         break;
+      case '--backend':
+        options.backend = args[++i];
+        break;
+      case '--no-cache':
+        options.cache = false;
+        break;
+      case '--cache-clear':
+        options.cacheClear = true;
+        break;
+      case '--serve':
+        options.serve = true;
+        break;
+      case '--serve-status':
+        options.daemonCommand = 'status';
+        break;
+      case '--serve-stop':
+        options.daemonCommand = 'stop';
+        break;
+      case '--idle-timeout':
+        options.idleTimeout = numberFlag('--idle-timeout', args[++i]);
+        break;
+      case '--no-daemon':
+        options.daemon = false;
+        break;
+      case '--chunk-length':
+        options.chunkLength = numberFlag('--chunk-length', args[++i]);
+        break;
+      case '--no-chunking':
+        options.chunking = false;
+        break;
+      case '--timeout':
+        options.timeout = numberFlag('--timeout', args[++i]);
+        break;
+      case '--threads':
+        options.threads = numberFlag('--threads', args[++i], { integer: true });
+        break;
+      case '--nice':
+        options.nice = numberFlag('--nice', args[++i], { integer: true });
+        break;
+      case '--no-vad':
+        options.vad = false;
+        break;
+      case '--trim-silence':
+        options.trimSilence = true;
+        break;
+      case '--no-filter':
+        options.filter = false;
+        break;
+      case '--no-speech-threshold':
+        options.noSpeechThreshold = numberFlag('--no-speech-threshold', args[++i]);
+        break;
+      case '--logprob-threshold':
+        options.logprobThreshold = numberFlag('--logprob-threshold', args[++i], { signed: true });
+        break;
+      case '--compression-ratio-threshold':
+        options.compressionRatioThreshold = numberFlag('--compression-ratio-threshold', args[++i]);
+        break;
+      case '--diarize':
+        options.diarize = true;
+        break;
+      case '--speakers':
+        options.diarize = true;
+        options.speakers = numberFlag('--speakers', args[++i], { integer: true });
+        break;
+      case '--host':
+        options.host = args[++i];
+        break;
+      case '--port':
+        options.port = numberFlag('--port', args[++i], { integer: true });
+        break;
+      case '--settle':
+        options.settle = numberFlag('--settle', args[++i]);
+        break;
+      case '--poll-interval':
+        options.pollInterval = numberFlag('--poll-interval', args[++i]);
+        break;
+      case '--poll':
+        options.poll = true;
+        break;
+      case '--state-file':
+        options.stateFile = args[++i];
+        break;
+      case '--archive-dir':
+        options.archiveDir = args[++i];
+        break;
+      case '--record':
+        options.record = true;
+        break;
+      case '--record-device':
+        options.recordDevice = args[++i];
+        break;
+      case '--record-silence':
+        options.recordSilence = numberFlag('--record-silence', args[++i]);
+        break;
+      case '--record-max':
+        options.recordMax = numberFlag('--record-max', args[++i]);
+        break;
+      case '--stream':
+        options.stream = true;
+        break;
+      case '--stream-step':
+        options.streamStep = numberFlag('--stream-step', args[++i]);
+        break;
+      case '--stream-window':
+        options.streamWindow = numberFlag('--stream-window', args[++i]);
+        break;
+      case '--stream-idle':
+        options.streamIdle = numberFlag('--stream-idle', args[++i]);
+        break;
+      case '--max-concurrent':
+        options.maxConcurrent = numberFlag('--max-concurrent', args[++i], { integer: true });
+        break;
+      case '--queue-timeout':
+        options.queueTimeout = numberFlag('--queue-timeout', args[++i]);
+        break;
       case '--help':
       case '-h':
         showHelp();
@@ -427,14 +5667,14 @@ function parseArgs(args) {
         process.exit(0);
         break;
       default:
-        if (!arg.startsWith('-') && !audioPath) {
-          audioPath = arg;
+        if (!arg.startsWith('-') || arg === '-') {
+          audioPaths.push(arg);
         }
         break;
     }
   }
   
-  return { audioPath, options };
+  return { audioPath: audioPaths[0] || null, audioPaths, options };
 }
 
 /**
@@ -449,29 +5689,283 @@ Transcribe audio files locally using OpenAI Whisper.
 
 USAGE:
   node transcribe.js <audio_file> [OPTIONS]
+  node transcribe.js <file|dir|glob>... [OPTIONS]
+  <command> | node transcribe.js - [OPTIONS]
+  node transcribe.js --record [OPTIONS]
+  node transcribe.js --stream <growing_file|-> [OPTIONS]
+  node transcribe.js server [--host <addr>] [--port <n>] [OPTIONS]
+  node transcribe.js watch <dir> [--archive-dir <dir>] [OPTIONS]
+  node transcribe.js config show [OPTIONS]
 
 ARGUMENTS:
-  audio_file              Path to audio file (WAV, MP3, M4A, FLAC, OGG)
+  audio_file              Path to audio file (WAV, MP3, M4A, FLAC, OGG directly;
+                          OPUS, WEBM, AMR, AAC, 3GP, MP4, MOV, MKV, ... are
+                          converted with ffmpeg first)
+                          Several files, directories or quoted glob patterns
+                          ("notes/**/*.ogg") run in batch mode
+  -                       Read the recording from stdin
 
 OPTIONS:
-  --model <model>         Model size: tiny, base, small, medium, large
+  --model <model>         Model size: tiny, base, small, medium, large, auto
   --language <lang>       Language code: auto (default), en, de, es, fr, etc.
+  --task <task>           transcribe (default), translate (English text from
+                          any language), or both (original plus translation)
+  --detect-language       Only print the spoken language and its probability
+  --allowed-languages <list>  Languages auto-detection may pick, e.g. de,en (codes or names);
+                          other guesses are redone in the likeliest of these
+  --prompt <text>         Initial prompt: context and spellings whisper
+                          should follow ("Acme standup with Priya, Jörg")
+  --vocabulary-file <f>   Names and terms, one per line, added to the prompt
+  --backend <name>        auto (default), openai-whisper, faster-whisper,
+                          whisper-cpp
   --output-dir <dir>      Output directory for transcriptions
+  --output-format <list>  Files to write: txt (default), srt, vtt, tsv, json,
+                          all; comma-separated or repeated
+  --output-name <tmpl>    Output filename template (default: {basename}.{ext})
+                          Placeholders: {basename} {ext} {lang} {model}
+                          {date} {time} {datetime}
+  --word-timestamps       Time every word: "words" in JSON segments, VTT
+                          captions with karaoke-style word timestamps
+  --max-line-width <n>    Wrap captions at n characters (implies
+                          --word-timestamps)
+  --max-line-count <n>    Start a new caption after n lines (implies
+                          --word-timestamps)
   --smart-model           Enable smart model selection (default: on)
   --no-smart-model        Disable smart model selection
-  --force, -f             Force run, kill any existing whisper process
+  --format <fmt>          Stdout format: text (default), plain, json
+  --json                  Shorthand for --format json
+  --recursive, -r         Include subdirectories of directory inputs
+  --max-concurrent <n>    Transcriptions allowed to run at once (default: 1)
+  --queue-timeout <sec>   Max seconds to wait for a free slot (default: 600)
+  --force, -f             Skip the queue and run immediately
+  --no-cache              Don't read or write the result cache
+  --chunk-length <sec>    Chunk size for long recordings (default: 600)
+  --no-chunking           Transcribe long recordings in one piece
+  --timeout <sec>         Kill whisper (and everything it started) after this
+                          long and exit with status 124 (default: 0 = none;
+                          waiting in the queue doesn't count)
+  --threads <n>           CPU threads for whisper and ffmpeg (default: backend's)
+  --nice <n>              Lower whisper's and ffmpeg's CPU priority by n
+  --no-vad                Run whisper even if no speech is detected
+  --trim-silence          Cut leading/trailing silence before transcribing
+  --no-filter             Keep segments that look like hallucinations
+  --no-speech-threshold <p>  Drop segments above this no-speech probability
+                          that are also below the log probability threshold
+                          (default: 0.6)
+  --logprob-threshold <n> Average log probability below which segments are
+                          low confidence (default: -1)
+  --compression-ratio-threshold <r>  Collapse repetition loops in segments
+                          that compress better than this (default: 2.4)
+  --record                Record from the microphone with ffmpeg until
+                          silence, Ctrl-C or --record-max, then transcribe
+  --record-device <d>     ffmpeg input as <format>:<device>, e.g.
+                          pulse:default, alsa:hw:1, avfoundation::0
+                          (default: PulseAudio if running, else ALSA;
+                          AVFoundation on macOS)
+  --record-silence <sec>  Stop after this much silence following speech
+                          (default: 2; 0 = only Ctrl-C or --record-max)
+  --record-max <sec>      Longest recording (default: 300)
+  --stream                Transcribe a file that's still being written, or
+                          audio on stdin, as it arrives: JSON lines with
+                          provisional and final segments
+  --stream-step <sec>     Seconds of new audio between updates (default: 5)
+  --stream-window <sec>   Most audio whisper gets per update (default: 30)
+  --stream-idle <sec>     End once the file hasn't grown this long
+                          (default: 10)
+  --diarize               Label who said what (SPEAKER_1: ...) with a local
+                          diarization tool (pyannote or WHISPER_DIARIZE_CMD)
+  --speakers <n>          Expected number of speakers (implies --diarize)
+  --cache-clear           Delete all cached transcriptions and exit
+  --serve                 Run the warm-model daemon in the foreground
+  --idle-timeout <sec>    Daemon exits after this long without requests
+                          (default: 900, 0 = never)
+  --serve-status          Show the running daemon (exit 1 if none)
+  --serve-stop            Stop the running daemon
+  --no-daemon             Spawn whisper even if a daemon is running
+  --host <addr>           server: address to bind (default: 127.0.0.1)
+  --port <n>              server: port (default: 8765)
+  --settle <sec>          watch: seconds a new file must stay unchanged
+                          before it's transcribed (default: 5)
+  --poll-interval <sec>   watch: seconds between rescans (default: 10)
+  --poll                  watch: only rescan, don't use fs.watch (network
+                          mounts)
+  --state-file <file>     watch: record of processed files
+                          (default: <dir>/.local-whisper-watch.json)
+  --archive-dir <dir>     watch: move originals here once transcribed
   --check, -c             Check dependencies and show status
   --help, -h              Show this help message
   --version, -v           Show version
 
+CONFIGURATION:
+  Settings are read from, later ones winning:
+    1. built-in defaults
+    2. ~/.config/local-whisper/config.json ($XDG_CONFIG_HOME, or $WHISPER_CONFIG)
+    3. .local-whisper.json in the current or nearest parent directory
+    4. environment variables
+    5. command-line flags
+  Config files are JSON, e.g. {"language": "de", "outputFormats": ["txt", "srt"]}.
+  "glossary" maps misheard words to corrections, applied after transcription:
+  {"glossary": {"acme corp": "ACME Corp", "/kuber?netties/i": "Kubernetes"}}
+  (lowercase keys match any case, "/.../" keys are regular expressions).
+  Keys: model, smartModel, modelTable, language, task, allowedLanguages,
+  prompt, vocabularyFile, glossary, backend, backendOrder, format, outputDir,
+  outputFormats, outputName, wordTimestamps, maxLineWidth, maxLineCount, cache,
+  cacheDir, cacheMaxAgeDays, cacheMaxMB, maxConcurrent, queueTimeout,
+  daemonIdleTimeout, serverHost, serverPort, watchSettle, watchInterval,
+  watchPoll, watchStateFile, archiveDir, recordDevice, recordSilence,
+  recordMax, streamStep, streamWindow, streamIdle, chunking, chunkThreshold,
+  chunkLength, chunkOverlap, timeout, threads, nice, vad, trimSilence, filter,
+  noSpeechThreshold, logprobThreshold, compressionRatioThreshold, diarize,
+  speakers.
+  'config show' prints the effective values and where each one came from.
+
 ENVIRONMENT VARIABLES:
+  WHISPER_CONFIG          User config file (default: ~/.config/local-whisper/config.json)
   WHISPER_MODEL=small     Default model (tiny, base, small, medium, large)
   WHISPER_LANGUAGE=auto   Default language (auto, en, de, es, etc.)
+  WHISPER_TASK            Default for --task (transcribe)
+  WHISPER_ALLOWED_LANGUAGES  Default for --allowed-languages (e.g. de,en)
+  WHISPER_PROMPT          Default for --prompt
+  WHISPER_VOCABULARY_FILE Default for --vocabulary-file
+  WHISPER_WORD_TIMESTAMPS Default for --word-timestamps (0)
+  WHISPER_MODEL_TABLE     Smart selection table (e.g. "30:large,120:medium,*:small")
+  WHISPER_OUTPUT_FORMAT   Default for --output-format (txt)
+  WHISPER_BACKEND         Default for --backend
+  WHISPER_BACKEND_ORDER   Auto-detection order
+                          (default: faster-whisper,whisper-cpp,openai-whisper)
+  WHISPER_CMD             Path to the whisper CLI (pins auto-detection to it)
+  FASTER_WHISPER_CMD      Path to whisper-ctranslate2
+  WHISPER_CPP_CMD         Path to whisper.cpp's whisper-cli (or main)
+  WHISPER_CPP_MODELS      Directory with ggml-<model>.bin files
+  WHISPER_CACHE_DIR       Cache location
+  WHISPER_CACHE_MAX_AGE_DAYS / WHISPER_CACHE_MAX_MB  Cache limits (30 / 500)
+  WHISPER_MAX_CONCURRENT  Default for --max-concurrent
+  WHISPER_QUEUE_TIMEOUT   Default for --queue-timeout
+  WHISPER_DAEMON_SOCKET   Daemon socket (default: <queue dir>/daemon.sock)
+  WHISPER_DAEMON_IDLE_TIMEOUT  Default for --idle-timeout
+  WHISPER_PYTHON          Python for the daemon worker (default: the
+                          backend CLI's interpreter)
+  WHISPER_SERVER_HOST / WHISPER_SERVER_PORT  Defaults for --host / --port
+  WHISPER_SERVER_API_KEY  Require "Authorization: Bearer <key>" on the server
+  WHISPER_WATCH_SETTLE / WHISPER_WATCH_INTERVAL  Defaults for --settle /
+                          --poll-interval
+  WHISPER_WATCH_POLL      Default for --poll (0)
+  WHISPER_ARCHIVE_DIR     Default for --archive-dir
+  WHISPER_RECORD_DEVICE / WHISPER_RECORD_SILENCE  Defaults for
+                          --record-device / --record-silence
+  WHISPER_STREAM_STEP     Default for --stream-step (5)
+  WHISPER_TIMEOUT / WHISPER_THREADS / WHISPER_NICE  Defaults for --timeout /
+                          --threads / --nice
+  WHISPER_VAD / WHISPER_TRIM_SILENCE  Speech detection / silence trimming
+                          (default: 1 / 0)
+  WHISPER_FILTER          Hallucination filtering (default: 1)
+  WHISPER_DIARIZE         Default for --diarize
+  WHISPER_DIARIZE_CMD     Diarization command: <cmd> <audio> [--num-speakers N],
+                          printing RTTM or JSON turns (default: pyannote.audio)
+  WHISPER_DIARIZE_MODEL   pyannote pipeline (default: pyannote/speaker-diarization-3.1)
+
+BACKENDS:
+  openai-whisper   Python CLI ('whisper'), reference implementation
+  faster-whisper   CTranslate2 ('whisper-ctranslate2'), several times faster on CPU
+  whisper-cpp      C++ ('whisper-cli' + ggml models), fast and light on CPU
+  With --backend auto, the first installed one in WHISPER_BACKEND_ORDER is used.
+
+CACHE:
+  Results are cached by audio content + model + language, so re-delivered
+  files return instantly. Stored in $XDG_CACHE_HOME/local-whisper
+  (~/.cache/local-whisper); entries expire after 30 days and the cache is
+  capped at 500 MB (least recently used entries go first).
+
+QUEUE:
+  Concurrent invocations wait their turn (FIFO) instead of failing. Queue
+  state lives in $XDG_RUNTIME_DIR/local-whisper (or $TMPDIR/local-whisper-<uid>).
+
+LONG RECORDINGS:
+  Recordings over 20 minutes (chunkThreshold) are split into ~10 minute
+  chunks, cut in silences (ffmpeg silencedetect) with 2 seconds of overlap.
+  Progress and ETA are logged per chunk. Finished chunks are checkpointed in
+  the cache dir: if a run crashes or is interrupted, running the same
+  command again resumes with the next chunk. Timestamps are stitched back
+  onto the full recording.
+
+DAEMON:
+  Loading the model dominates the time for short voice messages. Start
+  'node transcribe.js --serve --model small' once (e.g. from a systemd user
+  unit) and single-file calls are sent to it over a Unix socket, with the
+  model already in memory. Calls fall back to spawning whisper when no
+  daemon answers or an explicit --model/--backend differs from the daemon's.
+  Batch runs always spawn whisper. Serving works with openai-whisper and
+  faster-whisper.
+
+SERVER:
+  'node transcribe.js server' serves POST /v1/audio/transcriptions (and
+  /v1/audio/translations, English text) like OpenAI's API (multipart
+  'file', 'model', 'language', 'response_format' = json, text, srt, vtt or
+  verbose_json). Point any OpenAI SDK at
+  http://127.0.0.1:8765/v1. Model names other than local sizes
+  (whisper-1, gpt-4o-mini-transcribe) use --model or smart selection.
+  Uploads share the transcription queue with CLI runs. Ctrl-C stops taking
+  uploads and exits once those in progress are answered (again: cancel).
+
+STDIN AND MICROPHONE:
+  '-' reads the recording from stdin, so other tools can pipe audio in
+  (any format ffmpeg reads). --record captures the default input device
+  with ffmpeg and stops after --record-silence seconds of silence following
+  speech, on Ctrl-C, or at --record-max. Either way only the transcript is
+  printed; output files are written with --output-dir (or --output-format,
+  into the current directory) and named stdin.* or
+  recording-<date>_<time>.*.
+
+STREAMING:
+  --stream transcribes a recording while it's still being written (a file
+  that grows, or audio piped to '-'). Every --stream-step seconds of new
+  audio, whisper reruns on the latest window, which overlaps the text
+  that's already final by chunkOverlap seconds (2). Each update prints JSON
+  lines: {"type": "provisional", ...} for the text that may still change,
+  {"type": "final", "id", "start", "end", "text"} once a segment is
+  settled, and a closing {"type": "done", ...}. Text heard again in the
+  overlap is dropped, so final segments never repeat. The stream ends at
+  EOF on stdin, or once the file hasn't grown for --stream-idle seconds;
+  a file then gets its output files as usual. --format plain prints only
+  the final text.
+
+WATCH FOLDER:
+  'node transcribe.js watch ~/voice-memos' transcribes audio files as they
+  appear (add -r for subdirectories). A file is picked up once it hasn't
+  changed for --settle seconds, so partly copied files are skipped until
+  they're complete. Outputs go next to each file, or into --output-dir.
+  Processed files are recorded in the state file, so restarting the watcher
+  doesn't redo them; a file that failed is retried when it changes. With
+  --archive-dir, originals are moved there after transcribing. With
+  --format json, each file prints one JSON line. Ctrl-C finishes and
+  records the file in progress, then exits (press it again to cancel).
+
+EXIT STATUS:
+  0    Success
+  1    Unexpected error, or some files of a batch failed
+  2    Usage error: bad flag, argument or config file
+  3    Input not found
+  4    Unsupported or undecodable input
+  5    Missing dependency (whisper backend, ffmpeg, model file)
+  6    No transcription slot within --queue-timeout (retry later)
+  7    Whisper failed
+  8    Whisper finished without writing a transcript
+  124  --timeout passed
+  130  Cancelled with SIGINT (143 for SIGTERM)
+  With --format json, a failure also prints one JSON line to stderr:
+  {"error": {"type", "code", "exitCode", "retryable", "message", ...}}
 
 SMART MODEL SELECTION:
-  When enabled (default), automatically selects model based on file size:
-  - Files < 100KB: Uses 'large' model (max accuracy)
-  - Files >= 100KB: Uses 'medium' model (faster)
+  When enabled (default), probes the audio duration with ffprobe:
+  - Up to 30s:   'large'  (short voice notes, max accuracy)
+  - Up to 2min:  'medium'
+  - Up to 10min: 'small'
+  - Up to 30min: 'base'
+  - Longer:      'tiny'   (long recordings, fastest)
+  If the duration can't be probed, falls back to file size:
+  - Files < 100KB: 'large', files >= 100KB: 'medium'
+  The pick is then stepped down on machines with fewer than 4 CPU cores
+  or not enough free RAM for the model. The reasoning is logged to stderr.
 
 EXAMPLES:
   # Auto-detect language with smart model selection
@@ -486,9 +5980,45 @@ EXAMPLES:
   # Custom output directory
   node transcribe.js voice.ogg --output-dir ~/transcriptions/
 
+  # Subtitles next to the transcript, named with the detected language
+  node transcribe.js voice.ogg --output-format txt,srt,vtt --output-name "{basename}.{lang}.{ext}"
+
+  # Transcript only on stdout (for OpenClaw tools.media.audio)
+  node transcribe.js voice.ogg --format plain
+
+  # Structured result (text, language, segments, output files)
+  node transcribe.js voice.ogg --format json
+
+  # Dictation: speak, pause, get the text
+  node transcribe.js --record --format plain
+
+  # Pipelines: audio from another tool on stdin
+  arecord -f S16_LE -r 16000 -c 1 -d 10 | node transcribe.js - --format plain
+  ffmpeg -i talk.mkv -f wav - | node transcribe.js - --json
+
+  # Live captions of a meeting that's still being recorded
+  node transcribe.js --stream meeting.wav --stream-step 3
+
+  # Batch: a folder of voice notes (recursively), or a glob pattern
+  node transcribe.js ~/voice-notes/ --recursive
+  node transcribe.js "inbox/**/*.opus" --format json
+
   # Disable smart model, use environment default
   node transcribe.js voice.ogg --no-smart-model
 
+  # Keep the model warm for fast repeated calls
+  node transcribe.js --serve --model small --idle-timeout 3600 &
+  node transcribe.js voice.ogg --format plain
+
+  # Local OpenAI-compatible endpoint
+  node transcribe.js server --port 8765
+
+  # Transcribe voice memos as they sync in, then archive them
+  node transcribe.js watch ~/Sync/voice-memos --output-dir ~/transcripts --archive-dir ~/Sync/voice-memos-done
+
+  # Where does each setting come from?
+  node transcribe.js config show --language en
+
   # Check dependencies
   node transcribe.js --check
 
@@ -503,33 +6033,281 @@ MODEL SIZES:
 
 // Main entry point
 function main() {
-  const { audioPath, options } = parseArgs(process.argv.slice(2));
+  const args = process.argv.slice(2);
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    // Options aren't parsed yet; honour --json/--format json for the error
+    const json = args.includes('--json') || args.some((arg, i) => arg === '--format' && args[i + 1] === 'json');
+    exitWithError(error, json ? 'json' : DEFAULTS.FORMAT);
+  }
+  const { audioPath, audioPaths, options } = parsed;
   
-  // Acquire lock before any processing
-  acquireLock(options.force);
-  setupLockCleanup();
+  const config = getConfig();
+  if (config.errors.length > 0) {
+    exitWithError(new UsageError(`Config error: ${config.errors.join('; ')}`, { errors: config.errors }), options.format);
+  }
+  config.warnings.forEach(warning => log(`⚠️  ${warning}`));
+  
+  if (options.cacheClear) {
+    const removed = clearCache();
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ cleared: removed, cacheDir: getCacheDir() }));
+    } else {
+      console.log(`🗑️  Cleared ${removed} cached transcription(s) from ${getCacheDir()}`);
+    }
+    process.exit(0);
+  }
+  
+  if (options.command === 'config') {
+    if (audioPath && audioPath !== 'show') {
+      exitWithError(new UsageError(`Unknown config command: ${audioPath}. Use: config show`), options.format);
+    }
+    showConfig(config, options, args, options.format);
+    process.exit(0);
+  }
+  
+  if (options.serve) {
+    serve(options).then(() => process.exit(0), error => exitWithError(error, options.format));
+    return;
+  }
+  
+  if (options.daemonCommand) {
+    runDaemonCommand(options.daemonCommand, options.format).then(code => process.exit(code));
+    return;
+  }
+  
+  if (options.command === 'server') {
+    runServer(options);
+    return;
+  }
   
-  if (!audioPath) {
+  if (!audioPath && !options.record) {
+    if (options.command === 'watch') {
+      exitWithError(new UsageError('Missing directory: watch <dir>'), options.format);
+    }
     showHelp();
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
   }
   
-  // Check dependencies
-  const deps = checkDependencies();
-  if (!deps.whisper || !deps.ffmpeg) {
-    console.log('\n❌ Missing dependencies!');
-    showDependencies();
-    showInstallInstructions();
-    process.exit(1);
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    exitWithError(new UsageError(`Unknown format: ${options.format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`));
   }
   
   try {
-    transcribe(audioPath, options);
-    process.exit(0);
+    resolveTask(options);
+    initialPrompt(options);
+    glossaryRules(options);
+    parseOutputFormats(options.outputFormats || DEFAULTS.OUTPUT_FORMATS);
+    formatOutputName(options.outputName || DEFAULTS.OUTPUT_NAME, { basename: 'x', ext: 'txt', lang: 'x', model: 'x' });
+    if (options.command === 'watch') watchSettings(audioPath, options);
+    if (options.record) recordInput(options.recordDevice || undefined);
   } catch (error) {
-    console.error(`\n❌ Error: ${error.message}`);
-    process.exit(1);
+    exitWithError(error, options.format);
+  }
+  
+  if (options.command === 'watch') {
+    runWatch(audioPaths, options);
+    return;
+  }
+  
+  if (options.stream) {
+    runStream(audioPaths, options);
+    return;
+  }
+  
+  if (options.record || audioPath === '-') {
+    runCaptured(audioPaths, options);
+    return;
+  }
+  
+  runTranscription(audioPath, audioPaths, options);
+}
+
+/**
+ * Transcribe the inputs through a running daemon or by spawning the
+ * backend. Exits the process.
+ */
+function runTranscription(audioPath, audioPaths, options) {
+  // Long recordings take the chunked pipeline, which the daemon doesn't run
+  if (isBatchInput(audioPaths) || options.daemon === false || options.detectLanguage || getLongAudioDuration(audioPath, options)) {
+    runDirect(audioPath, audioPaths, options);
+    return;
+  }
+  
+  // Single file: a running daemon answers without loading the model
+  transcribeViaDaemon(audioPath, options).then(result => {
+    if (result) process.exit(0);
+    runDirect(audioPath, audioPaths, options);
+  }, error => exitWithError(error, options.format));
+}
+
+/**
+ * --stream: transcribe a growing file or stdin, printing a JSON line each
+ * time text becomes provisional or final (final text only with --format
+ * plain). Exits the process.
+ */
+function runStream(audioPaths, options) {
+  const fail = error => exitWithError(error, options.format);
+  if (audioPaths.length !== 1 || options.record) {
+    fail(new UsageError('--stream takes one input: a file that is being written, or - for stdin'));
+  }
+  
+  setupLockCleanup();
+  acquireSlot({ force: options.force, maxConcurrent: options.maxConcurrent, timeout: options.queueTimeout }).then(() => {
+    requireDependencies(options);
+    streamToStdout(audioPaths[0], options);
+  }, fail);
+}
+
+/**
+ * Print transcribeStream() events for --stream, then exit
+ */
+function streamToStdout(input, options) {
+  const print = event => {
+    if (options.format !== 'plain') {
+      console.log(JSON.stringify(event));
+    } else if (event.type === 'final') {
+      console.log(event.text);
+    }
+  };
+  transcribeStream(input, options)
+    .on('provisional', print)
+    .on('final', print)
+    .on('done', print)
+    .then(() => process.exit(0), error => exitWithError(error, options.format));
+}
+
+/**
+ * Stdin (`-`) or --record input: capture it to a temporary file, then
+ * transcribe that like a file argument. Exits the process.
+ */
+function runCaptured(audioPaths, options) {
+  const fail = error => exitWithError(error, options.format);
+  if (options.record && audioPaths.length > 0) {
+    fail(new UsageError('--record takes no input files'));
+  }
+  if (!options.record && audioPaths.length > 1) {
+    fail(new UsageError("'-' (stdin) can't be combined with other inputs"));
+  }
+  
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-input-'));
+  process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  const audioPath = path.join(tmpDir, options.record ? formatOutputName('recording-{datetime}.{ext}', { ext: 'wav' }) : 'stdin');
+  // Output files only where asked for, never next to the temporary file
+  const outputDir = options.outputDir || (options.outputFormats ? process.cwd() : null);
+  const runOptions = Object.assign({}, options, { outputDir, outputFormats: outputDir ? options.outputFormats : [] });
+  
+  const capture = options.record ? recordAudio(audioPath, options) : readStdinAudio(audioPath);
+  capture.then(() => runTranscription(audioPath, [audioPath], runOptions), fail);
+}
+
+/**
+ * Exit with MISSING_DEPENDENCY (after printing what to install) unless
+ * whisper and ffmpeg are installed
+ */
+function requireDependencies(options) {
+  const deps = checkDependencies(options.backend);
+  const missing = [deps.whisper ? null : 'whisper', deps.ffmpeg ? null : 'ffmpeg'].filter(Boolean);
+  if (missing.length > 0) {
+    showDependencies(log, options.backend);
+    showInstallInstructions(log);
+    exitWithError(new DependencyError(`Missing dependencies: ${missing.join(', ')}`, { missing }), options.format);
+  }
+}
+
+/**
+ * `server` command: check dependencies, then serve until SIGINT/SIGTERM
+ */
+function runServer(options) {
+  requireDependencies(options);
+  
+  // Stop accepting uploads, answer the ones in progress, then exit
+  let server = null;
+  setupLockCleanup(() => (server ? server.close(() => process.exit(0)) : process.exit(0)));
+  startServer(options).then(listening => {
+    server = listening;
+  }, error => exitWithError(error, options.format));
+}
+
+/**
+ * `watch` command: transcribe new files in a directory until SIGINT/SIGTERM
+ */
+function runWatch(dirs, options) {
+  if (dirs.length > 1) {
+    exitWithError(new UsageError(`watch takes one directory, got ${dirs.length}`), options.format);
+  }
+  requireDependencies(options);
+  
+  // Finish the file in progress (and record it) before exiting
+  let watcher = null;
+  setupLockCleanup(() => (watcher ? watcher.close().then(() => process.exit(0)) : process.exit(0)));
+  try {
+    watcher = watchDirectory(dirs[0], options);
+  } catch (error) {
+    exitWithError(error, options.format);
+  }
+  watcher.on('file', event => printWatchResult(event, options.format));
+}
+
+/**
+ * Transcribe by spawning the backend: queue slot, dependency check, then
+ * batch or single-file mode. Exits the process.
+ */
+function runDirect(audioPath, audioPaths, options) {
+  // Wait for a transcription slot before any processing; the slot is freed on exit
+  setupLockCleanup();
+  acquireSlot({
+    force: options.force,
+    maxConcurrent: options.maxConcurrent,
+    timeout: options.queueTimeout
+  }).then(() => transcribeDirect(audioPath, audioPaths, options), error => exitWithError(error, options.format));
+}
+
+/**
+ * runDirect() once a slot is held
+ */
+function transcribeDirect(audioPath, audioPaths, options) {
+  requireDependencies(options);
+  const fail = error => exitWithError(error, options.format);
+  
+  if (options.detectLanguage) {
+    if (isBatchInput(audioPaths)) {
+      fail(new UsageError('--detect-language takes a single file'));
+    }
+    detectLanguage(audioPath, options).then(detection => {
+      printDetection(detection, options.format);
+      process.exit(0);
+    }, fail);
+    return;
   }
+  
+  // Batch mode: several inputs, directories or glob patterns
+  if (isBatchInput(audioPaths)) {
+    let files;
+    try {
+      files = expandInputs(audioPaths, options);
+      if (files.length === 0) {
+        throw new InputNotFoundError(`No audio files found in: ${audioPaths.join(', ')}`, { inputs: audioPaths });
+      }
+    } catch (error) {
+      fail(error);
+    }
+    transcribeBatch(files, options).then(results => {
+      printBatchResults(results, options.format);
+      process.exit(results.every(r => r.ok) ? EXIT_CODES.OK : EXIT_CODES.FAILED);
+    }, fail);
+    return;
+  }
+  
+  const duration = getLongAudioDuration(audioPath, options);
+  if (duration) {
+    transcribeChunked(audioPath, Object.assign({}, options, { duration })).then(() => process.exit(0), fail);
+    return;
+  }
+  
+  transcribe(audioPath, options).then(() => process.exit(0), fail);
 }
 
 // Run if called directly
@@ -540,16 +6318,93 @@ if (require.main === module) {
 // Export for testing
 module.exports = {
   transcribe,
+  transcribeAsync,
+  transcribeStream,
+  trimRepeatedWords,
+  detectLanguage,
+  initialPrompt,
+  glossaryRules,
+  applyGlossary,
+  captionCues,
+  formatCaptions,
+  whisperCppWords,
+  parseLanguageProbabilities,
   checkDependencies,
   findWhisperBinary,
+  resolveBackend,
+  findGgmlModel,
+  BACKENDS,
   selectModel,
+  defaultModelPolicy,
+  parseModelTable,
+  probeDuration,
+  getHardwareInfo,
+  MODEL_SIZES,
+  MODEL_SELECTION,
   isSupportedFormat,
+  needsConversion,
+  probeAudio,
+  normalizeAudio,
   SUPPORTED_FORMATS,
+  OUTPUT_FORMATS,
   parseArgs,
+  expandInputs,
+  globToRegExp,
+  transcribeBatch,
+  watchDirectory,
+  printBatchResults,
+  AUDIO_EXTENSIONS,
+  readWhisperJson,
+  parseOutputFormats,
+  formatOutputName,
+  WHISPER_OUTPUT_EXTENSIONS,
+  getCacheDir,
+  getCacheKey,
+  clearCache,
+  pruneCache,
+  printResult,
+  toJsonResult,
+  writeWhisperOutputs,
+  formatTimestamp,
+  serve,
+  daemonRequest,
+  transcribeViaDaemon,
+  getDaemonSocket,
+  transcribeChunked,
+  planChunks,
+  stitchChunks,
+  chunkSegments,
+  speechSpan,
+  detectSpeech,
+  filterTranscription,
+  collapseRepeats,
+  compressionRatio,
+  parseSpeakerTurns,
+  assignSpeakers,
+  detectSilences,
+  formatDuration,
+  loadConfig,
+  resolveSettings,
+  CONFIG_SETTINGS,
+  startServer,
+  parseMultipart,
+  SERVER_RESPONSE_FORMATS,
+  EXIT_CODES,
+  TranscribeError,
+  UsageError,
+  InputNotFoundError,
+  UnsupportedInputError,
+  DependencyError,
+  QueueTimeoutError,
+  BackendError,
+  NoTranscriptError,
+  TimeoutError,
+  DiarizationError,
+  errorToJson,
   DEFAULTS,
-  acquireLock,
+  acquireSlot,
   releaseLock,
+  getLockDir,
   isProcessRunning,
-  setupLockCleanup,
-  LOCKFILE
+  setupLockCleanup
 };